@@ -0,0 +1,251 @@
+/**
+ * Case strength & readiness assessment (rule-based, no model call)
+ * ----------------------------------------------------------------
+ * - Passport validity vs. travel dates / entry date + stay duration
+ * - Funds vs. trip cost (from the affordability analysis; closing vs. six-month average balance), ties to Nigeria,
+ *   travel history, unexplained significant transactions, sponsor completeness
+ * - Destination rule packs add their passport-validity rule and required-evidence list
+ * - Every finding carries a severity and a concrete recommendation; strengths are reported too
+ *
+ * Severities: critical (likely refusal ground) | warning (weakens the case) | info (strength / note)
+ */
+
+const { extractDates } = require('./fact_check');
+const { isSponsoredPayload, detectApplicationType } = require('./scenario');
+const { missingEvidence } = require('./destination_packs');
+const { CATEGORIES, rebuttalPlan } = require('./refusal');
+
+const PENALTY = { critical: 25, warning: 10, info: 0 };
+const PASSPORT_MONTHS_BEYOND_RETURN = 6;
+const BALANCE_JUMP = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- dates ----------
+function toDate(d) {
+  return d && d.y ? new Date(Date.UTC(d.y, d.mo - 1, d.d)) : null;
+}
+
+function firstDate(s) {
+  return toDate(extractDates(String(s || ''))[0]);
+}
+
+function addMonths(date, n) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  return d;
+}
+
+// "10 days", "2 weeks", "3 months" -> days
+function durationDays(s) {
+  const m = /(\d+)\s*(day|week|month|year)s?/i.exec(String(s || ''));
+  if (!m) return undefined;
+  return +m[1] * { day: 1, week: 7, month: 30, year: 365 }[m[2].toLowerCase()];
+}
+
+// Start and end of the trip from travelDates, or entryDate + stayDuration
+function tripWindow(p) {
+  const dates = extractDates(String(p.travelDates || '')).map(toDate).filter(Boolean).sort((a, b) => a - b);
+  const start = dates[0] || firstDate(p.entryDate);
+  let end = dates.length > 1 ? dates[dates.length - 1] : null;
+  const days = durationDays(p.stayDuration);
+  if (!end && start && days) end = new Date(start.getTime() + days * DAY_MS);
+  return { start, end };
+}
+
+function fmt(d) {
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// ---------- checks ----------
+function checkPassport(p, add, now, pack) {
+  const months = pack && pack.passportValidityMonths !== undefined ? pack.passportValidityMonths : PASSPORT_MONTHS_BEYOND_RETURN;
+  const rule = pack
+    ? `${pack.name} requires ${months} months of validity beyond the return date; renew if the margin is short.`
+    : 'Check the destination\'s validity rule; many require 3–6 months beyond departure. Renew if in doubt.';
+  const expiry = firstDate(p.passportExpiryDate);
+  const { start, end } = tripWindow(p);
+
+  if (!expiry) {
+    add('passport', 'warning', 'Passport expiry date not provided.', 'Add passportExpiryDate so validity can be checked against the travel dates.');
+  } else if (expiry < now) {
+    add('passport', 'critical', `Passport expired on ${fmt(expiry)}.`, 'Renew the passport before applying; the application cannot proceed on an expired passport.');
+  } else if (end && expiry < end) {
+    add('passport', 'critical', `Passport expires on ${fmt(expiry)}, before the return date (${fmt(end)}).`, 'Renew the passport before applying.');
+  } else if (end && months && expiry < addMonths(end, months)) {
+    add('passport', 'warning', `Passport expires within ${months} months of the return date (${fmt(expiry)}).`, rule);
+  } else if (end) {
+    const margin = !pack ? 'well beyond' : months ? `more than ${months} months beyond` : 'beyond';
+    add('passport', 'info', `Passport valid until ${fmt(expiry)}, ${margin} the return date.`);
+  }
+
+  if (!start) {
+    add('travel_dates', 'warning', 'Travel dates could not be read.', 'Provide travelDates ("10 October 2025 to 20 October 2025") or entryDate plus stayDuration.');
+  } else if (start < now) {
+    add('travel_dates', 'warning', `Planned travel date (${fmt(start)}) is in the past.`, 'Update the travel dates before generating the letter.');
+  } else if (!end) {
+    add('travel_dates', 'warning', 'Return date unknown.', 'Provide a stayDuration or a full date range so the officer sees a defined trip.');
+  }
+}
+
+function checkFunds(p, add, affordability) {
+  const a = affordability;
+  const f = a.figures;
+  const sponsored = isSponsoredPayload(p);
+
+  if (!f.currentBankBalance || !f.estimatedTripCost) {
+    const gaps = [!f.currentBankBalance && 'currentBankBalance', !f.estimatedTripCost && 'estimatedTripCost'].filter(Boolean);
+    add('funds', sponsored ? 'warning' : 'critical', `Funds cannot be compared with the trip cost (missing ${gaps.join(' and ')}).`, 'Provide the current bank balance and an estimated trip cost so affordability can be shown.');
+  } else if (a.verdict === 'short') {
+    add(
+      'funds',
+      sponsored ? 'warning' : 'critical',
+      `Balance ${f.currentBankBalance.display} is short of the trip cost ${f.estimatedTripCost.display} by ${a.shortfall}.`,
+      sponsored
+        ? 'Make sure the sponsor\'s bank statements cover the shortfall and reference them in the letter.'
+        : 'Add further savings or a documented sponsor before applying; insufficient funds is a common refusal ground.'
+    );
+  } else if (a.verdict === 'adequate') {
+    add('funds', 'warning', `Funds cover the trip cost with a thin margin (${a.coverageRatio}× the trip cost).`, 'Show additional savings or a lower-cost itinerary; officers expect a comfortable buffer after the trip.');
+  } else {
+    add('funds', 'info', `Funds cover the trip cost ${a.coverageRatio}× over, leaving ${a.balanceAfterTrip}.`);
+  }
+
+  // A closing balance far above the statement's average reads as money parked for the application
+  if (f.averageBalance && f.currentBankBalance && f.averageBalance.base * BALANCE_JUMP < f.currentBankBalance.base && !p.significantTransactions) {
+    add('funds', 'warning', `Balance ${f.currentBankBalance.display} is more than ${BALANCE_JUMP}× the six-month average of ${f.averageBalance.display}.`, 'Explain the recent credits that raised the balance in significantTransactions, with evidence of their source.');
+  }
+  if (a.monthsOfExpensesCovered !== undefined && a.monthsOfExpensesCovered < 1 && a.verdict !== 'short') {
+    add('funds', 'warning', 'The balance left after the trip covers less than one month of declared expenses.', 'Explain how household expenses are met during and after the trip.');
+  }
+  for (const note of a.notes) {
+    add('funds', 'info', note, 'Confirm the currency with the applicant.');
+  }
+}
+
+function checkTies(p, add) {
+  const ties = [];
+  if (p.propertyDetails) ties.push('property');
+  if (p.employerName || p.businessCommitments) ties.push('employment/business');
+  if (p.familyDependents || Number(p.numDependents) > 0) ties.push('dependents');
+
+  if (!ties.length) {
+    add('ties', 'critical', 'No ties to Nigeria recorded (property, employment or dependents).', 'Document employment, business, property or family dependants; weak home ties are the most common refusal ground.');
+  } else if (ties.length === 1) {
+    add('ties', 'warning', `Only one tie to Nigeria recorded (${ties[0]}).`, 'Add any other ties (property, dependants, ongoing business or study) with supporting documents.');
+  } else {
+    add('ties', 'info', `Ties to Nigeria: ${ties.join(', ')}.`);
+  }
+}
+
+function checkHistory(p, add) {
+  if (p.travelHistory || p.validVisas) {
+    add('travel_history', 'info', 'Prior travel / valid visas show compliance with immigration rules.');
+  } else {
+    add('travel_history', 'warning', 'No previous international travel recorded.', 'Lean on ties and a detailed itinerary; mention any regional (e.g. ECOWAS) travel with passport stamps.');
+  }
+}
+
+// A transaction note that says where the money came from counts as explained
+const EXPLAINED_RE = /\b(from|sale|sold|salary|bonus|loan|gift|refund|proceeds|payment for|dividend|inheritance|contract|because|for the)\b/i;
+const LARGE_DEPOSIT_RE = /\b(large|lump[- ]sum|sudden|one[- ]off|unusual)\b[^.]*\b(deposit|credit|transfer|inflow)s?\b/i;
+
+function checkTransactions(p, add) {
+  if (p.significantTransactions) {
+    if (EXPLAINED_RE.test(p.significantTransactions)) {
+      add('transactions', 'info', 'Significant transactions are explained.');
+    } else {
+      add('transactions', 'warning', 'Significant transactions are listed without an explanation of their source.', 'State where each large credit came from (sale, salary, loan, gift) and attach evidence.');
+    }
+  } else if (LARGE_DEPOSIT_RE.test(p.bankStatementDetails || '')) {
+    add('transactions', 'warning', 'Bank statement notes mention a large deposit that is not explained.', 'Fill in significantTransactions with the source of the deposit and supporting evidence.');
+  }
+}
+
+function checkSponsor(p, add) {
+  if (!isSponsoredPayload(p)) return;
+  const fields = [
+    ['sponsorName', 'critical'],
+    ['sponsorRelationship', 'critical'],
+    ['sponsorOccupation', 'warning'],
+    ['sponsorIncome', 'warning'],
+    ['sponsorDocs', 'warning'],
+  ];
+  const missing = fields.filter(([k]) => !p[k]);
+  for (const [k, severity] of missing) {
+    add('sponsor', severity, `Sponsored application is missing ${k}.`, `Provide ${k} so the sponsor's capacity and relationship can be verified.`);
+  }
+  if (!missing.length) add('sponsor', 'info', `Sponsor details complete (${p.sponsorName}, ${p.sponsorRelationship}).`);
+}
+
+function checkEvidence(p, add, pack) {
+  if (!pack || !(pack.requiredEvidence || []).length) return;
+  const missing = missingEvidence(pack, p);
+  if (missing.length) {
+    add('evidence', 'warning', `${pack.name}: ${missing.length} expected document(s) not recorded (${missing.map((e) => e.label).join('; ')}).`, 'Obtain these documents and list them under documents/supporting letters so the letter can reference them.');
+  } else {
+    add('evidence', 'info', `All documents ${pack.name} expects are recorded.`);
+  }
+}
+
+function checkReapplication(p, add) {
+  if (detectApplicationType(p) !== 'Reapplication') return;
+  const evidence = p.bankStatementDetails || p.significantTransactions || p.sponsorDocs || p.supportingLetters || p.compellingReasons;
+  const plan = rebuttalPlan(p);
+  if (!p.visaRefusals) {
+    add('refusal', 'warning', 'Reapplication without the previous refusal reasons.', 'Record the refusal grounds in visaRefusals so each one can be answered.');
+  } else if (plan && plan.grounds.length) {
+    // Each ground the notice raised must have evidence that answers it
+    for (const g of plan.grounds.filter((x) => !x.answered)) {
+      add('refusal', 'warning', `Refusal ground not answered: ${g.label.toLowerCase()}${g.codes.length ? ` (${g.codes.join(', ')})` : ''}.`, CATEGORIES[g.category].recommendation);
+    }
+    if (!plan.unanswered.length) add('refusal', 'info', `Every refusal ground has evidence that answers it (${plan.grounds.map((g) => g.label.toLowerCase()).join(', ')}).`);
+  } else if (!evidence) {
+    add('refusal', 'warning', 'Reapplication with no new evidence recorded.', 'Note what has changed since the refusal (new statements, sponsor documents, letters) before applying.');
+  } else {
+    add('refusal', 'info', 'Refusal grounds and new evidence recorded.');
+  }
+}
+
+/**
+ * Score a case before any generation.
+ * @param {object} payload  cleaned payload (same as /generate-letter)
+ * @param {{ affordability: object, pack?: object, now?: Date }} opts  pack: destination rule pack, if any
+ * @returns {{ score: number, rating: 'strong'|'moderate'|'weak', ready: boolean, pack: { id: string, name: string } | null,
+ *   counts: { critical: number, warning: number, info: number },
+ *   findings: Array<{ check: string, severity: string, message: string, recommendation?: string }> }}
+ */
+function assessCase(payload, { affordability, pack = null, now = new Date() }) {
+  const findings = [];
+  const add = (check, severity, message, recommendation) => {
+    findings.push({ check, severity, message, ...(recommendation ? { recommendation } : {}) });
+  };
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+
+  checkPassport(payload, add, today, pack);
+  checkFunds(payload, add, affordability);
+  checkTies(payload, add);
+  checkHistory(payload, add);
+  checkTransactions(payload, add);
+  checkSponsor(payload, add);
+  checkReapplication(payload, add);
+  checkEvidence(payload, add, pack);
+
+  const counts = { critical: 0, warning: 0, info: 0 };
+  for (const f of findings) counts[f.severity]++;
+  const score = Math.max(0, 100 - findings.reduce((n, f) => n + PENALTY[f.severity], 0));
+
+  // Weaknesses first, most severe on top
+  const order = { critical: 0, warning: 1, info: 2 };
+  findings.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return {
+    score,
+    rating: score >= 75 && !counts.critical ? 'strong' : score >= 50 ? 'moderate' : 'weak',
+    ready: counts.critical === 0,
+    pack: pack ? { id: pack.id, name: pack.name } : null,
+    counts,
+    findings,
+  };
+}
+
+module.exports = { assessCase, tripWindow };
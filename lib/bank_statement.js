@@ -0,0 +1,392 @@
+/**
+ * Bank statement import + financial profile (offline, no model call)
+ * -----------------------------------------------------------------
+ * - parseStatement(): CSV (any bank export with date / description / debit+credit or amount / balance
+ *   columns, header row found below any preamble) and OFX (SGML or XML); known Nigerian layouts
+ *   (GTBank, Access, Zenith, First Bank, UBA) are reported by name
+ * - Dates are read day-first (02/05/2025 = 2 May 2025), as Nigerian banks print them
+ * - financialProfile(): over the last 6 months of the statement — closing and average daily balance,
+ *   recurring salary credits, average monthly inflow/outflow, large or irregular deposits with dates
+ * - profileFields(): the payload finance fields the profile fills; large deposits are never written into
+ *   the payload — they come back as flags for staff to explain (significantTransactions)
+ *
+ * Thresholds (per request, defaults from the env — see .env.example):
+ *   largeDepositMultiple  credit >= this × monthly salary (or median credit without one) is "large"
+ *   largeDepositMin       credits below this amount (statement currency) are never flagged
+ *   salaryMinMonths       a credit must recur in this many months to count as salary
+ *   recentDays            a large deposit this close to the statement end is marked recent
+ */
+
+const { parseCsv } = require('./batch_input');
+const { formatMoney } = require('./money');
+
+const DEFAULT_THRESHOLDS = { largeDepositMultiple: 2, largeDepositMin: 500000, salaryMinMonths: 3, recentDays: 30 };
+const WINDOW_MONTHS = 6;
+const SALARY_TOLERANCE = 0.2; // a month's salary may differ this much from the usual amount
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Header synonyms, most specific first (a transaction date beats a value date, narration beats reference)
+const COLUMNS = {
+  date: ['transdate', 'transactiondate', 'trandate', 'txndate', 'posteddate', 'dateposted', 'postingdate', 'bookingdate', 'date', 'valuedate', 'valdate'],
+  description: ['narration', 'description', 'remarks', 'details', 'transactiondetails', 'transactiondescription', 'particulars', 'memo', 'reference'],
+  debit: ['debit', 'debits', 'debitamount', 'withdrawal', 'withdrawals', 'withdrawalsdr', 'moneyout', 'paidout', 'dr'],
+  credit: ['credit', 'credits', 'creditamount', 'deposit', 'deposits', 'lodgement', 'lodgements', 'depositscr', 'moneyin', 'paidin', 'cr'],
+  amount: ['amount', 'transactionamount', 'amountngn'],
+  type: ['drcr', 'crdr', 'type', 'transactiontype'],
+  balance: ['balance', 'runningbalance', 'balanceafter', 'closingbalance', 'availablebalance', 'ledgerbalance'],
+};
+
+// Internet-banking CSV exports, identified by their header row
+const LAYOUTS = [
+  { id: 'gtbank', bank: 'GTBank', header: ['transdate', 'valuedate', 'reference', 'debits', 'credits', 'balance', 'remarks'] },
+  { id: 'access', bank: 'Access Bank', header: ['posteddate', 'valuedate', 'description', 'debit', 'credit', 'balance'] },
+  { id: 'zenith', bank: 'Zenith Bank', header: ['dateposted', 'valuedate', 'description', 'debit', 'credit', 'balance'] },
+  { id: 'firstbank', bank: 'First Bank', header: ['transdate', 'reference', 'narration', 'valuedate', 'debit', 'credit', 'balance'] },
+  { id: 'uba', bank: 'UBA', header: ['trandate', 'valuedate', 'narration', 'chqno', 'debit', 'credit', 'balance'] },
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const SALARY_RE = /\b(salary|salaries|payroll|sal|wages?|stipend)\b/i;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ---------- cells ----------
+const utc = (y, m, d) => {
+  const date = new Date(Date.UTC(y < 100 ? 2000 + y : y, m - 1, d));
+  return date.getUTCMonth() === m - 1 ? date : null;
+};
+
+function parseDate(s) {
+  const t = String(s || '').trim();
+  let m;
+  if ((m = /^(\d{4})(\d{2})(\d{2})/.exec(t))) return utc(+m[1], +m[2], +m[3]); // OFX 20250502120000
+  if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(t))) return utc(+m[1], +m[2], +m[3]);
+  if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/.exec(t))) return utc(+m[3], +m[2], +m[1]);
+  if ((m = /^(\d{1,2})[\s-]+([a-z]{3,9})[\s,-]+(\d{2,4})\b/i.exec(t))) {
+    const mo = MONTHS.indexOf(m[2].slice(0, 3).toLowerCase());
+    return mo === -1 ? null : utc(+m[3], mo + 1, +m[1]);
+  }
+  if ((m = /^([a-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})\b/i.exec(t))) {
+    const mo = MONTHS.indexOf(m[1].slice(0, 3).toLowerCase());
+    return mo === -1 ? null : utc(+m[3], mo + 1, +m[2]);
+  }
+  return null;
+}
+
+// "1,200,000.00" | "(5,000.00)" | "-5000" | "5,000.00 DR" -> signed number; blank or "-" -> null
+function parseAmount(s) {
+  const t = String(s ?? '').trim();
+  const m = /\d[\d,]*(?:\.\d+)?/.exec(t);
+  if (!m) return null;
+  const n = parseFloat(m[0].replace(/,/g, ''));
+  return /^\(.*\)$|^-|\bDR\b/i.test(t) ? -n : n;
+}
+
+const isoDay = (d) => d.toISOString().slice(0, 10);
+const longDate = (d) => d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// ---------- CSV ----------
+function findColumns(header) {
+  const cells = header.map(norm);
+  const cols = {};
+  for (const [key, names] of Object.entries(COLUMNS)) {
+    for (const name of names) {
+      const i = cells.indexOf(name);
+      if (i !== -1 && !Object.values(cols).includes(i)) {
+        cols[key] = i;
+        break;
+      }
+    }
+  }
+  const usable = cols.date !== undefined && (cols.amount !== undefined || cols.debit !== undefined || cols.credit !== undefined);
+  return usable ? cols : null;
+}
+
+function parseCsvStatement(text) {
+  const rows = parseCsv(text);
+  const at = rows.slice(0, 40).findIndex((r) => findColumns(r));
+  if (at === -1) throw badRequest('No header row with a date column and debit/credit or amount columns was found');
+  const header = rows[at];
+  const cols = findColumns(header);
+  const cells = new Set(header.map(norm));
+  const layout = LAYOUTS.find((l) => l.header.every((h) => cells.has(h)));
+
+  // Preamble lines ("Currency: NGN", "Opening Balance: 1,000,000.00") above the header
+  const preamble = rows.slice(0, at).map((r) => r.join(' ')).join('\n');
+  const currency = (/\bcurrency\W+([A-Z]{3})\b/i.exec(preamble) || [])[1];
+  const opening = /\bopening balance\W+([(\-\d][\d,.()]*)/i.exec(preamble);
+
+  const transactions = [];
+  const warnings = [];
+  for (const r of rows.slice(at + 1)) {
+    const date = parseDate(r[cols.date]);
+    if (!date) {
+      if (r.some((c) => c.trim()) && !/total|closing|opening/i.test(r.join(' '))) warnings.push(`Skipped a row with no readable date: "${r.join(', ').slice(0, 80)}"`);
+      continue;
+    }
+    let amount;
+    if (cols.amount !== undefined) {
+      amount = parseAmount(r[cols.amount]);
+      if (amount !== null && cols.type !== undefined && /^\s*d/i.test(r[cols.type])) amount = -Math.abs(amount);
+    } else {
+      const debit = Math.abs(parseAmount(r[cols.debit]) || 0);
+      const credit = Math.abs(parseAmount(r[cols.credit]) || 0);
+      amount = credit - debit;
+    }
+    if (!amount) continue;
+    const balance = cols.balance !== undefined ? parseAmount(r[cols.balance]) : null;
+    transactions.push({ date, amount, description: (r[cols.description] || '').trim(), balance });
+  }
+
+  return {
+    format: layout ? layout.id : 'csv',
+    bank: layout ? layout.bank : undefined,
+    currency: currency ? currency.toUpperCase() : undefined,
+    openingBalance: opening ? parseAmount(opening[1]) : undefined,
+    transactions,
+    warnings,
+  };
+}
+
+// ---------- OFX ----------
+function parseOfx(text) {
+  const tag = (block, name) => {
+    const m = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+    return m ? m[1].trim() : undefined;
+  };
+  const blocks = String(text).split(/<STMTTRN>/i).slice(1).map((b) => b.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+  const transactions = blocks
+    .map((b) => ({
+      date: parseDate(tag(b, 'DTPOSTED')),
+      amount: parseAmount(tag(b, 'TRNAMT')),
+      description: [tag(b, 'NAME'), tag(b, 'MEMO')].filter(Boolean).join(' / '),
+      balance: null,
+    }))
+    .filter((t) => t.date && t.amount);
+  const ledger = /<LEDGERBAL>([\s\S]*?)(?:<\/LEDGERBAL>|$)/i.exec(text);
+  return {
+    format: 'ofx',
+    currency: tag(text, 'CURDEF'),
+    closingBalance: ledger ? parseAmount(tag(ledger[1], 'BALAMT')) : undefined,
+    transactions,
+    warnings: [],
+  };
+}
+
+/**
+ * @param {string} text  the uploaded statement
+ * @param {{ format?: 'csv'|'ofx' }} [opts]  detected from the content when omitted
+ * @returns {{ format: string, bank?: string, currency?: string, transactions: Array<{ date: Date, amount: number,
+ *   description: string, balance: number|null }>, warnings: string[] }}  transactions oldest first, with balances
+ * @throws {Error} status 400 when nothing usable is in the file
+ */
+function parseStatement(text, { format } = {}) {
+  const s = String(text || '').replace(/^﻿/, '');
+  if (!s.trim()) throw badRequest('The statement is empty');
+  const kind = format ? String(format).toLowerCase() : /<OFX>|OFXHEADER/i.test(s) ? 'ofx' : 'csv';
+  if (!['csv', 'ofx'].includes(kind)) throw badRequest(`Unknown statement format "${format}" (expected csv or ofx)`);
+  const parsed = kind === 'ofx' ? parseOfx(s) : parseCsvStatement(s);
+  if (!parsed.transactions.length) throw badRequest('No transactions were found in the statement');
+
+  // Oldest first; exports listed newest-first are reversed so same-day rows keep their order
+  let txns = parsed.transactions;
+  if (txns[0].date > txns[txns.length - 1].date) txns = [...txns].reverse();
+  txns = txns.map((t, i) => ({ ...t, i })).sort((a, b) => a.date - b.date || a.i - b.i).map(({ i, ...t }) => t);
+
+  // Running balances where the file has none: forward from an opening balance, or back from OFX's ledger balance
+  if (txns.some((t) => t.balance === null)) {
+    if (parsed.openingBalance !== undefined) {
+      let bal = parsed.openingBalance;
+      for (const t of txns) t.balance = bal = Math.round((bal + t.amount) * 100) / 100;
+    } else if (parsed.closingBalance !== undefined) {
+      let bal = parsed.closingBalance;
+      for (let i = txns.length - 1; i >= 0; i--) {
+        txns[i].balance = bal;
+        bal = Math.round((bal - txns[i].amount) * 100) / 100;
+      }
+    } else {
+      parsed.warnings.push('The statement has no balance column or opening balance; balances could not be computed.');
+      txns.forEach((t) => { t.balance = null; });
+    }
+  }
+
+  const { openingBalance, closingBalance, ...rest } = parsed;
+  return { ...rest, transactions: txns };
+}
+
+// ---------- profile ----------
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length ? (s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2) : 0;
+};
+const round = (n) => Math.round(n);
+const monthKey = (d) => d.toISOString().slice(0, 7);
+
+// "NIP/ZENITH SYSTEMS/SALARY OCT 2025 REF 123" and the September one group together
+function payerKey(description) {
+  if (SALARY_RE.test(description)) return 'salary';
+  return String(description).toLowerCase()
+    .replace(/\d+/g, ' ')
+    .split(/[^a-z]+/)
+    .filter((w) => w.length > 2 && !MONTHS.includes(w.slice(0, 3)) && !['trf', 'transfer', 'from', 'nip', 'ref', 'the', 'and', 'via', 'pos', 'web', 'mob', 'inward'].includes(w))
+    .slice(0, 3)
+    .join(' ');
+}
+
+// The credit that recurs in the most months at a steady amount (salary-named credits first)
+function findSalary(credits, minMonths) {
+  const groups = new Map();
+  for (const t of credits) {
+    const key = payerKey(t.description);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  const candidates = [];
+  for (const [key, txns] of groups) {
+    // Sum per month first: some employers split a salary into two transfers
+    const byMonth = new Map();
+    for (const t of txns) byMonth.set(monthKey(t.date), (byMonth.get(monthKey(t.date)) || 0) + t.amount);
+    const usual = median([...byMonth.values()]);
+    const months = [...byMonth].filter(([, amount]) => Math.abs(amount - usual) <= usual * SALARY_TOLERANCE).map(([m]) => m);
+    if (months.length < minMonths) continue;
+    const members = txns.filter((t) => months.includes(monthKey(t.date)));
+    candidates.push({
+      key,
+      description: members[members.length - 1].description,
+      amount: round(months.reduce((n, m) => n + byMonth.get(m), 0) / months.length),
+      months: months.length,
+      lastDate: members[members.length - 1].date,
+      members,
+    });
+  }
+  candidates.sort((a, b) => (b.key === 'salary') - (a.key === 'salary') || b.months - a.months || b.amount - a.amount);
+  return candidates[0] || null;
+}
+
+// Average of end-of-day balances over every day of the window (a day with no activity keeps the last balance)
+function averageDailyBalance(txns, start, end) {
+  const before = txns.filter((t) => t.date < start);
+  let bal = before.length ? before[before.length - 1].balance : txns[0].balance - txns[0].amount;
+  let total = 0;
+  let days = 0;
+  let i = before.length;
+  for (let day = start.getTime(); day <= end.getTime(); day += DAY_MS) {
+    while (i < txns.length && txns[i].date.getTime() <= day) bal = txns[i++].balance;
+    total += bal;
+    days++;
+  }
+  return days ? round(total / days) : null;
+}
+
+/**
+ * @param {object} statement  from parseStatement()
+ * @param {object} [thresholds]  see DEFAULT_THRESHOLDS
+ */
+function financialProfile(statement, thresholds = {}) {
+  const th = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const all = statement.transactions;
+  const end = all[all.length - 1].date;
+  const sixBack = new Date(end);
+  sixBack.setUTCMonth(sixBack.getUTCMonth() - WINDOW_MONTHS);
+  const start = new Date(Math.max(all[0].date.getTime(), sixBack.getTime() + DAY_MS));
+  const txns = all.filter((t) => t.date >= start);
+  const months = Math.max(1, Math.round(((end - start) / DAY_MS + 1) / 30.44 * 10) / 10);
+
+  const credits = txns.filter((t) => t.amount > 0);
+  const debits = txns.filter((t) => t.amount < 0);
+  const inflow = credits.reduce((n, t) => n + t.amount, 0);
+  const outflow = -debits.reduce((n, t) => n + t.amount, 0);
+  const hasBalances = txns.every((t) => t.balance !== null && t.balance !== undefined);
+
+  const salary = findSalary(credits, th.salaryMinMonths);
+  const reference = salary ? salary.amount : median(credits.map((t) => t.amount));
+  const largeDeposits = credits
+    .filter((t) => !(salary && salary.members.includes(t)))
+    .filter((t) => t.amount >= th.largeDepositMin && t.amount >= th.largeDepositMultiple * reference)
+    .map((t) => {
+      const daysBeforeEnd = Math.round((end - t.date) / DAY_MS);
+      return {
+        date: isoDay(t.date),
+        amount: t.amount,
+        description: t.description,
+        multiple: reference ? Math.round((t.amount / reference) * 10) / 10 : undefined,
+        recent: daysBeforeEnd <= th.recentDays,
+        daysBeforeEnd,
+      };
+    });
+
+  const monthly = [];
+  for (const t of txns) {
+    const key = monthKey(t.date);
+    let m = monthly.find((x) => x.month === key);
+    if (!m) monthly.push((m = { month: key, credits: 0, debits: 0, closingBalance: null }));
+    if (t.amount > 0) m.credits += t.amount;
+    else m.debits -= t.amount;
+    if (hasBalances) m.closingBalance = t.balance;
+  }
+
+  return {
+    currency: statement.currency || 'NGN',
+    format: statement.format,
+    bank: statement.bank,
+    period: { from: isoDay(start), to: isoDay(end), months },
+    transactions: txns.length,
+    closingBalance: hasBalances ? txns[txns.length - 1].balance : null,
+    averageBalance: hasBalances ? averageDailyBalance(all, start, end) : null,
+    averageMonthlyInflow: round(inflow / months),
+    averageMonthlyOutflow: round(outflow / months),
+    salary: salary
+      ? { description: salary.description, amount: salary.amount, months: salary.months, lastDate: isoDay(salary.lastDate) }
+      : null,
+    largeDeposits,
+    monthly: monthly.map((m) => ({ ...m, credits: round(m.credits), debits: round(m.debits) })),
+    thresholds: th,
+    warnings: statement.warnings,
+  };
+}
+
+/**
+ * Payload fields the profile fills, as display strings in the statement's currency.
+ * @returns {object}  subset of currentBankBalance, averageBalance, income, salaryCredits, monthlyExpenses, bankStatementDetails
+ */
+function profileFields(profile) {
+  const money = (amount) => formatMoney({ amount, currency: profile.currency });
+  const fields = {};
+  if (profile.closingBalance !== null) fields.currentBankBalance = money(profile.closingBalance);
+  if (profile.averageBalance !== null) fields.averageBalance = money(profile.averageBalance);
+  if (profile.salary) {
+    fields.income = money(profile.salary.amount);
+    fields.salaryCredits = `${money(profile.salary.amount)} monthly, credited in ${profile.salary.months} of the last ${Math.ceil(profile.period.months)} months`;
+  }
+  if (profile.averageMonthlyOutflow) fields.monthlyExpenses = money(profile.averageMonthlyOutflow);
+
+  const from = longDate(new Date(profile.period.from));
+  const to = longDate(new Date(profile.period.to));
+  const bits = [];
+  if (profile.closingBalance !== null) bits.push(`closing balance ${money(profile.closingBalance)}`);
+  if (profile.averageBalance !== null) bits.push(`average balance ${money(profile.averageBalance)}`);
+  if (profile.salary) bits.push(`salary of about ${money(profile.salary.amount)} credited monthly`);
+  bits.push(`average monthly outflow ${money(profile.averageMonthlyOutflow)}`);
+  fields.bankStatementDetails = `${profile.bank ? `${profile.bank} statement` : 'Bank statement'} from ${from} to ${to}: ${bits.join('; ')}.`;
+  return fields;
+}
+
+// What staff must explain before the letter can rely on the balance
+function depositFlags(profile) {
+  const money = (amount) => formatMoney({ amount, currency: profile.currency });
+  return profile.largeDeposits.map((d) => ({
+    field: 'significantTransactions',
+    date: d.date,
+    amount: d.amount,
+    message: `${money(d.amount)} credited on ${longDate(new Date(d.date))}${d.description ? ` (${d.description})` : ''}`
+      + `${d.multiple ? `, ${d.multiple}× the usual monthly credit` : ''}${d.recent ? `, ${d.daysBeforeEnd} days before the statement ends` : ''}.`,
+    recommendation: 'Explain the source of this deposit in significantTransactions and attach evidence (sale agreement, gift letter, loan document).',
+  }));
+}
+
+module.exports = { DEFAULT_THRESHOLDS, parseStatement, financialProfile, profileFields, depositFlags };
@@ -0,0 +1,120 @@
+/**
+ * Batch upload parsing (CSV / JSONL) for group applications
+ * ---------------------------------------------------------
+ * - CSV: RFC 4180 quoting ("a, b", "say ""hi"""), CRLF or LF, first row is the header
+ * - JSONL: one JSON object per line; blank lines are skipped
+ * - toCsv() writes the per-row job report with the same quoting rules
+ * - Columns map to payload fields by key ("passportNumber") or schema label ("Passport Number"),
+ *   case- and punctuation-insensitive; unknown columns are reported, not fatal
+ */
+
+const { FIELDS } = require('./payload_schema');
+
+const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// "fullname" / "name" -> "name"
+const COLUMN_INDEX = new Map();
+for (const [key, spec] of Object.entries(FIELDS)) {
+  COLUMN_INDEX.set(norm(key), key);
+  if (!COLUMN_INDEX.has(norm(spec.label))) COLUMN_INDEX.set(norm(spec.label), key);
+}
+
+function fieldForColumn(column) {
+  return COLUMN_INDEX.get(norm(column));
+}
+
+// Rows of cells; quoted cells may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const s = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (quoted) throw Object.assign(new Error('CSV has an unterminated quoted cell'), { status: 400 });
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function detectFormat(data) {
+  return /^\s*[{[]/.test(data) ? 'jsonl' : 'csv';
+}
+
+/**
+ * Parse an upload into raw row objects keyed by payload field.
+ * @param {string} data
+ * @param {{ format?: 'csv'|'jsonl' }} [opts]
+ * @returns {{ format: string, rows: Array<{ row: number, values: object }>, warnings: string[] }}
+ * @throws {Error & { status: 400 }} when the upload cannot be read at all
+ */
+function parseBatchInput(data, { format } = {}) {
+  const fmt = (format || detectFormat(data)).toLowerCase();
+  const warnings = [];
+  const unknown = new Set();
+  const map = (obj) => {
+    const values = {};
+    for (const [col, v] of Object.entries(obj)) {
+      const field = fieldForColumn(col);
+      if (field) values[field] = v;
+      else unknown.add(col);
+    }
+    return values;
+  };
+
+  let rows;
+  if (fmt === 'jsonl' || fmt === 'ndjson') {
+    rows = [];
+    String(data).split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      let obj;
+      try {
+        obj = JSON.parse(line);
+      } catch (err) {
+        throw Object.assign(new Error(`JSONL line ${i + 1} is not valid JSON (${err.message})`), { status: 400 });
+      }
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        throw Object.assign(new Error(`JSONL line ${i + 1} must be a JSON object`), { status: 400 });
+      }
+      rows.push({ row: rows.length + 1, values: map(obj) });
+    });
+  } else if (fmt === 'csv') {
+    const [header, ...body] = parseCsv(data);
+    if (!header) throw Object.assign(new Error('CSV is empty'), { status: 400 });
+    rows = body.map((cells, i) => {
+      if (cells.length > header.length) warnings.push(`Row ${i + 1}: ${cells.length - header.length} cell(s) beyond the header were ignored`);
+      return { row: i + 1, values: map(Object.fromEntries(header.map((h, j) => [h.trim(), cells[j] === undefined ? '' : cells[j]]))) };
+    });
+  } else {
+    throw Object.assign(new Error(`Unsupported format "${format}" (expected csv or jsonl)`), { status: 400 });
+  }
+
+  if (unknown.size) warnings.unshift(`Unknown columns ignored: ${[...unknown].join(', ')}`);
+  return { format: fmt === 'ndjson' ? 'jsonl' : fmt, rows, warnings };
+}
+
+// Rows of cells -> CSV text (for the job report)
+function toCsv(rows) {
+  const cell = (v) => {
+    const s = v === undefined || v === null ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseBatchInput, fieldForColumn, toCsv };
@@ -0,0 +1,164 @@
+/**
+ * Case store (file-backed default)
+ * --------------------------------
+ * One JSON file per case under DATA_DIR/cases. Writes go to a temp file and are
+ * renamed into place, so a crash never leaves a half-written case behind.
+ *
+ * Case shape:
+ *   { id, tenantId?, createdAt, updatedAt, payload,
+ *     versions: [{ version, letter, provider, model, promptHash, createdAt, source, verification?, compliance?, language?, letterId? }],
+ *     documents?: [{ number, type, text, provider, model, promptHash, createdAt, verification, check }],
+ *     notes: [{ id, text, author, createdAt }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function notFound(id) {
+  return Object.assign(new Error(`Case not found: ${id}`), { status: 404 });
+}
+
+// Stable hash of the exact prompt sent to the model
+function promptHash(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+function summarise(c) {
+  const latest = c.versions[c.versions.length - 1];
+  return {
+    id: c.id,
+    tenantId: c.tenantId,
+    name: c.payload.name,
+    destination: c.payload.destination,
+    visaType: c.payload.visaType,
+    versions: c.versions.length,
+    documents: (c.documents || []).length,
+    latestModel: latest ? latest.model : undefined,
+    notes: c.notes.length,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+}
+
+function createFileCaseStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (id) => {
+    if (!/^[\w-]+$/.test(id)) throw notFound(id);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw notFound(id);
+      throw err;
+    }
+  }
+
+  async function write(c) {
+    const target = file(c.id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(c, null, 2));
+    await fs.promises.rename(tmp, target);
+    return c;
+  }
+
+  // Serialise read-modify-write per case so concurrent requests can't drop a version
+  const locks = new Map();
+  function update(id, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const c = await read(id);
+      const out = await fn(c);
+      c.updatedAt = new Date().toISOString();
+      await write(c);
+      return out === undefined ? c : out;
+    });
+    locks.set(id, next);
+    next.finally(() => { if (locks.get(id) === next) locks.delete(id); }).catch(() => {});
+    return next;
+  }
+
+  return {
+    async list() {
+      const names = (await fs.promises.readdir(dir)).filter((f) => f.endsWith('.json'));
+      const cases = await Promise.all(names.map((n) => read(n.slice(0, -5)).catch(() => null)));
+      return cases.filter(Boolean).map(summarise).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get: read,
+
+    async create({ payload, notes = [], tenantId }) {
+      const now = new Date().toISOString();
+      const c = { id: crypto.randomUUID(), tenantId, createdAt: now, updatedAt: now, payload, versions: [], notes: [] };
+      for (const n of notes) c.notes.push({ id: crypto.randomUUID(), text: n.text, author: n.author, createdAt: now });
+      return write(c);
+    },
+
+    updatePayload(id, payload) {
+      return update(id, (c) => { c.payload = payload; });
+    },
+
+    async remove(id) {
+      try {
+        await fs.promises.unlink(file(id));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw notFound(id);
+        throw err;
+      }
+    },
+
+    // Regeneration never overwrites: each letter becomes the next version
+    addVersion(id, { letter, provider, model, messages, source = 'generate', verification, compliance, language, letterId }) {
+      return update(id, (c) => {
+        const v = {
+          version: c.versions.length + 1,
+          letter,
+          provider,
+          model,
+          promptHash: messages ? promptHash(messages) : undefined,
+          source,
+          createdAt: new Date().toISOString(),
+          verification,
+          compliance,
+          language, // non-English output only
+          letterId, // outcome tracking (GET /letters/:id)
+        };
+        c.versions.push(v);
+        return v;
+      });
+    },
+
+    // Companion documents (sponsor, employer, invitation letters) sit beside the letter versions
+    addDocument(id, { type, text, provider, model, messages, verification, check }) {
+      return update(id, (c) => {
+        c.documents = c.documents || [];
+        const d = {
+          number: c.documents.length + 1,
+          type,
+          text,
+          provider,
+          model,
+          promptHash: messages ? promptHash(messages) : undefined,
+          createdAt: new Date().toISOString(),
+          verification,
+          check,
+        };
+        c.documents.push(d);
+        return d;
+      });
+    },
+
+    addNote(id, { text, author }) {
+      return update(id, (c) => {
+        const n = { id: crypto.randomUUID(), text, author, createdAt: new Date().toISOString() };
+        c.notes.push(n);
+        return n;
+      });
+    },
+  };
+}
+
+module.exports = { createFileCaseStore, promptHash, summarise };
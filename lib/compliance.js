@@ -0,0 +1,340 @@
+/**
+ * Structure & quality-checklist compliance
+ * ----------------------------------------
+ * - Parses a generated letter into sections (contact, date, embassy, subject, salutation, body, closing)
+ * - Binds each guideline line in rules/structure_guide.txt + rules/quality_checklist.txt to an automated check
+ *   (lines with no automated check are reported as "manual")
+ * - Adds the layout rules buildMessages itself enforces (rationale paragraph, plain text, no bullets,
+ *   no sentences copied from samples — see lib/sample_index.js)
+ * - Builds targeted fix instructions for the bounded repair loop
+ */
+
+const { extractDates } = require('./fact_check');
+const { findCopiedPassages } = require('./sample_index');
+
+const SUBJECT_RE = /^\s*(?:subject\s*:|re\s*:)?\s*application for\b/i;
+const SALUTATION_RE = /^\s*(dear\b|to whom it may concern)/i;
+const CLOSING_RE = /^\s*(sincerely|yours (?:faithfully|sincerely|truly)|kind regards|best regards|regards)\s*,?\s*$/i;
+const EMBASSY_RE = /embassy|high commission|consulate|visa (?:office|section|officer|application cent)|commissioner|ambassador/i;
+const RATIONALE_RE = /^\s*why my application merits approval( now)?\s*:?\s*$/im;
+const BULLET_RE = /^\s*(?:[-*•▪●]|\d+[.)])\s+\S/m;
+const MARKDOWN_RE = /\*\*[^*]+\*\*|__[^_]+__|^\s*#{1,6}\s|`[^`]+`|\[[^\]]+\]\([^)]+\)|^\s*>\s/m;
+
+function splitBlocks(lines) {
+  const blocks = [];
+  let cur = [];
+  for (const l of lines) {
+    if (!l.trim()) {
+      if (cur.length) blocks.push(cur);
+      cur = [];
+    } else cur.push(l.trim());
+  }
+  if (cur.length) blocks.push(cur);
+  return blocks;
+}
+
+/**
+ * Split a plain-text letter into its expected sections.
+ * Missing sections come back as empty strings / arrays.
+ */
+function parseLetter(text) {
+  const lines = String(text || '').replace(/\r/g, '').split('\n');
+  const subjectIdx = lines.findIndex((l) => SUBJECT_RE.test(l));
+  const salutationIdx = lines.findIndex((l) => SALUTATION_RE.test(l));
+  let closingIdx = -1;
+  lines.forEach((l, i) => { if (CLOSING_RE.test(l)) closingIdx = i; });
+
+  const starts = [subjectIdx, salutationIdx].filter((i) => i !== -1);
+  const headerEnd = starts.length ? Math.min(...starts) : 0;
+  const headerBlocks = splitBlocks(lines.slice(0, headerEnd));
+
+  // Contact block first, embassy block after it (split on the first embassy-looking line if not separated)
+  let contact = headerBlocks[0] || [];
+  let embassy = headerBlocks.slice(1).flat();
+  if (!embassy.length) {
+    const e = contact.findIndex((l) => EMBASSY_RE.test(l));
+    if (e > 0) {
+      embassy = contact.slice(e);
+      contact = contact.slice(0, e);
+    } else if (e === 0) {
+      embassy = contact;
+      contact = [];
+    }
+  }
+  const dateLine = [...contact, ...embassy].find((l) => extractDates(l).length && l.length < 40) || '';
+
+  const bodyStart = salutationIdx !== -1 ? salutationIdx + 1 : (subjectIdx !== -1 ? subjectIdx + 1 : 0);
+  const bodyEnd = closingIdx !== -1 ? closingIdx : lines.length;
+  const paragraphs = splitBlocks(lines.slice(bodyStart, bodyEnd)).map((b) => b.join('\n'));
+  const signature = closingIdx !== -1 ? (lines.slice(closingIdx + 1).find((l) => l.trim()) || '').trim() : '';
+
+  return {
+    contact: contact.filter((l) => l !== dateLine),
+    date: dateLine,
+    embassy: embassy.filter((l) => l !== dateLine),
+    subject: subjectIdx !== -1 ? lines[subjectIdx].trim() : '',
+    salutation: salutationIdx !== -1 ? lines[salutationIdx].trim() : '',
+    paragraphs,
+    body: paragraphs.join('\n\n'),
+    closing: closingIdx !== -1 ? lines[closingIdx].trim() : '',
+    signature,
+  };
+}
+
+const has = (re, s) => re.test(s || '');
+const mentions = (value, s) => Boolean(value) && String(s || '').toLowerCase().includes(String(value).toLowerCase());
+
+// Each check binds to guideline lines by `guideline` regex; `prompt` checks come from buildMessages itself
+const CHECKS = [
+  {
+    id: 'contact_block',
+    guideline: /contact block|applicant contact/i,
+    run: (L, ctx) => {
+      const p = ctx.payload;
+      const provided = [p.name, p.applicantAddress, p.contactPhone, p.contactEmail].filter(Boolean);
+      if (!L.contact.length) return 'No applicant contact block before the embassy block.';
+      const missing = provided.filter((v) => !mentions(v, L.contact.join('\n')));
+      return missing.length ? `Contact block is missing: ${missing.join(', ')}.` : null;
+    },
+    fix: 'Start the letter with the applicant contact block (name, address, phone, email — only those provided), each on its own line.',
+  },
+  {
+    id: 'letter_date',
+    guideline: /current date/i,
+    run: (L) => (L.date ? null : 'No date line in the letter heading.'),
+    fix: 'Add the current date on its own line directly after the applicant contact block.',
+  },
+  {
+    id: 'embassy_block',
+    guideline: /embassy\s*\/\s*consulate block|embassy block/i,
+    run: (L, ctx) => {
+      if (!L.embassy.length) return 'No embassy/consulate block before the subject line.';
+      if (ctx.payload.embassyName && !mentions(ctx.payload.embassyName, L.embassy.join('\n'))) return `Embassy block does not name "${ctx.payload.embassyName}".`;
+      return null;
+    },
+    fix: 'Add the embassy/consulate block (name and address, only as provided) between the date and the subject line.',
+  },
+  {
+    id: 'subject_line',
+    guideline: /subject line/i,
+    run: (L, ctx) => {
+      if (!L.subject) return 'No subject line of the form "Application for [Visa Type] Visa to [Destination]".';
+      if (ctx.payload.destination && !mentions(ctx.payload.destination, L.subject)) return `Subject line does not name the destination "${ctx.payload.destination}".`;
+      return null;
+    },
+    fix: (ctx) => `Use exactly this subject line on its own line before the salutation: "${ctx.subject || `Application for ${ctx.payload.visaType || 'Visitor'} Visa to ${ctx.payload.destination || '[Destination]'}`}".`,
+  },
+  {
+    id: 'salutation',
+    guideline: /salutation/i,
+    run: (L) => (L.salutation ? null : 'No salutation (e.g. "Dear Sir/Madam,").'),
+    fix: (ctx) => `Add the salutation "${ctx.salutation || 'Dear Sir/Madam,'}" on its own line after the subject line.`,
+  },
+  {
+    id: 'identity_purpose',
+    guideline: /identity (?:&|and) purpose/i,
+    run: (L, ctx) => (mentions(ctx.payload.destination, L.body) || /purpose|visit|travel/i.test(L.paragraphs[0] || '') ? null : 'Opening paragraph does not state the purpose of travel.'),
+    fix: 'Open the body with a paragraph stating who the applicant is, the purpose of travel and the travel dates.',
+  },
+  {
+    id: 'employment_finances',
+    guideline: /employment.*financ/i,
+    run: (L) => (has(/income|salary|earn|balance|fund|financ|sponsor/i, L.body) ? null : 'Body does not cover employment/business and finances.'),
+    fix: 'Add a paragraph on employment or business and finances (income, balance, trip cost — only as provided).',
+  },
+  {
+    id: 'funding_accommodation',
+    guideline: /funding and accommodation|funding & accommodation/i,
+    applies: (ctx) => ctx.sponsored || Boolean(ctx.payload.stayDetails || ctx.payload.accommodation),
+    run: (L, ctx) => {
+      if (ctx.sponsored && ctx.payload.sponsorName && !mentions(ctx.payload.sponsorName, L.body)) return `Sponsor "${ctx.payload.sponsorName}" is not identified in the body.`;
+      if (!ctx.sponsored && !has(/accommodat|stay|hotel|host/i, L.body)) return 'Accommodation details are not mentioned.';
+      return null;
+    },
+    fix: 'Add a paragraph on funding and accommodation that names the sponsor, their relationship and the accommodation, as provided.',
+  },
+  {
+    id: 'supporting_documents',
+    guideline: /supporting documents/i,
+    run: (L) => (has(/attach|enclos|support(?:ing)? doc|evidence|submitted/i, L.body) ? null : 'Supporting documents are not referenced.'),
+    fix: 'Reference the supporting documents (only those listed in the facts) in one sentence.',
+  },
+  {
+    id: 'ties_return',
+    guideline: /ties|return assurance/i,
+    run: (L) => (has(/\breturn\b/i, L.body) && has(/ties|family|employ|business|property|commitment/i, L.body) ? null : 'Ties to home country and assurance of return are not clearly stated.'),
+    fix: 'Add a paragraph on ties to Nigeria (family, employment/business, property — as provided) and a clear assurance of return.',
+  },
+  {
+    id: 'refusal_rebuttal',
+    guideline: /refusal rebuttal/i,
+    applies: (ctx) => ctx.reapplication,
+    run: (L) => (has(/refus/i, L.body) ? null : 'Reapplication letter does not address the previous refusal.'),
+    fix: 'Add a short paragraph acknowledging the previous refusal and addressing each refusal point with the new evidence.',
+  },
+  {
+    id: 'closing',
+    guideline: /closing/i,
+    run: (L, ctx) => {
+      if (!/^sincerely,?$/i.test(L.closing)) return L.closing ? `Closing is "${L.closing}", expected "Sincerely,".` : 'No closing line.';
+      if (ctx.payload.name && !mentions(ctx.payload.name, L.signature)) return 'Closing is not followed by the applicant\'s full name.';
+      return null;
+    },
+    fix: (ctx) => `End with "Sincerely," on its own line followed by "${ctx.payload.name || 'the applicant\'s full name'}".`,
+  },
+  {
+    id: 'applicant_embassy_info',
+    guideline: /correct applicant and embassy info/i,
+    run: (L, ctx) => {
+      const missing = [ctx.payload.name, ctx.payload.embassyName, ctx.payload.embassyAddress].filter((v) => v && !mentions(v, [L.contact, L.embassy, L.signature].flat().join('\n')));
+      return missing.length ? `Heading/signature is missing: ${missing.join(', ')}.` : null;
+    },
+    fix: 'Use the applicant name and embassy name/address exactly as provided in the heading and signature.',
+  },
+  {
+    id: 'paragraph_length',
+    guideline: /concise paragraphs/i,
+    severity: 'warning',
+    run: (L) => {
+      const long = L.paragraphs.filter((p) => p.length > 700);
+      return long.length ? `${long.length} paragraph(s) run past ~5 lines.` : null;
+    },
+    fix: 'Split any paragraph longer than five lines into shorter paragraphs.',
+  },
+  {
+    id: 'facts_consistent',
+    guideline: /facts consistent/i,
+    applies: (ctx) => Boolean(ctx.verification),
+    run: (_L, ctx) => (ctx.verification.passed ? null : `${ctx.verification.flags.filter((f) => f.severity === 'error').length} fact(s) not found in the intake form (see verification).`),
+    fix: null, // handled by the verification correction pass
+  },
+  {
+    id: 'rationale_paragraph',
+    prompt: 'Include a short paragraph titled "Why my application merits approval"',
+    run: (L, ctx) => {
+      const m = RATIONALE_RE.exec(L.body);
+      if (!m) return 'Missing the "Why my application merits approval" paragraph.';
+      if (ctx.reapplication && !m[1]) return 'Reapplication rationale should be titled "Why my application merits approval now".';
+      return null;
+    },
+    fix: (ctx) => `Add a short prose paragraph headed "${ctx.reapplication ? 'Why my application merits approval now' : 'Why my application merits approval'}" (heading on its own line) just before the closing.`,
+  },
+  {
+    id: 'plain_text',
+    prompt: 'Plain text only (no bold, italics, headings or links)',
+    run: (_L, ctx) => (MARKDOWN_RE.test(ctx.letter) ? 'Letter contains markdown formatting.' : null),
+    fix: 'Remove all markdown (**bold**, _italics_, # headings, links); return plain text only.',
+  },
+  {
+    id: 'no_bullets',
+    prompt: 'Avoid bullet lists in the final letter',
+    run: (_L, ctx) => (BULLET_RE.test(ctx.letter) ? 'Letter contains bullet or numbered lists.' : null),
+    fix: 'Rewrite every bullet or numbered list as cohesive prose sentences.',
+  },
+  {
+    id: 'no_verbatim_copy',
+    prompt: 'Synthesize style from samples without copying any sentence verbatim',
+    run: (_L, ctx) => {
+      if (!ctx.copied.length) return null;
+      const quoted = ctx.copied.slice(0, 5).map((c) => `"${c.text.length > 160 ? `${c.text.slice(0, 157)}…` : c.text}" (${c.sample})`);
+      const more = ctx.copied.length > 5 ? ` and ${ctx.copied.length - 5} more` : '';
+      return `${ctx.copied.length} passage(s) copied verbatim from samples: ${quoted.join('; ')}${more}.`;
+    },
+    fix: 'Rewrite each quoted passage in your own words, keeping its facts; samples are style references only.',
+  },
+];
+
+// Sample passages the letter repeats word for word (payload values and rule/mini template wording excluded)
+function copiedPassages(letter, ctx) {
+  if (!ctx.sop.sampleIndex) return [];
+  const facts = Object.values(ctx.payload || {}).filter((v) => typeof v === 'string');
+  const allowed = [...Object.values(ctx.sop.rules || {}), ...(ctx.sop.minis || [])].map((a) => a.text);
+  return findCopiedPassages(letter, ctx.sop.sampleIndex, { facts, allowed });
+}
+
+// Guideline lines from the SOP rule files, without numbering/bullets/headers
+function guidelineLines(text, source) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').trim())
+    .filter((l) => l && !/:$/.test(l))
+    .map((text) => ({ source, text }));
+}
+
+/**
+ * Run every bound rule against a letter.
+ * @param {string} letter
+ * @param {{ sop: object, payload: object, reapplication: boolean, sponsored: boolean, verification?: object,
+ *   subject?: string, salutation?: string }} ctx  subject/salutation come from the destination pack, if any
+ * @returns {{ passed: boolean, sections: object, copied: Array<object>, rules: Array<object> }}
+ */
+function checkCompliance(letter, ctx) {
+  const L = parseLetter(letter);
+  const full = { ...ctx, letter: String(letter || ''), copied: copiedPassages(letter, ctx) };
+  const guidelines = [
+    ...guidelineLines(ctx.sop.structureGuide, 'structure_guide'),
+    ...guidelineLines(ctx.sop.qualityChecklist, 'quality_checklist'),
+  ];
+
+  const rules = [];
+  const bound = new Set();
+  for (const check of CHECKS) {
+    const sources = check.prompt
+      ? [{ source: 'prompt', text: check.prompt }]
+      : guidelines.filter((g) => check.guideline.test(g.text));
+    if (!sources.length) continue; // rule file no longer asks for it
+    sources.forEach((g) => bound.add(g));
+
+    const severity = check.severity || 'error';
+    if (check.applies && !check.applies(full)) {
+      rules.push({ id: check.id, status: 'skipped', severity, guidelines: sources });
+      continue;
+    }
+    const message = check.run(L, full);
+    rules.push({ id: check.id, status: message ? 'fail' : 'pass', severity, guidelines: sources, ...(message ? { message } : {}) });
+  }
+
+  // Guidelines no automated check covers (tone, grammar, …) stay visible for the reviewer
+  for (const g of guidelines) {
+    if (!bound.has(g)) rules.push({ id: 'manual', status: 'manual', severity: 'info', guidelines: [g] });
+  }
+
+  return {
+    passed: !rules.some((r) => r.status === 'fail' && r.severity === 'error'),
+    sections: {
+      contact: L.contact.length > 0,
+      date: Boolean(L.date),
+      embassy: L.embassy.length > 0,
+      subject: L.subject,
+      salutation: L.salutation,
+      paragraphs: L.paragraphs.length,
+      closing: L.closing,
+      signature: L.signature,
+    },
+    copied: full.copied,
+    rules,
+  };
+}
+
+// Targeted repair instruction listing only the failed rules
+function buildRepairMessage(report, ctx) {
+  const fixes = report.rules
+    .filter((r) => r.status === 'fail' && r.severity === 'error')
+    .map((r) => {
+      const check = CHECKS.find((c) => c.id === r.id);
+      const fix = check && (typeof check.fix === 'function' ? check.fix(ctx) : check.fix);
+      return fix ? `- ${r.message} Fix: ${fix}` : null;
+    })
+    .filter(Boolean);
+  if (!fixes.length) return null;
+  return {
+    role: 'user',
+    content:
+`The previous draft does not follow the required letter structure:
+${fixes.join('\n')}
+
+Return the full corrected letter. Change only what is needed to fix the items above, keep every fact unchanged, and do not add new facts. Plain text only.`,
+  };
+}
+
+module.exports = { parseLetter, checkCompliance, buildRepairMessage };
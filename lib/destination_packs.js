@@ -0,0 +1,163 @@
+/**
+ * Destination-specific consular rule packs (destination_packs/*.json)
+ * ------------------------------------------------------------------
+ * One pack per consular regime (UK, Schengen, US, Canada, …), selected by payload.destination:
+ *
+ *   {
+ *     "id": "uk", "name": "UK Standard Visitor", "version": 1,
+ *     "aliases": ["uk", "united kingdom", …],            // matched case-insensitively
+ *     "visaName": "Standard Visitor Visa",              // {visaName} in subject/embassy text
+ *     "subject": "Application for {visaName} ({visaType}) to {destination}",
+ *     "salutation": "Dear Sir/Madam,",
+ *     "embassy": { "name": "…", "address": "…", "skipFor": ["schengen"] },   // defaults when not provided
+ *     "passportValidityMonths": 3,                      // validity required beyond the return date
+ *     "requiredEvidence": [{ "id", "label", "fields": [...], "keywords": [...] }],
+ *     "structure": ["extra body items"], "phrasing": ["phrasing rules"]
+ *   }
+ *
+ * - Packs are loaded and validated with the SOP set (same reload / version semantics)
+ * - Destinations no pack claims keep the generic behaviour
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KNOWN_KEYS = new Set(['id', 'name', 'version', 'aliases', 'visaName', 'subject', 'salutation', 'embassy', 'passportValidityMonths', 'requiredEvidence', 'structure', 'phrasing']);
+
+// Free-text fields an evidence keyword may appear in ("travel insurance attached", "DS-160 confirmation")
+const EVIDENCE_TEXT_FIELDS = ['documents', 'supportingLetters', 'sponsorDocs', 'inviterDocs', 'bankStatementDetails', 'travelItinerary', 'stayDetails', 'accommodation'];
+
+const norm = (s) => String(s || '').trim().toLowerCase().replace(/^the\s+/, '').replace(/\s+/g, ' ');
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === 'string');
+
+// ---------- load + validate ----------
+function validatePack(pack, label, problems) {
+  for (const key of Object.keys(pack)) {
+    if (!KNOWN_KEYS.has(key)) problems.push(`${label}: unknown key "${key}"`);
+  }
+  if (!pack.id || typeof pack.id !== 'string') problems.push(`${label}: id is required`);
+  if (!pack.name || typeof pack.name !== 'string') problems.push(`${label}: name is required`);
+  if (!isStringList(pack.aliases) || !pack.aliases.length) problems.push(`${label}: aliases must be a non-empty list of strings`);
+  if (pack.subject !== undefined && !/\{destination\}/.test(pack.subject)) {
+    problems.push(`${label}: subject must contain {destination} (the subject-line check looks for it)`);
+  }
+  if (pack.visaName !== undefined && (typeof pack.visaName !== 'string' || !pack.visaName.trim())) {
+    problems.push(`${label}: visaName must be a non-empty string`);
+  }
+  if (pack.visaName === undefined && /\{visaName\}/.test(pack.subject || '')) {
+    problems.push(`${label}: subject uses {visaName} but the pack has no visaName`);
+  }
+  if (pack.passportValidityMonths !== undefined && !(Number.isInteger(pack.passportValidityMonths) && pack.passportValidityMonths >= 0)) {
+    problems.push(`${label}: passportValidityMonths must be a whole number ≥ 0`);
+  }
+  if (pack.embassy !== undefined && (typeof pack.embassy !== 'object' || !pack.embassy.name)) {
+    problems.push(`${label}: embassy needs at least a name`);
+  }
+  for (const key of ['structure', 'phrasing']) {
+    if (pack[key] !== undefined && !isStringList(pack[key])) problems.push(`${label}: ${key} must be a list of strings`);
+  }
+  (pack.requiredEvidence || []).forEach((e, i) => {
+    if (!e || !e.id || !e.label) problems.push(`${label}: requiredEvidence[${i}] needs id and label`);
+    else if (!isStringList(e.fields || []) || !isStringList(e.keywords || [])) {
+      problems.push(`${label}: requiredEvidence "${e.id}" fields/keywords must be lists of strings`);
+    }
+  });
+}
+
+/**
+ * Read every pack in `dirs` (one directory or a list; a later file with the same name replaces an earlier one).
+ * A missing directory means "no packs" (generic behaviour everywhere).
+ * Problems are appended to `problems`; the caller decides whether to fail.
+ */
+function loadPacks(dirs, problems) {
+  const byName = new Map();
+  for (const dir of [].concat(dirs || []).filter((d) => fs.existsSync(d))) {
+    for (const f of fs.readdirSync(dir).filter((n) => /\.json$/i.test(n))) byName.set(f, path.join(dir, f));
+  }
+  const packs = [];
+  const claimed = new Map();
+  for (const f of [...byName.keys()].sort()) {
+    const file = byName.get(f);
+    const label = `${path.basename(path.dirname(file))}/${f}`;
+    let pack;
+    try {
+      pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      problems.push(`${label}: invalid JSON (${err.message})`);
+      continue;
+    }
+    validatePack(pack, label, problems);
+    for (const alias of isStringList(pack.aliases) ? pack.aliases : []) {
+      const a = norm(alias);
+      if (claimed.has(a)) problems.push(`${label}: alias "${alias}" is already claimed by ${claimed.get(a)}`);
+      else claimed.set(a, label);
+    }
+    packs.push({ ...pack, file: f });
+  }
+  return packs;
+}
+
+// ---------- selection ----------
+function findPack(packs, destination) {
+  const d = norm(destination);
+  if (!d) return null;
+  return (packs || []).find((p) => p.aliases.some((a) => norm(a) === d)) || null;
+}
+
+function fill(template, payload, pack) {
+  return String(template)
+    .replace(/\{visaName\}/g, (pack && pack.visaName) || `${payload.visaType || 'Visitor'} Visa`)
+    .replace(/\{destination\}/g, payload.destination || '[Destination]')
+    .replace(/\{visaType\}/g, payload.visaType || 'Visitor');
+}
+
+// Subject/salutation the letter should use under this pack (undefined = generic)
+function packSubject(pack, payload) {
+  return pack && pack.subject ? fill(pack.subject, payload, pack) : undefined;
+}
+
+/**
+ * Fill embassyName/embassyAddress from the pack when the applicant left them empty.
+ * Returns a new payload; the one passed in is not modified.
+ */
+function applyPackDefaults(payload, pack) {
+  const e = pack && pack.embassy;
+  if (!e || payload.embassyName) return payload;
+  if ((e.skipFor || []).some((s) => norm(s) === norm(payload.destination))) return payload;
+  return {
+    ...payload,
+    embassyName: fill(e.name, payload, pack),
+    embassyAddress: payload.embassyAddress || (e.address ? fill(e.address, payload, pack) : undefined),
+  };
+}
+
+// ---------- evidence ----------
+function evidenceStatus(pack, payload) {
+  const text = EVIDENCE_TEXT_FIELDS.map((k) => payload[k] || '').join('\n').toLowerCase();
+  return (pack.requiredEvidence || []).map((e) => ({
+    id: e.id,
+    label: e.label,
+    provided: (e.fields || []).some((k) => payload[k]) || (e.keywords || []).some((k) => text.includes(k.toLowerCase())),
+  }));
+}
+
+function missingEvidence(pack, payload) {
+  return pack ? evidenceStatus(pack, payload).filter((e) => !e.provided) : [];
+}
+
+// "--- DESTINATION PACK (…) ---" block for the prompt (the template renderer reads Subject/Salutation back)
+function packPromptBlock(pack, payload) {
+  if (!pack) return '';
+  const lines = [`--- DESTINATION PACK (${pack.name}) ---`];
+  if (pack.subject) lines.push(`Subject: ${packSubject(pack, payload)}`);
+  if (pack.salutation) lines.push(`Salutation: ${pack.salutation}`);
+  if (pack.phrasing && pack.phrasing.length) lines.push('Phrasing rules:', ...pack.phrasing.map((r) => `- ${r}`));
+  const evidence = evidenceStatus(pack, payload);
+  if (evidence.length) {
+    lines.push('Evidence this post expects (reference only items marked provided; never claim the others):');
+    lines.push(...evidence.map((e) => `- ${e.label}: ${e.provided ? 'provided' : 'NOT provided'}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { loadPacks, findPack, packSubject, applyPackDefaults, evidenceStatus, missingEvidence, packPromptBlock };
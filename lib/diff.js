@@ -0,0 +1,66 @@
+/**
+ * Small LCS diff for letters (a few hundred lines / a few thousand words at most)
+ */
+
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // dp[i][j] = LCS length of a[i:] and b[j:]
+  const dp = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, value) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.value.push(value);
+    else ops.push({ type, value: [value] });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { push('equal', a[i]); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) { push('delete', a[i]); i++; }
+    else { push('insert', b[j]); j++; }
+  }
+  while (i < n) push('delete', a[i++]);
+  while (j < m) push('insert', b[j++]);
+  return ops;
+}
+
+/**
+ * Line diff between two letters.
+ * @returns {{ changes: Array<{ type: 'equal'|'insert'|'delete', lines: string[] }>, stats: { added: number, removed: number }, unified: string }}
+ */
+function diffLines(before, after) {
+  const ops = lcsDiff(String(before || '').split('\n'), String(after || '').split('\n'));
+  const stats = { added: 0, removed: 0 };
+  const unified = [];
+  for (const op of ops) {
+    const sign = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+    if (op.type === 'insert') stats.added += op.value.length;
+    if (op.type === 'delete') stats.removed += op.value.length;
+    for (const l of op.value) unified.push(sign + ' ' + l);
+  }
+  return { changes: ops.map((o) => ({ type: o.type, lines: o.value })), stats, unified: unified.join('\n') };
+}
+
+/**
+ * Word diff (whitespace kept with each word) — useful for small in-paragraph edits.
+ * @returns {{ changes: Array<{ type: 'equal'|'insert'|'delete', text: string }>, stats: { added: number, removed: number } }}
+ */
+function diffWords(before, after) {
+  const split = (s) => String(s || '').match(/\S+\s*|\s+/g) || [];
+  const ops = lcsDiff(split(before), split(after));
+  const stats = { added: 0, removed: 0 };
+  for (const op of ops) {
+    if (op.type === 'insert') stats.added += op.value.length;
+    if (op.type === 'delete') stats.removed += op.value.length;
+  }
+  return { changes: ops.map((o) => ({ type: o.type, text: o.value.join('') })), stats };
+}
+
+module.exports = { diffLines, diffWords };
@@ -0,0 +1,183 @@
+/**
+ * Companion documents: sponsor undertaking, employer no-objection/leave letter, host invitation
+ * ------------------------------------------------------------------------------------------
+ * - Each type has its own SOP template (document_templates/<type>.txt, front matter like other assets)
+ *   with {field} placeholders from the payload schema, {field|lower}, and {today}
+ * - Built from the same payload as the cover letter; the fact check then holds every document to it,
+ *   so names, dates and amounts match across a case
+ * - renderDocument() fills the template offline (template provider); a sentence or line with an empty
+ *   placeholder is dropped, never guessed
+ * - checkDocument() confirms the facts each document must state are actually in it
+ */
+
+const { FIELDS } = require('./payload_schema');
+const { clean } = require('./utils');
+
+const DOCUMENT_TYPES = {
+  sponsor_undertaking: {
+    label: 'Sponsorship undertaking letter',
+    signatory: 'sponsorName',
+    signer: 'sponsorName',
+    required: ['sponsorName', 'sponsorRelationship'],
+    mustState: ['name', 'sponsorName', 'destination'],
+    fields: ['name', 'nationality', 'passportNumber', 'destination', 'visaType', 'purpose', 'travelDates', 'entryDate', 'stayDuration',
+      'estimatedTripCost', 'sponsorName', 'sponsorRelationship', 'sponsorOccupation', 'sponsorIncome', 'sponsorAccommodation', 'sponsorDocs',
+      'embassyName', 'embassyAddress'],
+  },
+  employer_letter: {
+    label: 'Employer no-objection / leave approval letter',
+    signatory: 'employerName',
+    signer: null, // signed by an officer whose name we don't collect
+    required: ['employerName', 'occupation'],
+    mustState: ['name', 'employerName', 'occupation', 'destination'],
+    fields: ['name', 'nationality', 'passportNumber', 'destination', 'visaType', 'purpose', 'travelDates', 'entryDate', 'stayDuration',
+      'occupation', 'employerName', 'employerAddress', 'employmentDuration', 'income', 'embassyName', 'embassyAddress'],
+  },
+  invitation_letter: {
+    label: 'Host invitation letter',
+    signatory: 'inviterName',
+    signer: 'inviterName',
+    required: ['inviterName', 'inviterAddress'],
+    mustState: ['name', 'inviterName', 'inviterAddress', 'destination'],
+    fields: ['name', 'nationality', 'dateOfBirth', 'passportNumber', 'destination', 'visaType', 'purpose', 'travelDates', 'entryDate',
+      'stayDuration', 'stayDetails', 'inviterName', 'inviterAddress', 'inviterRelationship', 'inviterDocs', 'embassyName', 'embassyAddress'],
+  },
+};
+
+const PLACEHOLDER_RE = /\{(\w+)(?:\|(lower))?\}/g;
+const MARKDOWN_RE = /\*\*[^*]+\*\*|__[^_]+__|^\s*#{1,6}\s|`[^`]+`/m;
+
+const today = (now) => now.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Template problems found at SOP load: unknown types and placeholders that are not payload fields
+function checkDocumentTemplates(templates, problems) {
+  for (const t of templates) {
+    const type = t.name.replace(/\.\w+$/, '');
+    if (!DOCUMENT_TYPES[type]) problems.push(`document_templates/${t.name}: unknown document type "${type}" (expected ${Object.keys(DOCUMENT_TYPES).join(', ')})`);
+    for (const [, key] of t.text.matchAll(PLACEHOLDER_RE)) {
+      if (key !== 'today' && !FIELDS[key]) problems.push(`document_templates/${t.name}: unknown placeholder {${key}}`);
+    }
+  }
+}
+
+const templateFor = (sop, type) => (sop.documents || []).find((d) => d.name.replace(/\.\w+$/, '') === type) || null;
+
+// Per-field errors (same shape as validatePayload) for what this document cannot do without
+function documentErrors(type, payload) {
+  const spec = DOCUMENT_TYPES[type];
+  return spec.required
+    .filter((f) => !clean(payload[f]))
+    .map((f) => ({ field: f, code: 'required', message: `${FIELDS[f].label} is required for a ${spec.label.toLowerCase()}` }));
+}
+
+// Name the fact check expects under the closing (null: no named signature)
+function documentSigner(type, payload) {
+  const { signer } = DOCUMENT_TYPES[type];
+  return signer ? payload[signer] : null;
+}
+
+// "Label: value" lines for the fields this document may use
+function documentFacts(type, payload) {
+  return DOCUMENT_TYPES[type].fields.filter((f) => clean(payload[f])).map((f) => `${FIELDS[f].label}: ${payload[f]}`);
+}
+
+function fill(text, payload, now) {
+  let missing = false;
+  const out = text.replace(PLACEHOLDER_RE, (_m, key, filter) => {
+    const value = key === 'today' ? today(now) : clean(payload[key]);
+    if (!value) {
+      missing = true;
+      return '';
+    }
+    return filter === 'lower' ? value.toLowerCase() : value;
+  });
+  return missing ? null : out;
+}
+
+/**
+ * Offline rendering: fill the template, dropping any line (heading) or sentence (prose) with an empty placeholder.
+ * @returns {string}
+ */
+function renderDocument(template, payload, { now = new Date() } = {}) {
+  const paragraphs = template.text.replace(/\r/g, '').split(/\n\s*\n/).map((block) => {
+    const lines = block.split('\n').map((line) => {
+      const sentences = line.split(/(?<=[.!?])\s+(?=[A-Z{])/);
+      return sentences.map((s) => fill(s, payload, now)).filter(Boolean).join(' ');
+    });
+    return lines.filter((l) => l.trim()).join('\n');
+  });
+  return paragraphs.filter(Boolean).join('\n\n').trim();
+}
+
+function buildDocumentMessages(type, payload, template, { now = new Date() } = {}) {
+  const spec = DOCUMENT_TYPES[type];
+  const signatory = payload[spec.signatory];
+  return [
+    {
+      role: 'system',
+      content:
+        `You write supporting documents for visa applications. This one is a ${spec.label.toLowerCase()}, ` +
+        `written and signed by ${signatory}.\n` +
+        'Use only the facts given; never invent names, dates, amounts or documents. Plain text only, no bullet lists.\n' +
+        'Every fact must read exactly as given: the applicant\'s cover letter states the same facts and embassies compare them.\n',
+    },
+    {
+      role: 'user',
+      content:
+`--- DOCUMENT TEMPLATE (${template.meta.label || type}; follow its structure, fill it only with the facts below) ---
+${template.text.trim()}
+
+Leave out any sentence whose placeholder has no fact below. Today's date: ${today(now)}.`,
+    },
+    {
+      role: 'user',
+      content:
+`FACTS (use only these):
+${documentFacts(type, payload).map((l) => `- ${l}`).join('\n')}
+
+OUTPUT:
+Return the complete ${spec.label.toLowerCase()} as plain text.`,
+    },
+  ];
+}
+
+/**
+ * Does the document state what it must (applicant, signatory, …) in plain text?
+ * @returns {{ passed: boolean, missing: Array<{ field: string, value: string }>, plainText: boolean }}
+ */
+function checkDocument(type, text, payload) {
+  const lower = String(text || '').toLowerCase();
+  const missing = DOCUMENT_TYPES[type].mustState
+    .filter((f) => clean(payload[f]) && !lower.includes(clean(payload[f]).toLowerCase()))
+    .map((f) => ({ field: f, value: clean(payload[f]) }));
+  const plainText = !MARKDOWN_RE.test(text);
+  return { passed: !missing.length && plainText, missing, plainText };
+}
+
+function buildDocumentRepair(report) {
+  const fixes = [
+    ...report.missing.map((m) => `- State the ${FIELDS[m.field].label.toLowerCase()} exactly as "${m.value}".`),
+    ...(report.plainText ? [] : ['- Remove all markdown formatting; return plain text only.']),
+  ];
+  if (!fixes.length) return null;
+  return {
+    role: 'user',
+    content:
+`The previous draft is incomplete:
+${fixes.join('\n')}
+
+Return the full corrected document. Keep every other fact unchanged and do not add new facts.`,
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  checkDocumentTemplates,
+  templateFor,
+  documentErrors,
+  documentSigner,
+  renderDocument,
+  buildDocumentMessages,
+  checkDocument,
+  buildDocumentRepair,
+};
@@ -0,0 +1,86 @@
+/**
+ * Stable API error codes
+ * ----------------------
+ * - Every error response: { error, code, retryable, requestId, detail?, … }; `error` is for people,
+ *   `code` is what clients branch on (a shipped code is never renamed)
+ * - apiError(code, message) builds an error the handlers send as-is; statusCode-only errors
+ *   (stores, validation) get the code for their HTTP status
+ * - classifyModelError(): provider failures become model_* codes, so an upstream 401/429 never reaches
+ *   the client looking like its own bad key or rate limit
+ */
+
+const ERROR_CODES = {
+  bad_request: { status: 400, retryable: false },
+  invalid_json: { status: 400, retryable: false },
+  validation_failed: { status: 400, retryable: false },
+  unauthorized: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  not_found: { status: 404, retryable: false },
+  conflict: { status: 409, retryable: false },
+  idempotency_in_progress: { status: 409, retryable: true },
+  payload_too_large: { status: 413, retryable: false },
+  unprocessable: { status: 422, retryable: false },
+  letter_rejected: { status: 422, retryable: false },
+  idempotency_key_reused: { status: 422, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  quota_exceeded: { status: 429, retryable: false },
+  internal_error: { status: 500, retryable: false },
+  not_implemented: { status: 501, retryable: false },
+  model_auth_failed: { status: 502, retryable: false },
+  model_rejected_request: { status: 502, retryable: false },
+  model_error: { status: 502, retryable: true },
+  model_rate_limited: { status: 503, retryable: true },
+  model_quota_exhausted: { status: 503, retryable: false },
+  model_unavailable: { status: 503, retryable: true },
+  generation_timeout: { status: 504, retryable: true },
+};
+
+const STATUS_CODES = {
+  400: 'bad_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 409: 'conflict', 413: 'payload_too_large',
+  422: 'unprocessable', 429: 'rate_limited', 501: 'not_implemented', 502: 'model_error', 503: 'model_unavailable', 504: 'generation_timeout',
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+/**
+ * @param {string} code  a key of ERROR_CODES
+ * @param {string} message
+ * @param {object} [extra]  e.g. { retryAfter } (seconds, sent as Retry-After)
+ */
+function apiError(code, message, extra = {}) {
+  const spec = ERROR_CODES[code];
+  if (!spec) throw new Error(`Unknown error code "${code}"`);
+  return Object.assign(new Error(message), { errorCode: code, status: spec.status }, extra);
+}
+
+// Upstream (provider SDK) failure -> model_* error; ours (already coded) pass through
+function classifyModelError(err) {
+  if (err?.errorCode) return err;
+  const status = err?.status || err?.statusCode;
+  const detail = err?.message || 'unknown_error';
+  if (status === 401 || status === 403) return apiError('model_auth_failed', `Model provider rejected our credentials: ${detail}`);
+  if (status === 429 && err.code === 'insufficient_quota') return apiError('model_quota_exhausted', `Model provider quota exhausted: ${detail}`);
+  if (status === 429) return apiError('model_rate_limited', `Model provider rate limit: ${detail}`);
+  if (status === 400 || status === 404 || status === 422) return apiError('model_rejected_request', `Model provider rejected the request: ${detail}`);
+  if (!status || status >= 500) return apiError('model_unavailable', detail);
+  return apiError('model_error', detail);
+}
+
+// Body fields every error response carries (added by the response wrapper in server.js)
+function errorFields(status, body, requestId) {
+  const code = body.code || codeForStatus(status);
+  return { ...body, code, retryable: body.retryable ?? ERROR_CODES[code]?.retryable ?? false, requestId };
+}
+
+/**
+ * Error -> { status, body } for a handler's catch block.
+ * @param {Error} err
+ * @param {string} message  what failed, e.g. "Failed to generate letter"
+ */
+function errorResponse(err, message) {
+  const status = err?.status || err?.statusCode || 500;
+  const code = err?.errorCode || codeForStatus(status);
+  return { status, body: { error: message, code, detail: err?.message || 'unknown_error' } };
+}
+
+module.exports = { ERROR_CODES, codeForStatus, apiError, classifyModelError, errorFields, errorResponse };
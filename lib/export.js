@@ -0,0 +1,202 @@
+/**
+ * Print-ready letter export (PDF + DOCX), fully offline
+ * -----------------------------------------------------
+ * - Splits the letter with the same section parser the compliance report uses
+ * - Agency letterhead from companyName (+ tenant letterhead/contact lines), A4 page, 2.54 cm margins, signature area
+ * - PDF via pdfkit, DOCX via docx — no conversion services
+ *
+ * The built-in PDF fonts cannot draw ₦, so amounts fall back to "NGN " unless
+ * EXPORT_FONT_PATH / EXPORT_FONT_BOLD_PATH point at a TTF that has the glyph.
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const {
+  Document, Packer, Paragraph, TextRun, Header, AlignmentType, BorderStyle,
+} = require('docx');
+const { parseLetter } = require('./compliance');
+
+const A4 = { widthPt: 595.28, heightPt: 841.89, widthTwip: 11906, heightTwip: 16838 };
+const MARGIN = { pt: 72, twip: 1440 }; // 2.54 cm
+const FORMATS = {
+  pdf: { mime: 'application/pdf', ext: 'pdf' },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx' },
+};
+
+function formatDate(d) {
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Body paragraph whose first line is a short title ("Ties to My Home Country") gets it as a heading
+function splitHeading(block) {
+  const lines = block.split('\n');
+  if (lines.length > 1 && lines[0].length < 70 && !/[.,;:!?]$/.test(lines[0])) {
+    return { heading: lines[0], text: lines.slice(1).join(' ') };
+  }
+  return { heading: '', text: lines.join(' ') };
+}
+
+/**
+ * Normalise a letter into the sections every renderer draws.
+ * Falls back to payload fields for blocks the letter itself lacks.
+ * @param {{ now?: Date, letterhead?: string[] }} [opts]  letterhead: extra lines under the company name
+ */
+function buildExportDocument(letter, payload = {}, { now = new Date(), letterhead = [] } = {}) {
+  const L = parseLetter(letter);
+  return {
+    letterhead: { name: payload.companyName || 'No Guide Travel Agent', lines: letterhead },
+    contact: L.contact.length ? L.contact : [payload.name, payload.applicantAddress, payload.contactPhone, payload.contactEmail].filter(Boolean),
+    date: L.date || formatDate(now),
+    embassy: L.embassy.length ? L.embassy : [payload.embassyName, payload.embassyAddress].filter(Boolean),
+    subject: L.subject,
+    salutation: L.salutation || 'Dear Sir/Madam,',
+    paragraphs: L.paragraphs.map(splitHeading),
+    closing: L.closing || 'Sincerely,',
+    signature: L.signature || payload.name || '',
+  };
+}
+
+// ------------------------ PDF ------------------------
+function pdfFonts(doc) {
+  const regular = process.env.EXPORT_FONT_PATH;
+  const bold = process.env.EXPORT_FONT_BOLD_PATH || regular;
+  if (regular && fs.existsSync(regular)) {
+    doc.registerFont('body', regular);
+    doc.registerFont('bold', bold && fs.existsSync(bold) ? bold : regular);
+    return { body: 'body', bold: 'bold', text: (s) => s };
+  }
+  // Standard 14 fonts are WinAnsi only
+  return { body: 'Times-Roman', bold: 'Times-Bold', text: (s) => String(s).replace(/₦\s?/g, 'NGN ') };
+}
+
+function renderPdf(d) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margins: { top: MARGIN.pt, bottom: MARGIN.pt, left: MARGIN.pt, right: MARGIN.pt }, info: { Title: d.subject || 'Visa Cover Letter', Author: d.letterhead.name } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const f = pdfFonts(doc);
+    const width = A4.widthPt - MARGIN.pt * 2;
+
+    // Letterhead
+    doc.font(f.bold).fontSize(16).text(f.text(d.letterhead.name), { align: 'center' });
+    for (const line of d.letterhead.lines) doc.font(f.body).fontSize(9).text(f.text(line), { align: 'center' });
+    const ruleY = doc.y + 4;
+    doc.moveTo(MARGIN.pt, ruleY).lineTo(MARGIN.pt + width, ruleY).lineWidth(0.75).stroke();
+    doc.y = ruleY + 14;
+
+    doc.font(f.body).fontSize(11.5);
+    const block = (lines) => {
+      if (!lines.length) return;
+      doc.text(f.text(lines.join('\n')), { width });
+      doc.moveDown(0.8);
+    };
+    block(d.contact);
+    block([d.date]);
+    block(d.embassy);
+    if (d.subject) {
+      doc.font(f.bold).text(f.text(d.subject), { width });
+      doc.font(f.body).moveDown(0.8);
+    }
+    block([d.salutation]);
+    for (const p of d.paragraphs) {
+      if (p.heading) doc.font(f.bold).text(f.text(p.heading), { width }).font(f.body);
+      doc.text(f.text(p.text), { width, align: 'justify' });
+      doc.moveDown(0.8);
+    }
+
+    // Signature area: closing, space to sign, rule, printed name
+    doc.text(f.text(d.closing), { width });
+    doc.moveDown(2.5);
+    const sigY = doc.y;
+    doc.moveTo(MARGIN.pt, sigY).lineTo(MARGIN.pt + 180, sigY).lineWidth(0.5).stroke();
+    doc.y = sigY + 4;
+    doc.text(f.text(d.signature), MARGIN.pt, doc.y, { width });
+
+    doc.end();
+  });
+}
+
+// ------------------------ DOCX ------------------------
+const FONT = 'Times New Roman';
+const run = (text, opts = {}) => new TextRun({ text, font: FONT, size: 23, ...opts });
+const para = (text, opts = {}) => new Paragraph({ children: [run(text, opts.run)], spacing: { after: 0 }, ...opts.paragraph });
+const spacer = () => new Paragraph({ children: [], spacing: { after: 0 } });
+
+function linesBlock(lines) {
+  if (!lines.length) return [];
+  return [...lines.map((l) => para(l)), spacer()];
+}
+
+function renderDocx(d) {
+  const header = new Header({
+    children: [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [run(d.letterhead.name, { bold: true, size: 32 })],
+      }),
+      ...d.letterhead.lines.map((l) => new Paragraph({ alignment: AlignmentType.CENTER, children: [run(l, { size: 18 })] })),
+      new Paragraph({
+        children: [],
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '000000', space: 1 } },
+      }),
+    ],
+  });
+
+  const body = [
+    ...linesBlock(d.contact),
+    ...linesBlock([d.date]),
+    ...linesBlock(d.embassy),
+    ...(d.subject ? [para(d.subject, { run: { bold: true } }), spacer()] : []),
+    para(d.salutation),
+    spacer(),
+  ];
+  for (const p of d.paragraphs) {
+    if (p.heading) body.push(para(p.heading, { run: { bold: true } }));
+    body.push(new Paragraph({ alignment: AlignmentType.JUSTIFIED, children: [run(p.text)], spacing: { after: 200 } }));
+  }
+  body.push(
+    para(d.closing),
+    spacer(), spacer(), spacer(),
+    new Paragraph({
+      children: [],
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: '000000', space: 1 } },
+      indent: { right: A4.widthTwip - MARGIN.twip * 2 - 3600 },
+    }),
+    para(d.signature)
+  );
+
+  const doc = new Document({
+    creator: d.letterhead.name,
+    title: d.subject || 'Visa Cover Letter',
+    sections: [{
+      properties: {
+        page: {
+          size: { width: A4.widthTwip, height: A4.heightTwip },
+          margin: { top: MARGIN.twip, bottom: MARGIN.twip, left: MARGIN.twip, right: MARGIN.twip, header: 708 },
+        },
+      },
+      headers: { default: header },
+      children: body,
+    }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Render a letter to a downloadable file.
+ * @param {'pdf'|'docx'} format
+ * @param {{ letterhead?: string[] }} [opts]
+ * @returns {Promise<{ buffer: Buffer, mime: string, ext: string }>}
+ */
+async function exportLetter(format, letter, payload, { letterhead } = {}) {
+  const spec = FORMATS[format];
+  if (!spec) throw Object.assign(new Error(`Unsupported format "${format}" (expected pdf or docx)`), { status: 400 });
+  const d = buildExportDocument(letter, payload, { letterhead });
+  const buffer = format === 'pdf' ? await renderPdf(d) : await renderDocx(d);
+  return { buffer, ...spec };
+}
+
+module.exports = { FORMATS, buildExportDocument, exportLetter };
@@ -0,0 +1,254 @@
+/**
+ * Post-generation fact verification
+ * ---------------------------------
+ * Pulls amounts, dates, names, passport numbers, employers and destinations
+ * out of a generated letter and checks each one against the cleaned payload.
+ * Anything the applicant never supplied is returned as a flag.
+ *
+ * Flag severities:
+ * - error:   a concrete fact that contradicts or is absent from the payload (fails strict mode)
+ * - warning: something worth a human look (e.g. an unrecognised titled name)
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const DESTINATION_ALIASES = [
+  ['uk', 'united kingdom', 'britain', 'great britain', 'england'],
+  ['us', 'usa', 'united states', 'united states of america', 'america'],
+  ['uae', 'united arab emirates', 'dubai'],
+  ['schengen', 'schengen area', 'europe'],
+];
+
+// Words that start sentences or headings and are never names on their own
+const NOT_NAMES = new Set(['the', 'my', 'a', 'an', 'this', 'i', 'visa', 'embassy', 'high', 'commission', 'dear']);
+
+function norm(s) {
+  return String(s || '').toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9₦£$€]+/g, ' ').trim();
+}
+
+// ---------- amounts ----------
+const AMOUNT_RE = new RegExp(
+  '(?:[₦£$€]|\\b(?:NGN|GBP|USD|EUR|N)\\s?)\\s?(\\d[\\d,]*(?:\\.\\d+)?)\\s?(million|m|k|thousand|billion|bn)?\\b' +
+  '|\\b(\\d[\\d,]*(?:\\.\\d+)?)\\s?(million|thousand|billion)?\\s?(?:naira|pounds|dollars|euros)\\b',
+  'gi'
+);
+
+function toNumber(digits, mult) {
+  const n = parseFloat(String(digits).replace(/,/g, ''));
+  if (!Number.isFinite(n)) return NaN;
+  const m = String(mult || '').toLowerCase();
+  if (m === 'k' || m === 'thousand') return n * 1e3;
+  if (m === 'm' || m === 'million') return n * 1e6;
+  if (m === 'bn' || m === 'billion') return n * 1e9;
+  return n;
+}
+
+function extractAmounts(text) {
+  const out = [];
+  let m;
+  AMOUNT_RE.lastIndex = 0;
+  while ((m = AMOUNT_RE.exec(text))) {
+    const value = toNumber(m[1] || m[3], m[2] || m[4]);
+    if (Number.isFinite(value)) out.push({ text: m[0].trim(), value });
+  }
+  return out;
+}
+
+// Every number the payload mentions, plus the differences the letter is allowed to derive
+function payloadNumbers(payload) {
+  const nums = new Set();
+  const fields = {};
+  for (const [k, v] of Object.entries(payload)) {
+    if (typeof v !== 'string') continue;
+    const re = /(\d[\d,]*(?:\.\d+)?)\s?(million|m|k|thousand|billion|bn)?\b/gi;
+    let m;
+    while ((m = re.exec(v))) {
+      const n = toNumber(m[1], m[2]);
+      if (Number.isFinite(n)) {
+        nums.add(n);
+        if (!(k in fields)) fields[k] = n;
+      }
+    }
+  }
+  const diff = (a, b) => (a in fields && b in fields ? fields[a] - fields[b] : NaN);
+  for (const d of [diff('income', 'monthlyExpenses'), diff('currentBankBalance', 'estimatedTripCost')]) {
+    if (Number.isFinite(d) && d > 0) nums.add(d);
+  }
+  return [...nums];
+}
+
+function amountSupported(value, known) {
+  return known.some((k) => k === value || (k > 0 && Math.abs(k - value) / k <= 0.01));
+}
+
+// ---------- dates ----------
+function monthIndex(name) {
+  const i = MONTHS.findIndex((m) => m.startsWith(name.toLowerCase().slice(0, 3)));
+  return i === -1 ? undefined : i + 1;
+}
+
+function extractDates(text) {
+  const out = [];
+  const patterns = [
+    // 10 October 2025 / 10th Oct
+    { re: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}\\.?(?:,?\\s+(\\d{4}))?`, 'gi'), map: (m) => ({ d: +m[1], mo: monthIndex(m[2]), y: m[3] && +m[3] }) },
+    // October 10, 2025
+    { re: new RegExp(`\\b${MONTH_RE}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'), map: (m) => ({ d: +m[2], mo: monthIndex(m[1]), y: m[3] && +m[3] }) },
+    // 2025-10-10
+    { re: /\b(\d{4})-(\d{2})-(\d{2})\b/g, map: (m) => ({ d: +m[3], mo: +m[2], y: +m[1] }) },
+    // 10/10/2025 (read as day/month, Nigerian convention)
+    { re: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g, map: (m) => ({ d: +m[1], mo: +m[2], y: +m[3], ambiguous: true }) },
+  ];
+  for (const { re, map } of patterns) {
+    let m;
+    while ((m = re.exec(text))) {
+      const date = map(m);
+      if (date.mo && date.d >= 1 && date.d <= 31) out.push({ text: m[0].trim(), ...date });
+    }
+  }
+  return out;
+}
+
+function sameDate(a, b) {
+  const dm = (a.d === b.d && a.mo === b.mo) ||
+    ((a.ambiguous || b.ambiguous) && a.d === b.mo && a.mo === b.d);
+  return dm && (!a.y || !b.y || a.y === b.y);
+}
+
+// ---------- passports ----------
+function extractPassports(text) {
+  return (text.match(/\b[A-Z]{1,2}\d{7,8}\b/g) || []).map((t) => ({ text: t }));
+}
+
+// ---------- names, employers, destinations ----------
+// Capitalised run on one line: "Zenith Systems Ltd", "Bank of Industry"
+const CAP_SEQ = "([A-Z][\\w&'-]*(?:[ \\t]+(?:of[ \\t]+|and[ \\t]+|&[ \\t]+)?[A-Z][\\w&'-]*){0,4})";
+
+function capture(text, re) {
+  const out = [];
+  let m;
+  while ((m = re.exec(text))) out.push({ text: m[m.length - 1].replace(/[.,]+$/, '').trim() });
+  return out;
+}
+
+function tokens(s) {
+  return norm(s).split(' ').filter((t) => t.length > 1 && !NOT_NAMES.has(t) && !/^(mr|mrs|ms|miss|dr|chief|alhaji|pastor)$/.test(t));
+}
+
+function tokensIn(value, haystack) {
+  const t = tokens(value);
+  return t.length > 0 && t.every((x) => haystack.includes(` ${x} `));
+}
+
+function destinationSupported(value, payload, haystack) {
+  const v = norm(value);
+  const dest = norm(payload.destination);
+  if (!v) return true;
+  if (haystack.includes(` ${v} `)) return true;
+  return DESTINATION_ALIASES.some((group) => group.includes(v) && group.some((g) => dest === g || dest.includes(g)));
+}
+
+/**
+ * Verify a generated letter against the payload it was built from.
+ * @param {string} letter
+ * @param {object} payload  cleaned payload from /generate-letter
+ * @param {{ now?: Date, extraAmounts?: number[], signer?: string|null }} [opts]  extraAmounts: figures derived outside
+ *   the payload (currency conversions); signer: who signs (default the applicant, null = no named signature)
+ * @returns {{ passed: boolean, checked: object, flags: Array<{ type: string, value: string, severity: string, reason: string }> }}
+ */
+function verifyLetter(letter, payload, { now = new Date(), extraAmounts = [], signer = payload.name } = {}) {
+  const text = String(letter || '');
+  const flags = [];
+  const haystack = ` ${norm(Object.values(payload).filter((v) => typeof v === 'string').join(' '))} `;
+  const flag = (type, value, severity, reason) => {
+    if (!flags.some((f) => f.type === type && f.value === value)) flags.push({ type, value, severity, reason });
+  };
+
+  // Amounts
+  const known = [...payloadNumbers(payload), ...extraAmounts];
+  const amounts = extractAmounts(text);
+  for (const a of amounts) {
+    if (!amountSupported(a.value, known)) flag('amount', a.text, 'error', 'Amount does not appear in the submitted figures.');
+  }
+
+  // Dates (the letter's own date line is expected to be today)
+  const payloadDates = extractDates(Object.values(payload).filter((v) => typeof v === 'string').join('\n'));
+  const today = { d: now.getDate(), mo: now.getMonth() + 1, y: now.getFullYear() };
+  const dates = extractDates(text);
+  for (const d of dates) {
+    if (sameDate(d, today)) continue;
+    if (!payloadDates.some((p) => sameDate(d, p))) flag('date', d.text, 'error', 'Date was not provided by the applicant.');
+  }
+
+  // Passport numbers
+  const passports = extractPassports(text);
+  for (const p of passports) {
+    if (norm(p.text) !== norm(payload.passportNumber)) {
+      flag('passportNumber', p.text, 'error', payload.passportNumber ? 'Does not match the submitted passport number.' : 'No passport number was submitted.');
+    }
+  }
+
+  // Sponsor
+  const sponsors = capture(text, new RegExp(`\\bsponsored by (?:my [a-z]+,?\\s+)?(?:(?:Mr|Mrs|Ms|Dr|Chief)\\.?\\s+)?${CAP_SEQ}`, 'g'));
+  for (const s of sponsors) {
+    if (!tokens(s.text).length) continue;
+    if (!payload.sponsorName) flag('sponsorName', s.text, 'error', 'Letter names a sponsor but no sponsorName was submitted.');
+    else if (!tokensIn(s.text, ` ${norm(payload.sponsorName)} `)) flag('sponsorName', s.text, 'error', `Does not match sponsorName "${payload.sponsorName}".`);
+  }
+
+  // Employer
+  const employers = capture(text, new RegExp(`\\b(?:employed|working|work)(?: as (?:an? )?[\\w /-]+?)? (?:with|at|for|by) (?:the )?${CAP_SEQ}`, 'g'));
+  for (const e of employers) {
+    if (!tokens(e.text).length) continue;
+    if (!tokensIn(e.text, haystack)) {
+      flag('employerName', e.text, 'error', payload.employerName ? `Does not match employerName "${payload.employerName}".` : 'No employer was submitted.');
+    }
+  }
+
+  // Destination
+  const destinations = capture(text, new RegExp(`\\b(?:Visa to|travel(?:l?ing)? to|trip to|visit to) (?:the )?${CAP_SEQ}`, 'g'));
+  for (const d of destinations) {
+    if (!destinationSupported(d.text, payload, haystack)) flag('destination', d.text, 'error', `Does not match destination "${payload.destination || ''}".`);
+  }
+
+  // Titled names and the signature
+  const names = capture(text, new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr|Chief|Alhaji|Pastor)\\.?\\s+${CAP_SEQ}`, 'g'));
+  for (const n of names) {
+    if (!tokensIn(n.text, haystack)) flag('name', n.text, 'warning', 'Name does not appear anywhere in the submitted details.');
+  }
+  const signature = /(?:Sincerely|Yours faithfully|Yours sincerely),?\s*\n+\s*([^\n]+)\s*$/i.exec(text.trim());
+  if (signature && signer && !tokensIn(signature[1], ` ${norm(signer)} `)) {
+    flag('name', signature[1].trim(), 'error', signer === payload.name ? `Signature does not match applicant name "${payload.name}".` : `Signature does not match signatory "${signer}".`);
+  }
+
+  return {
+    passed: !flags.some((f) => f.severity === 'error'),
+    checked: {
+      amounts: amounts.length,
+      dates: dates.length,
+      passportNumbers: passports.length,
+      names: names.length + (signature ? 1 : 0) + sponsors.length,
+      employers: employers.length,
+      destinations: destinations.length,
+    },
+    flags,
+  };
+}
+
+// Corrective instruction for a strict-mode regeneration
+function buildCorrectionMessage(verification) {
+  const lines = verification.flags
+    .filter((f) => f.severity === 'error')
+    .map((f) => `- ${f.type}: "${f.value}" — ${f.reason}`);
+  return {
+    role: 'user',
+    content:
+`The previous draft contains facts that are not in the applicant's details:
+${lines.join('\n')}
+
+Rewrite the full letter. Remove or correct each item above using ONLY the facts provided. Keep the same structure. Plain text only.`,
+  };
+}
+
+module.exports = { verifyLetter, buildCorrectionMessage, extractAmounts, extractDates };
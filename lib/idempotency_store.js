@@ -0,0 +1,94 @@
+/**
+ * Idempotency-Key records (file-backed, temp file + rename like the other stores)
+ * -------------------------------------------------------------------------------
+ * DATA_DIR/idempotency/<sha256(scope, key)>.json: { fingerprint, status, body, stream, createdAt, expiresAt }
+ * (scope = who + which route, so keys never collide across tenants or endpoints)
+ *
+ * - begin(scope, key, fingerprint) ->
+ *     { replay: record }   a stored response for this key and the same request body
+ *     { conflict: true }   the key was used with a different body
+ *     { wait: Promise }    the first request with this key is still running (resolves to its record, or null)
+ *     { token }            go ahead; finish with complete(token, …) or abandon(token)
+ * - abandon() forgets an attempt whose outcome is worth retrying (5xx, 429), so the retry generates again
+ * - Records expire after `ttlMs` and are removed when next read
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+function createIdempotencyStore(dir, { ttlMs = 24 * 3600 * 1000, now = Date.now } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const inflight = new Map(); // id -> { fingerprint, promise, resolve }
+  const file = (id) => path.join(dir, `${id}.json`);
+
+  async function read(id) {
+    try {
+      const record = JSON.parse(await fs.promises.readFile(file(id), 'utf8'));
+      if (Date.parse(record.expiresAt) > now()) return record;
+      await fs.promises.unlink(file(id)).catch(() => {});
+      return null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  function settle(id, record) {
+    const running = inflight.get(id);
+    inflight.delete(id);
+    if (running) running.resolve(record);
+  }
+
+  return {
+    async begin(scope, key, fingerprint) {
+      const id = sha256(`${scope}\n${key}`);
+      const running = inflight.get(id);
+      if (running) return running.fingerprint === fingerprint ? { wait: running.promise } : { conflict: true };
+
+      // Claim before touching the disk, so a second request arriving meanwhile waits instead of generating
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      inflight.set(id, { fingerprint, promise, resolve });
+      let stored;
+      try {
+        stored = await read(id);
+      } catch (err) {
+        settle(id, null);
+        throw err;
+      }
+      if (!stored) return { token: id };
+      settle(id, stored);
+      return stored.fingerprint === fingerprint ? { replay: stored } : { conflict: true };
+    },
+
+    async complete(id, { status, body, stream = false }) {
+      const running = inflight.get(id);
+      const createdAt = new Date(now());
+      const record = {
+        fingerprint: running?.fingerprint,
+        status,
+        body,
+        stream,
+        createdAt: createdAt.toISOString(),
+        expiresAt: new Date(createdAt.getTime() + ttlMs).toISOString(),
+      };
+      try {
+        const tmp = `${file(id)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(record));
+        await fs.promises.rename(tmp, file(id));
+      } finally {
+        settle(id, record); // waiters get the response even if it could not be kept
+      }
+      return record;
+    },
+
+    abandon(id) {
+      settle(id, null);
+    },
+  };
+}
+
+module.exports = { createIdempotencyStore, sha256 };
@@ -0,0 +1,70 @@
+/**
+ * Batch job runner: one shared queue, a global concurrency limit, resume after restart
+ * -----------------------------------------------------------------------------------
+ * - enqueue(job) queues its pending rows; at most `concurrency` rows generate at once (across all jobs)
+ * - Each finished row is written to the job file immediately, so a crash loses at most the rows in flight
+ * - resume() re-queues every pending row of every unfinished job (call once at boot)
+ *
+ * `generate(payload, options, job, row)` returns the row result ({ letter, provider, model, verification, compliance },
+ * or { status: 'failed', error, … }); a thrown error marks the row failed with its message (and its API error code).
+ */
+
+function createJobRunner({ store, generate, concurrency = 2, log = console }) {
+  const queue = [];
+  const queued = new Set(); // "jobId:row" — never run the same row twice
+  let active = 0;
+
+  async function runRow({ id, row }) {
+    const job = await store.get(id);
+    const r = job.rows.find((x) => x.row === row);
+    if (!r || r.status !== 'pending') return;
+
+    let outcome;
+    try {
+      outcome = { status: 'done', ...(await generate(r.payload, job.options || {}, job, row)) };
+    } catch (err) {
+      outcome = { status: 'failed', error: err?.message || 'unknown_error', ...(err?.errorCode ? { code: err.errorCode } : {}) };
+    }
+    await store.update(id, (j) => {
+      Object.assign(j.rows.find((x) => x.row === row), outcome, { finishedAt: new Date().toISOString() });
+    });
+  }
+
+  function pump() {
+    while (active < concurrency && queue.length) {
+      const task = queue.shift();
+      active++;
+      runRow(task)
+        .catch((err) => log.error(`Batch job ${task.id} row ${task.row} could not be saved:`, err?.message || err))
+        .finally(() => {
+          queued.delete(`${task.id}:${task.row}`);
+          active--;
+          pump();
+        });
+    }
+  }
+
+  function enqueue(job) {
+    for (const r of job.rows) {
+      const key = `${job.id}:${r.row}`;
+      if (r.status !== 'pending' || queued.has(key)) continue;
+      queued.add(key);
+      queue.push({ id: job.id, row: r.row });
+    }
+    pump();
+  }
+
+  async function resume() {
+    const jobs = await store.unfinished();
+    for (const job of jobs) enqueue(job);
+    return jobs.length;
+  }
+
+  return {
+    enqueue,
+    resume,
+    stats: () => ({ active, queued: queue.length, concurrency }),
+  };
+}
+
+module.exports = { createJobRunner };
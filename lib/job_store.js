@@ -0,0 +1,115 @@
+/**
+ * Batch job store (file-backed, same layout rules as the case store)
+ * ------------------------------------------------------------------
+ * One JSON file per job under DATA_DIR/jobs, written via temp file + rename.
+ *
+ * Job shape:
+ *   { id, tenantId?, createdAt, updatedAt, completedAt?, status: 'running'|'completed', format,
+ *     options: { strict }, defaults, warnings: string[],
+ *     counts: { total, invalid, pending, done, failed },
+ *     rows: [{ row, status: 'invalid'|'pending'|'done'|'failed', payload, errors?, error?,
+ *              letter?, provider?, model?, verification?, compliance?, finishedAt? }] }
+ *
+ * A job stays "running" while any row is pending, so a restart knows exactly what is left to do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function notFound(id) {
+  return Object.assign(new Error(`Job not found: ${id}`), { status: 404 });
+}
+
+// Recompute counts + status after any row change
+function refreshJob(job) {
+  const counts = { total: job.rows.length, invalid: 0, pending: 0, done: 0, failed: 0 };
+  for (const r of job.rows) counts[r.status]++;
+  job.counts = counts;
+  if (!counts.pending && job.status !== 'completed') {
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+  }
+  return job;
+}
+
+function summariseJob(job) {
+  return {
+    id: job.id,
+    tenantId: job.tenantId,
+    status: job.status,
+    format: job.format,
+    counts: job.counts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+  };
+}
+
+function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (id) => {
+    if (!/^[\w-]+$/.test(id)) throw notFound(id);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw notFound(id);
+      throw err;
+    }
+  }
+
+  async function write(job) {
+    const target = file(job.id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job, null, 2));
+    await fs.promises.rename(tmp, target);
+    return job;
+  }
+
+  async function readAll() {
+    const names = (await fs.promises.readdir(dir)).filter((f) => f.endsWith('.json'));
+    return (await Promise.all(names.map((n) => read(n.slice(0, -5)).catch(() => null)))).filter(Boolean);
+  }
+
+  // Rows finish concurrently: serialise read-modify-write per job
+  const locks = new Map();
+  function update(id, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const job = await read(id);
+      const out = await fn(job);
+      job.updatedAt = new Date().toISOString();
+      await write(refreshJob(job));
+      return out === undefined ? job : out;
+    });
+    locks.set(id, next);
+    next.finally(() => { if (locks.get(id) === next) locks.delete(id); }).catch(() => {});
+    return next;
+  }
+
+  return {
+    async list() {
+      return (await readAll()).map(summariseJob).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    get: read,
+    update,
+
+    async create({ tenantId, format, options, defaults, warnings, rows }) {
+      const now = new Date().toISOString();
+      const job = { id: crypto.randomUUID(), tenantId, createdAt: now, updatedAt: now, status: 'running', format, options, defaults, warnings, rows };
+      return write(refreshJob(job));
+    },
+
+    // Jobs a restart must pick up again
+    async unfinished() {
+      return (await readAll()).filter((j) => j.status === 'running');
+    },
+  };
+}
+
+module.exports = { createFileJobStore, refreshJob, summariseJob };
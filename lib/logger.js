@@ -0,0 +1,44 @@
+/**
+ * Structured JSON logs
+ * --------------------
+ * - One JSON object per line: { time, level, event, requestId, tenant, ...fields }
+ * - `context()` supplies requestId/tenant from the current request, so every line a request produces
+ *   (validation, prompt build, each model attempt, the response) carries the same request ID
+ * - Lines are written through console, so maskConsole() (lib/redaction.js) still masks PII in them
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors log as { message, status, code } — never the stack of a provider SDK response
+function errorFields(err) {
+  if (!err) return undefined;
+  if (typeof err !== 'object') return { message: String(err) };
+  const status = err.status || err.statusCode;
+  return { message: err.message || 'unknown_error', ...(status ? { status } : {}), ...(err.code ? { code: err.code } : {}) };
+}
+
+/**
+ * @param {{ level?: string, context?: () => object, target?: Console }} [opts]
+ * @throws {Error} on an unknown level
+ */
+function createLogger({ level = 'info', context = () => ({}), target = console } = {}) {
+  if (!LEVELS[level]) throw new Error(`LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(', ')}`);
+  const min = LEVELS[level];
+
+  function write(lvl, event, fields = {}) {
+    if (LEVELS[lvl] < min) return;
+    const entry = { time: new Date().toISOString(), level: lvl, event, ...context(), ...fields };
+    if (entry.error) entry.error = errorFields(entry.error);
+    (LEVELS[lvl] >= LEVELS.warn ? target.error : target.log)(JSON.stringify(entry));
+  }
+
+  return {
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+  };
+}
+
+module.exports = { LEVELS, createLogger, errorFields };
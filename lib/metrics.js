@@ -0,0 +1,93 @@
+/**
+ * In-process metrics in the Prometheus text format (GET /metrics)
+ * ---------------------------------------------------------------
+ * - counter(name, help, labelNames) -> { inc(labels, n) }
+ * - histogram(name, help, labelNames, buckets) -> { observe(labels, value) }
+ * - gauge(name, help, collect) — collect() returns [{ labels, value }] at scrape time
+ * - render() -> exposition text (version 0.0.4); series appear once first touched
+ *
+ * No client library: the server only needs these three types, and counters reset with the process
+ * like any Prometheus target.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const formatValue = (n) => (Number.isFinite(n) ? String(Math.round(n * 1e9) / 1e9) : n > 0 ? '+Inf' : '-Inf');
+
+function createMetrics({ prefix = '' } = {}) {
+  const families = [];
+
+  function family(type, name, help, labelNames) {
+    const f = { type, name: `${prefix}${name}`, help, labelNames, series: new Map() };
+    families.push(f);
+    return f;
+  }
+
+  // Only the declared labels, in declared order, so one series has one key
+  function seriesFor(f, labels = {}, init) {
+    const picked = Object.fromEntries(f.labelNames.map((l) => [l, labels[l] ?? '']));
+    const key = JSON.stringify(picked);
+    if (!f.series.has(key)) f.series.set(key, { labels: picked, ...init() });
+    return f.series.get(key);
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const f = family('counter', name, help, labelNames);
+      return {
+        inc(labels, n = 1) {
+          if (!(n >= 0)) return;
+          seriesFor(f, labels, () => ({ value: 0 })).value += n;
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const f = family('histogram', name, help, labelNames);
+      f.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe(labels, value) {
+          if (!Number.isFinite(value)) return;
+          const s = seriesFor(f, labels, () => ({ counts: f.buckets.map(() => 0), sum: 0, count: 0 }));
+          f.buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+
+    gauge(name, help, collect) {
+      const f = family('gauge', name, help, []);
+      f.collect = collect;
+    },
+
+    render() {
+      const out = [];
+      for (const f of families) {
+        out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+        if (f.type === 'gauge') {
+          for (const { labels = {}, value } of f.collect()) out.push(`${f.name}${labelText(labels)} ${formatValue(value)}`);
+        } else if (f.type === 'counter') {
+          for (const s of f.series.values()) out.push(`${f.name}${labelText(s.labels)} ${formatValue(s.value)}`);
+        } else {
+          for (const s of f.series.values()) {
+            f.buckets.forEach((b, i) => out.push(`${f.name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+            out.push(`${f.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            out.push(`${f.name}_sum${labelText(s.labels)} ${formatValue(s.sum)}`);
+            out.push(`${f.name}_count${labelText(s.labels)} ${s.count}`);
+          }
+        }
+      }
+      return `${out.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics };
@@ -0,0 +1,205 @@
+/**
+ * Currency-aware money parsing, conversion and affordability analysis
+ * --------------------------------------------------------------------
+ * - parseMoney("₦1,200,000" | "NGN 2.5m" | "£2,000" | "1.2m" | "5 million naira") -> { amount, currency, explicit }
+ * - Conversions use the local table in config/exchange_rates.json (or EXCHANGE_RATES_PATH):
+ *     { base: "NGN", effectiveDate, rates: { GBP: 1950, ... } }  // 1 unit of currency = rate × base
+ * - Amounts with no symbol or currency word are Naira (same default the prompt uses)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RATES_PATH = path.join(__dirname, '..', 'config', 'exchange_rates.json');
+
+const CURRENCIES = {
+  NGN: { symbol: '₦', patterns: [/₦/, /\bNGN\b/i, /\bnaira\b/i, /(^|\s)N(?=\s?\d)/] },
+  GBP: { symbol: '£', patterns: [/£/, /\bGBP\b/i, /\bpounds?\b/i, /\bsterling\b/i] },
+  USD: { symbol: '$', patterns: [/(^|[^A-Z])\$/, /\bUSD\b/i, /\bUS\s?dollars?\b/i, /\bdollars?\b/i] },
+  EUR: { symbol: '€', patterns: [/€/, /\bEUR\b/i, /\beuros?\b/i] },
+  CAD: { symbol: 'CA$', patterns: [/CA\$/, /\bCAD\b/i, /\bcanadian dollars?\b/i] },
+};
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+// Which second currency a letter to this destination should quote alongside Naira
+const DESTINATION_CURRENCY = [
+  [/\b(uk|united kingdom|britain|england|scotland|wales|london)\b/i, 'GBP'],
+  [/\b(usa|us|united states|america)\b/i, 'USD'],
+  [/\bcanada\b/i, 'CAD'],
+  [/\b(schengen|france|germany|spain|italy|portugal|netherlands|belgium|austria|greece|ireland|finland|europe)\b/i, 'EUR'],
+];
+
+function loadRates(file = process.env.EXCHANGE_RATES_PATH || DEFAULT_RATES_PATH) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!table.base || !table.rates || !table.effectiveDate) {
+    throw new Error(`Exchange rate table ${file} needs base, effectiveDate and rates`);
+  }
+  table.rates[table.base] = 1;
+  return table;
+}
+
+// The currency mentioned first wins: "£2,000 (about N3.9m)" is pounds.
+// On a tie CAD beats USD, so "CA$" / "Canadian dollars" are not read as US dollars.
+function detectCurrency(s) {
+  let best = null;
+  let bestAt = Infinity;
+  for (const code of Object.keys(CURRENCIES)) {
+    for (const re of CURRENCIES[code].patterns) {
+      const m = re.exec(s);
+      if (m && m.index < bestAt) { best = code; bestAt = m.index; }
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse the first amount in a free-text money field.
+ * @returns {{ amount: number, currency: string, explicit: boolean, text: string } | null}
+ */
+function parseMoney(input, { defaultCurrency = 'NGN' } = {}) {
+  if (input === undefined || input === null) return null;
+  const s = String(input);
+  const m = /(\d[\d,]*(?:\.\d+)?|\.\d+)\s*(k|thousand|mn|million|m|bn|billion|b)?\b/i.exec(s);
+  if (!m) return null;
+  const base = parseFloat(m[1].replace(/,/g, ''));
+  if (!Number.isFinite(base)) return null;
+  const amount = base * (MULTIPLIERS[(m[2] || '').toLowerCase()] || 1);
+  const currency = detectCurrency(s);
+  return { amount, currency: currency || defaultCurrency, explicit: Boolean(currency), text: s.trim() };
+}
+
+function convert(money, to, table) {
+  if (!money) return null;
+  const from = table.rates[money.currency];
+  const target = table.rates[to];
+  if (!from || !target) return null;
+  return { amount: (money.amount * from) / target, currency: to, explicit: true };
+}
+
+function formatMoney(money) {
+  if (!money) return '';
+  const n = Math.round(money.amount);
+  const symbol = CURRENCIES[money.currency] ? CURRENCIES[money.currency].symbol : `${money.currency} `;
+  return symbol + n.toLocaleString('en-GB', { maximumFractionDigits: 0 });
+}
+
+// "₦5,600,000 (≈ £2,872)" — the figure in its own currency, plus one converted equivalent
+function dualFormat(money, secondary, table) {
+  if (!money) return '';
+  const primary = formatMoney(money);
+  if (!secondary || secondary === money.currency) return primary;
+  const other = convert(money, secondary, table);
+  return other ? `${primary} (≈ ${formatMoney(other)})` : primary;
+}
+
+function displayCurrencyFor(destination) {
+  const hit = DESTINATION_CURRENCY.find(([re]) => re.test(destination || ''));
+  return hit ? hit[1] : 'USD';
+}
+
+const MONEY_FIELDS = ['income', 'otherIncome', 'monthlyExpenses', 'currentBankBalance', 'averageBalance', 'estimatedTripCost', 'sponsorIncome'];
+
+// Labels used in the prompt's CONVERTED FIGURES block (the template renderer reads them back)
+const FIGURE_LABELS = {
+  income: 'Monthly income',
+  otherIncome: 'Other income',
+  monthlyExpenses: 'Monthly expenses',
+  currentBankBalance: 'Current bank balance',
+  averageBalance: 'Average balance (6 months)',
+  estimatedTripCost: 'Estimated trip cost',
+  sponsorIncome: 'Sponsor income',
+  disposableIncome: 'Disposable income',
+  balanceAfterTrip: 'Balance after trip',
+};
+
+/**
+ * Balance vs. trip cost, months of expenses covered, income-to-cost ratio —
+ * everything normalised to the table's base currency before comparing.
+ */
+function analyseAffordability(payload, table) {
+  const display = displayCurrencyFor(payload.destination);
+  const figures = {};
+  const notes = [];
+
+  for (const field of MONEY_FIELDS) {
+    const money = parseMoney(payload[field]);
+    if (!money) continue;
+    if (!table.rates[money.currency]) {
+      notes.push(`${field}: no exchange rate for ${money.currency}; left out of the analysis.`);
+      continue;
+    }
+    if (!money.explicit) notes.push(`${field}: no currency given; read as ${money.currency}.`);
+    const inBase = convert(money, table.base, table).amount;
+    figures[field] = {
+      submitted: payload[field],
+      amount: money.amount,
+      currency: money.currency,
+      base: Math.round(inBase),
+      display: dualFormat(money, money.currency === table.base ? display : table.base, table),
+    };
+  }
+
+  const base = (f) => (figures[f] ? figures[f].base : NaN);
+  const asBase = (n) => (Number.isFinite(n) ? { amount: n, currency: table.base } : null);
+  const fmt = (n) => (Number.isFinite(n) ? dualFormat(asBase(n), display, table) : undefined);
+  const ratio = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b > 0 ? Math.round((a / b) * 100) / 100 : undefined);
+
+  const balance = base('currentBankBalance');
+  const trip = base('estimatedTripCost');
+  const income = base('income');
+  const expenses = base('monthlyExpenses');
+  const after = balance - trip;
+  const disposable = income - expenses;
+
+  const out = {
+    rates: { base: table.base, effectiveDate: table.effectiveDate, displayCurrency: display },
+    figures,
+    balanceAfterTrip: after >= 0 ? fmt(after) : undefined,
+    shortfall: after < 0 ? fmt(-after) : undefined,
+    coverageRatio: ratio(balance, trip),
+    disposableIncome: disposable > 0 ? fmt(disposable) : undefined,
+    monthsOfExpensesCovered: ratio(after, expenses),
+    incomeToCostRatio: ratio(income, trip),
+    monthsOfDisposableToFundTrip: disposable > 0 ? ratio(trip, disposable) : undefined,
+    verdict: undefined,
+    notes,
+  };
+  if (out.coverageRatio !== undefined) {
+    out.verdict = out.coverageRatio >= 1.5 ? 'comfortable' : out.coverageRatio >= 1 ? 'adequate' : 'short';
+  }
+  return out;
+}
+
+// "- Label: display" lines for the prompt
+function affordabilityLines(a) {
+  const lines = Object.keys(a.figures).map((k) => `${FIGURE_LABELS[k]}: ${a.figures[k].display}`);
+  if (a.disposableIncome) lines.push(`${FIGURE_LABELS.disposableIncome}: ${a.disposableIncome}`);
+  if (a.balanceAfterTrip) lines.push(`${FIGURE_LABELS.balanceAfterTrip}: ${a.balanceAfterTrip}`);
+  return lines.map((l) => '- ' + l);
+}
+
+// Every number the analysis quotes, so the fact check accepts the converted figures
+function figureAmounts(a) {
+  const texts = [...Object.values(a.figures).map((f) => f.display), a.disposableIncome, a.balanceAfterTrip].filter(Boolean);
+  const nums = [];
+  for (const t of texts) {
+    for (const m of t.match(/\d[\d,]*/g) || []) nums.push(Number(m.replace(/,/g, '')));
+  }
+  return nums;
+}
+
+module.exports = {
+  CURRENCIES,
+  MONEY_FIELDS,
+  FIGURE_LABELS,
+  loadRates,
+  parseMoney,
+  convert,
+  formatMoney,
+  dualFormat,
+  displayCurrencyFor,
+  analyseAffordability,
+  affordabilityLines,
+  figureAmounts,
+};
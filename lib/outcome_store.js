@@ -0,0 +1,102 @@
+/**
+ * Letter outcome store (file-backed, same layout as the case store)
+ * -----------------------------------------------------------------
+ * One JSON file per generated letter under DATA_DIR/outcomes: the scenario it was written for,
+ * and later the embassy's decision. Written once at generation; the outcome can be recorded
+ * (or corrected) any time after.
+ *
+ * Record shape:
+ *   { id, tenantId?, createdAt, source, provider, model, caseId?, version?, jobId?, row?,
+ *     features: { applicationType, sponsored, selfEmployed, visaType, destination, tone, minis, rationale, sopVersion },
+ *     outcome: null | { decision, decisionDate, grounds: [{ category, label, codes }], note?, recordedAt } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function notFound(id) {
+  return Object.assign(new Error(`Letter not found: ${id}`), { status: 404 });
+}
+
+function createFileOutcomeStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (id) => {
+    if (!/^[\w-]+$/.test(id)) throw notFound(id);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw notFound(id);
+      throw err;
+    }
+  }
+
+  async function write(r) {
+    const target = file(r.id);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(r, null, 2));
+    await fs.promises.rename(tmp, target);
+    return r;
+  }
+
+  // Serialise read-modify-write per letter (two staff recording the same decision)
+  const locks = new Map();
+  function update(id, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const r = await read(id);
+      fn(r);
+      return write(r);
+    });
+    locks.set(id, next);
+    next.finally(() => { if (locks.get(id) === next) locks.delete(id); }).catch(() => {});
+    return next;
+  }
+
+  return {
+    get: read,
+
+    // tenantId: undefined = every tenant's letters
+    async list({ tenantId } = {}) {
+      const names = (await fs.promises.readdir(dir)).filter((f) => f.endsWith('.json'));
+      const records = await Promise.all(names.map((n) => read(n.slice(0, -5)).catch(() => null)));
+      return records.filter((r) => r && (tenantId === undefined || r.tenantId === tenantId));
+    },
+
+    create({ tenantId, source, provider, model, features, caseId, version, jobId, row }) {
+      return write({
+        id: crypto.randomUUID(),
+        tenantId,
+        createdAt: new Date().toISOString(),
+        source,
+        provider,
+        model,
+        caseId,
+        version,
+        jobId,
+        row,
+        features,
+        outcome: null,
+      });
+    },
+
+    // Case letters are filed before the case has numbered their version
+    setVersion(id, version) {
+      return update(id, (r) => {
+        r.version = version;
+      });
+    },
+
+    setOutcome(id, outcome) {
+      return update(id, (r) => {
+        r.outcome = { ...outcome, recordedAt: new Date().toISOString() };
+      });
+    },
+  };
+}
+
+module.exports = { createFileOutcomeStore };
@@ -0,0 +1,150 @@
+/**
+ * Visa outcomes: decision input + approval-rate report
+ * ----------------------------------------------------
+ * - parseOutcome(): { decision: approved | refused | withdrawn, decisionDate, grounds?, notice?, note? };
+ *   a refusal needs its grounds, as refusal categories or the pasted notice (parsed like POST /parse-refusal)
+ * - outcomeReport(): approval rate = approved / (approved + refused); withdrawn and pending letters are
+ *   counted but never in the rate. Grouped by each scenario feature, every mini template and rationale cue
+ *   a letter used, and the SOP version it was written with
+ * - vsOverall: a group's rate minus the overall rate; lowSample when fewer than `minDecided` decisions back it
+ */
+
+const { CATEGORIES, parseRefusalNotice } = require('./refusal');
+const { clean } = require('./utils');
+
+const DECISIONS = ['approved', 'refused', 'withdrawn'];
+const NOTE_MAX = 1000;
+
+// Report dimension -> the record's value(s); arrays put a letter in several groups
+const DIMENSIONS = {
+  applicationType: (f) => f.applicationType,
+  sponsored: (f) => (f.sponsored ? 'yes' : 'no'),
+  selfEmployed: (f) => (f.selfEmployed ? 'yes' : 'no'),
+  visaType: (f) => f.visaType,
+  destination: (f) => f.destination,
+  tone: (f) => f.tone,
+  mini: (f) => f.minis,
+  rationale: (f) => f.rationale,
+  sopVersion: (f) => f.sopVersion,
+};
+
+const isoDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && new Date(`${s}T00:00:00Z`).toISOString().startsWith(s);
+
+/**
+ * @param {object} body  request body
+ * @param {{ today: string, notBefore?: string }} dates  YYYY-MM-DD bounds for decisionDate
+ * @returns {{ outcome?: object, errors: Array<{ field: string, code: string, message: string }> }}
+ */
+function parseOutcome(body, { today, notBefore }) {
+  const errors = [];
+  const decision = (clean(body.decision) || '').toLowerCase();
+  if (!decision) errors.push({ field: 'decision', code: 'required', message: 'Decision is required' });
+  else if (!DECISIONS.includes(decision)) errors.push({ field: 'decision', code: 'enum', message: `Decision must be one of: ${DECISIONS.join(', ')}` });
+
+  const decisionDate = clean(body.decisionDate);
+  if (!decisionDate) errors.push({ field: 'decisionDate', code: 'required', message: 'Decision date is required' });
+  else if (!isoDate(decisionDate)) errors.push({ field: 'decisionDate', code: 'format', message: 'Decision date must be a date (YYYY-MM-DD)' });
+  else if (decisionDate > today) errors.push({ field: 'decisionDate', code: 'format', message: 'Decision date cannot be in the future' });
+  else if (notBefore && decisionDate < notBefore) errors.push({ field: 'decisionDate', code: 'format', message: `Decision date cannot be before the letter was generated (${notBefore})` });
+
+  const note = clean(body.note);
+  if (note && note.length > NOTE_MAX) errors.push({ field: 'note', code: 'maxLength', message: `Note must be at most ${NOTE_MAX} characters` });
+
+  // Refusal grounds: listed categories, else whatever the notice cites
+  const listed = Array.isArray(body.grounds) ? body.grounds.map((g) => (clean(g) || '').toLowerCase()).filter(Boolean) : [];
+  const notice = clean(body.notice);
+  let grounds = [];
+  if (decision === 'refused') {
+    const unknown = listed.filter((g) => !CATEGORIES[g]);
+    if (unknown.length) {
+      errors.push({ field: 'grounds', code: 'enum', message: `Unknown grounds: ${unknown.join(', ')} (expected ${Object.keys(CATEGORIES).join(', ')})` });
+    } else if (listed.length) {
+      grounds = [...new Set(listed)].map((category) => ({ category, label: CATEGORIES[category].label, codes: [] }));
+    } else if (notice) {
+      grounds = parseRefusalNotice(notice).grounds.map(({ category, label, codes }) => ({ category, label, codes }));
+      if (!grounds.length) errors.push({ field: 'notice', code: 'format', message: 'No refusal grounds found in the notice; list them in grounds instead' });
+    } else {
+      errors.push({ field: 'grounds', code: 'required', message: `Refusal grounds are required (grounds: ${Object.keys(CATEGORIES).join(', ')}, or the notice text)` });
+    }
+  } else if (listed.length || notice) {
+    errors.push({ field: 'grounds', code: 'format', message: 'Grounds apply to refusals only' });
+  }
+
+  if (errors.length) return { errors };
+  return { outcome: { decision, decisionDate, grounds, ...(note ? { note } : {}) }, errors };
+}
+
+const rate = (approved, refused) => (approved + refused ? Math.round((approved / (approved + refused)) * 1000) / 1000 : null);
+
+function tally() {
+  return { letters: 0, pending: 0, approved: 0, refused: 0, withdrawn: 0 };
+}
+
+function count(t, record) {
+  t.letters++;
+  if (record.outcome) t[record.outcome.decision]++;
+  else t.pending++;
+}
+
+/**
+ * @param {Array<object>} records  outcome store records
+ * @param {{ since?: string, until?: string, filters?: object, minDecided?: number }} [opts]
+ *   since/until: YYYY-MM-DD bounds on when the letter was generated; filters: { dimension: value } (a letter matches when any of its values does)
+ */
+function outcomeReport(records, { since, until, filters = {}, minDecided = 5 } = {}) {
+  const matches = (r) => {
+    const day = r.createdAt.slice(0, 10);
+    if ((since && day < since) || (until && day > until)) return false;
+    return Object.entries(filters).every(([dim, want]) => [].concat(DIMENSIONS[dim](r.features) ?? []).some((v) => String(v).toLowerCase() === String(want).toLowerCase()));
+  };
+  const selected = records.filter(matches);
+
+  const overall = tally();
+  const groups = Object.fromEntries(Object.keys(DIMENSIONS).map((d) => [d, new Map()]));
+  const refusals = new Map();
+  for (const r of selected) {
+    count(overall, r);
+    for (const [dim, valueOf] of Object.entries(DIMENSIONS)) {
+      const values = [].concat(valueOf(r.features) ?? []).map((v) => String(v || '(none)'));
+      for (const value of new Set(values.length ? values : ['(none)'])) {
+        const key = value.toLowerCase();
+        if (!groups[dim].has(key)) groups[dim].set(key, { value, ...tally() });
+        count(groups[dim].get(key), r);
+      }
+    }
+    if (r.outcome?.decision === 'refused') {
+      for (const g of r.outcome.grounds) {
+        if (!refusals.has(g.category)) refusals.set(g.category, { category: g.category, label: g.label, refusals: 0 });
+        refusals.get(g.category).refusals++;
+      }
+    }
+  }
+
+  const overallRate = rate(overall.approved, overall.refused);
+  const finish = (t) => {
+    const approvalRate = rate(t.approved, t.refused);
+    return {
+      ...t,
+      approvalRate,
+      vsOverall: approvalRate === null || overallRate === null ? null : Math.round((approvalRate - overallRate) * 1000) / 1000,
+      lowSample: t.approved + t.refused < minDecided,
+    };
+  };
+
+  return {
+    since: since || null,
+    until: until || null,
+    filters,
+    minDecided,
+    overall: { ...overall, approvalRate: overallRate },
+    by: Object.fromEntries(Object.entries(groups).map(([dim, m]) => [
+      dim,
+      [...m.values()].map(finish).sort((a, b) => b.letters - a.letters || a.value.localeCompare(b.value)),
+    ])),
+    refusalGrounds: [...refusals.values()]
+      .map((g) => ({ ...g, share: Math.round((g.refusals / overall.refused) * 1000) / 1000 }))
+      .sort((a, b) => b.refusals - a.refusals),
+  };
+}
+
+module.exports = { DECISIONS, DIMENSIONS, parseOutcome, outcomeReport };
@@ -0,0 +1,254 @@
+/**
+ * Declarative payload schema (single source for the API, GET /schema and the frontend form)
+ * ----------------------------------------------------------------------------------------
+ * - Every accepted field with its type, format, label and group; unknown fields are dropped
+ * - Conditional requirements are plain-data conditions ("requiredWhen") so any client can evaluate them
+ * - buildPayload() cleans + normalises (dates, ages, emails, enums); validatePayload() returns per-field errors
+ *
+ * Payload values stay strings after normalisation — prompts, fact checks and case files all read them as text.
+ */
+
+const { clean } = require('./utils');
+const { extractDates } = require('./fact_check');
+
+// Condition language: { anyOf: [...] } | { allOf: [...] } |
+//   { field, in: [...] } (case-insensitive) | { field, present: true } | { field, matches: 'regex' }
+const CONDITIONS = {
+  sponsored: {
+    description: 'Funding is sponsor/family/employer, sponsorSelf is "No", or a sponsor name/relationship is given',
+    anyOf: [
+      { field: 'funding', in: ['sponsor', 'sponsored', 'sponsorship', 'family', 'employer'] },
+      { field: 'sponsorSelf', in: ['no'] },
+      { field: 'sponsorName', present: true },
+      { field: 'sponsorRelationship', present: true },
+    ],
+  },
+  reapplication: {
+    description: 'applicationType marks the case as a reapplication after refusal',
+    anyOf: [{ field: 'applicationType', matches: 'reapp' }],
+  },
+};
+
+const S = (group, label, extra = {}) => ({ type: 'string', group, label, ...extra });
+
+const FIELDS = {
+  applicationType: S('Application', 'Application Type', { enum: ['First-time', 'Reapplication'] }),
+
+  // Personal
+  name: S('Personal', 'Full Name', { required: true, maxLength: 120 }),
+  age: S('Personal', 'Age', { required: true, format: 'age' }),
+  nationality: S('Personal', 'Nationality', { required: true }),
+  applicantAddress: S('Personal', 'Address'),
+  contactPhone: S('Personal', 'Phone', { format: 'phone' }),
+  contactEmail: S('Personal', 'Email', { format: 'email' }),
+  dateOfBirth: S('Personal', 'Date of Birth', { format: 'date' }),
+  passportNumber: S('Personal', 'Passport Number', { format: 'passport' }),
+  passportIssueDate: S('Personal', 'Passport Issue Date', { format: 'date' }),
+  passportExpiryDate: S('Personal', 'Passport Expiry Date', { format: 'date' }),
+  maritalStatus: S('Personal', 'Marital Status'),
+  numDependents: S('Personal', 'Number of Dependents', { format: 'count' }),
+
+  // Travel
+  destination: S('Travel', 'Destination Country', { required: true }),
+  visaType: S('Travel', 'Visa Type', { required: true }),
+  purpose: S('Travel', 'Purpose of Travel', { required: true }),
+  travelDates: S('Travel', 'Travel Dates', { format: 'dateRange' }),
+  entryDate: S('Travel', 'Planned Date of Entry', { format: 'date' }),
+  stayDuration: S('Travel', 'Duration of Stay'),
+  invited: S('Travel', 'Invited by someone there?', { enum: ['Yes', 'No'] }),
+  inviterName: S('Travel', "Inviter's Name"),
+  inviterAddress: S('Travel', "Inviter's Address"),
+  inviterRelationship: S('Travel', "Inviter's Relationship"),
+  inviterDocs: S('Travel', "Inviter's Supporting Documents"),
+  stayDetails: S('Travel', 'Accommodation / Host Details'),
+  travelItinerary: S('Travel', 'Travel Itinerary'),
+
+  // Employment & Finances
+  occupation: S('Employment & Finances', 'Occupation'),
+  employerName: S('Employment & Finances', 'Employer Name'),
+  employerAddress: S('Employment & Finances', 'Employer Address'),
+  employmentDuration: S('Employment & Finances', 'Employment Duration'),
+  income: S('Employment & Finances', 'Monthly Income', { required: true, format: 'money' }),
+  otherIncome: S('Employment & Finances', 'Other Income', { format: 'money' }),
+  funding: S('Employment & Finances', 'Funding Source'),
+  bankStatementDetails: S('Employment & Finances', 'Bank Statement Details'),
+  significantTransactions: S('Employment & Finances', 'Significant Transactions / Lump Sums'),
+  monthlyExpenses: S('Employment & Finances', 'Monthly Expenses', { format: 'money' }),
+  currentBankBalance: S('Employment & Finances', 'Current Bank Balance', { format: 'money' }),
+  averageBalance: S('Employment & Finances', 'Average Balance (6 months)', { format: 'money' }),
+  salaryCredits: S('Employment & Finances', 'Regular Salary Credits'),
+  estimatedTripCost: S('Employment & Finances', 'Estimated Trip Cost', { format: 'money' }),
+
+  // Ties
+  propertyDetails: S('Ties', 'Property Ownership'),
+  businessCommitments: S('Ties', 'Business / Employment Commitments'),
+  familyDependents: S('Ties', 'Family / Dependents'),
+  otherCommitments: S('Ties', 'Other Commitments'),
+
+  // History
+  travelHistory: S('History', 'Past Travel History'),
+  visaRefusals: S('History', 'Previous Visa Refusal(s)', { requiredWhen: 'reapplication' }),
+  refusalNotice: S('History', 'Refusal Notice (full text)'),
+  validVisas: S('History', 'Current Valid Visas'),
+
+  // Sponsor
+  sponsorSelf: S('Sponsor', 'Self-funded?', { enum: ['Yes', 'No'] }),
+  sponsorName: S('Sponsor', 'Sponsor Name', { requiredWhen: 'sponsored' }),
+  sponsorRelationship: S('Sponsor', 'Sponsor Relationship', { requiredWhen: 'sponsored' }),
+  sponsorOccupation: S('Sponsor', 'Sponsor Occupation'),
+  sponsorIncome: S('Sponsor', 'Sponsor Income', { format: 'money' }),
+  sponsorAccommodation: S('Sponsor', 'Sponsor Provides Accommodation?'),
+  sponsorDocs: S('Sponsor', 'Sponsor Documents'),
+
+  // Additional
+  specialEvents: S('Additional', 'Special Events / Highlights'),
+  compellingReasons: S('Additional', 'Compelling Personal Reasons'),
+  supportingLetters: S('Additional', 'Supporting Letters/Documents'),
+  potentialWeaknesses: S('Additional', 'Potential Weaknesses to Explain'),
+
+  // Branding / consular
+  accommodation: S('Consular', 'Accommodation'),
+  documents: S('Consular', 'Documents'),
+  embassyName: S('Consular', 'Embassy Name'),
+  embassyAddress: S('Consular', 'Embassy Address'),
+  companyName: S('Consular', 'Company Name (branding)', { default: 'No Guide Travel Agent' }),
+};
+
+// ---------- formats: normalise (best effort, raw value kept on failure) + validate ----------
+function formatDate(d) {
+  return new Date(Date.UTC(d.y, d.mo - 1, d.d))
+    .toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function fullDates(s) {
+  return extractDates(s).filter((d) => d.y);
+}
+
+const FORMATS = {
+  date: {
+    message: 'must be a date with day, month and year (e.g. 2025-10-10 or 10 October 2025)',
+    normalise: (s) => {
+      const ds = fullDates(s);
+      return ds.length === 1 ? formatDate(ds[0]) : s;
+    },
+    valid: (s) => fullDates(s).length === 1,
+  },
+  // Free text is allowed; two full dates are rewritten as "10 October 2025 to 20 October 2025"
+  dateRange: {
+    normalise: (s) => {
+      const ds = fullDates(s);
+      return ds.length === 2 ? `${formatDate(ds[0])} to ${formatDate(ds[1])}` : s;
+    },
+    valid: () => true,
+  },
+  age: {
+    message: 'must be a whole number of years between 0 and 120',
+    normalise: (s) => {
+      const m = /^\s*(\d{1,3})(?:\s*(?:years?|yrs?)(?:\s*old)?)?\s*$/i.exec(s);
+      return m ? String(+m[1]) : s;
+    },
+    valid: (s) => /^\d{1,3}$/.test(s) && +s <= 120,
+  },
+  count: {
+    message: 'must be a whole number',
+    normalise: (s) => s,
+    valid: (s) => /^\d{1,2}$/.test(s),
+  },
+  email: {
+    message: 'must be a valid email address',
+    normalise: (s) => s.toLowerCase(),
+    valid: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(s),
+  },
+  phone: {
+    message: 'must be a phone number (digits, spaces, +, -, brackets)',
+    normalise: (s) => s.replace(/\s+/g, ' '),
+    valid: (s) => /^\+?[\d\s()-]{7,20}$/.test(s),
+  },
+  passport: {
+    message: 'must be 6–9 letters/digits (e.g. A12345678)',
+    normalise: (s) => s.replace(/\s+/g, '').toUpperCase(),
+    valid: (s) => /^[A-Z0-9]{6,9}$/.test(s),
+  },
+  money: {
+    message: 'must contain an amount (e.g. ₦1,200,000, £2,000, 1.2m)',
+    normalise: (s) => s,
+    valid: (s) => /\d/.test(s),
+  },
+};
+
+// ---------- conditions ----------
+function evaluateCondition(cond, payload) {
+  if (cond.anyOf) return cond.anyOf.some((c) => evaluateCondition(c, payload));
+  if (cond.allOf) return cond.allOf.every((c) => evaluateCondition(c, payload));
+  const v = String(payload[cond.field] || '').trim();
+  if (cond.present) return v.length > 0;
+  if (cond.in) return cond.in.includes(v.toLowerCase());
+  if (cond.matches) return new RegExp(cond.matches, 'i').test(v);
+  return false;
+}
+
+/**
+ * Clean + normalise a raw body into the payload every endpoint works from.
+ * Never throws: values that cannot be normalised are kept as given for validatePayload to report.
+ * @param {object} b  raw request body
+ * @param {{ defaults?: object }} [opts]  per-tenant defaults; they replace the schema defaults
+ */
+function buildPayload(b = {}, { defaults = {} } = {}) {
+  const out = {};
+  for (const [key, spec] of Object.entries(FIELDS)) {
+    let v = clean(b[key]);
+    if (v !== undefined && spec.format) v = FORMATS[spec.format].normalise(v);
+    if (v !== undefined && spec.enum) v = spec.enum.find((e) => e.toLowerCase() === v.toLowerCase()) || v;
+    out[key] = v === undefined ? (defaults[key] !== undefined ? defaults[key] : spec.default) : v;
+  }
+  return out;
+}
+
+/**
+ * Field-level validation of a built payload.
+ * @returns {Array<{ field: string, code: 'required'|'format'|'enum'|'maxLength', message: string }>}
+ */
+function validatePayload(payload) {
+  const errors = [];
+  for (const [field, spec] of Object.entries(FIELDS)) {
+    const v = payload[field];
+    const when = spec.requiredWhen && CONDITIONS[spec.requiredWhen];
+    if (v === undefined) {
+      if (spec.required) errors.push({ field, code: 'required', message: `${spec.label} is required` });
+      else if (when && evaluateCondition(when, payload)) {
+        errors.push({ field, code: 'required', message: `${spec.label} is required when: ${when.description}` });
+      }
+      continue;
+    }
+    if (spec.enum && !spec.enum.includes(v)) {
+      errors.push({ field, code: 'enum', message: `${spec.label} must be one of: ${spec.enum.join(', ')}` });
+    } else if (spec.format && !FORMATS[spec.format].valid(v)) {
+      errors.push({ field, code: 'format', message: `${spec.label} ${FORMATS[spec.format].message}` });
+    } else if (spec.maxLength && v.length > spec.maxLength) {
+      errors.push({ field, code: 'maxLength', message: `${spec.label} must be at most ${spec.maxLength} characters` });
+    }
+  }
+  return errors;
+}
+
+// One-line summary for clients that only read `error`
+function describeErrors(errors) {
+  const missing = errors.filter((e) => e.code === 'required').map((e) => e.field);
+  const invalid = errors.filter((e) => e.code !== 'required').map((e) => e.field);
+  return [
+    missing.length && `Missing required fields: ${missing.join(', ')}`,
+    invalid.length && `Invalid fields: ${invalid.join(', ')}`,
+  ].filter(Boolean).join('; ');
+}
+
+// What GET /schema publishes (formats travel as descriptions; clients may apply stricter checks)
+function publicSchema() {
+  return {
+    version: 1,
+    conditions: CONDITIONS,
+    formats: Object.fromEntries(Object.entries(FORMATS).map(([k, f]) => [k, f.message || 'free text'])),
+    fields: FIELDS,
+  };
+}
+
+module.exports = { FIELDS, CONDITIONS, evaluateCondition, buildPayload, validatePayload, describeErrors, publicSchema };
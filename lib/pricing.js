@@ -0,0 +1,50 @@
+/**
+ * Model price table + per-call cost estimates
+ * -------------------------------------------
+ * - config/model_prices.json (or MODEL_PRICES_PATH):
+ *     { currency, per, effectiveDate, models: { "gpt-5-mini": { input, output } }, providers: { local: { … } } }
+ *   prices are per `per` tokens (e.g. 1000000); input = prompt tokens, output = completion tokens
+ * - A model matches its exact name, else the longest listed prefix ("gpt-4o-mini-2024-07-18" -> "gpt-4o-mini"),
+ *   else its provider's entry; no match = cost unknown (null), never guessed
+ * - estimateTokens(): ~4 characters per token, for servers that report no usage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICES_PATH = path.join(__dirname, '..', 'config', 'model_prices.json');
+
+function loadPrices(file = process.env.MODEL_PRICES_PATH || DEFAULT_PRICES_PATH) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!table.currency || !(table.per > 0) || !table.models) {
+    throw new Error(`Model price table ${file} needs currency, per and models`);
+  }
+  const bad = Object.entries({ ...table.models, ...(table.providers || {}) })
+    .filter(([, p]) => !(p && p.input >= 0 && p.output >= 0))
+    .map(([k]) => k);
+  if (bad.length) throw new Error(`Model price table ${file}: input/output prices missing for ${bad.join(', ')}`);
+  table.providers = table.providers || {};
+  return table;
+}
+
+function priceFor(table, provider, model) {
+  if (table.models[model]) return table.models[model];
+  const prefix = Object.keys(table.models)
+    .filter((k) => String(model || '').startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table.models[prefix] : table.providers[provider] || null;
+}
+
+/**
+ * @returns {number|null} cost in table.currency (null when the model has no price)
+ */
+function estimateCost(table, { provider, model, promptTokens = 0, completionTokens = 0 }) {
+  const price = priceFor(table, provider, model);
+  if (!price) return null;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / table.per;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+module.exports = { loadPrices, priceFor, estimateCost, estimateTokens };
@@ -0,0 +1,133 @@
+/**
+ * Model providers
+ * ---------------
+ * - openai:   hosted OpenAI chat completions (needs OPENAI_API_KEY)
+ * - local:    any OpenAI-compatible endpoint (LM Studio, Ollama, vLLM, …) via LOCAL_MODEL_BASE_URL
+ * - template: deterministic offline letter filled from the SOP master template + minis
+ *             (companion documents get their own, see createDocumentTemplateProvider)
+ *
+ * Every provider exposes:
+ *   { name, defaultModel,
+ *     complete({ model, messages, payload, signal, onUsage }) -> Promise<string>,
+ *     stream({ model, messages, payload, signal, onUsage }) -> AsyncIterable<string> }
+ * onUsage({ promptTokens, completionTokens }) is called when the server reports token counts
+ * (the template providers make no model call and never call it).
+ * The SDK's own retries are off (maxRetries: 0): server.js retries with its backoff and circuit breaker.
+ */
+
+const { OpenAI } = require('openai');
+const { renderTemplateLetter } = require('./template_letter');
+const { renderDocument } = require('./documents');
+
+const PROVIDER_NAMES = ['openai', 'local', 'template'];
+
+// Reasoning models (gpt-5*, o-series) reject temperature/max_tokens
+function completionParams(model) {
+  if (/^(gpt-5|o\d)/.test(model)) return {};
+  return { temperature: 0.2, max_tokens: 900 };
+}
+
+const usageFrom = (u) => ({ promptTokens: u.prompt_tokens || 0, completionTokens: u.completion_tokens || 0 });
+
+// streamUsage: ask for a final usage chunk (OpenAI supports it; some local servers reject the option)
+function chatProvider(name, client, defaultModel, { streamUsage = false } = {}) {
+  return {
+    name,
+    defaultModel,
+    async complete({ model, messages, signal, onUsage }) {
+      const resp = await client.chat.completions.create(
+        { model, messages, ...completionParams(model) },
+        { signal }
+      );
+      if (resp.usage && onUsage) onUsage(usageFrom(resp.usage));
+      return resp.choices?.[0]?.message?.content?.trim();
+    },
+    async *stream({ model, messages, signal, onUsage }) {
+      const resp = await client.chat.completions.create(
+        { model, messages, ...completionParams(model), stream: true, ...(streamUsage ? { stream_options: { include_usage: true } } : {}) },
+        { signal }
+      );
+      for await (const chunk of resp) {
+        if (chunk.usage && onUsage) onUsage(usageFrom(chunk.usage));
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+function createOpenAIProvider(env) {
+  const client = new OpenAI({
+    apiKey: env.OPENAI_API_KEY,
+    organization: env.OPENAI_ORG_ID || env.OPENAI_ORG || undefined,
+    project: env.OPENAI_PROJECT_ID || env.OPENAI_PROJECT || undefined,
+    maxRetries: 0,
+  });
+  return chatProvider('openai', client, 'gpt-5-mini', { streamUsage: true });
+}
+
+function createLocalProvider(env) {
+  const client = new OpenAI({
+    baseURL: env.LOCAL_MODEL_BASE_URL,
+    // Most local servers ignore the key, but the SDK refuses to start without one
+    apiKey: env.LOCAL_MODEL_API_KEY || 'not-needed',
+    maxRetries: 0,
+  });
+  return chatProvider('local', client, env.LOCAL_MODEL_NAME || 'llama3.1');
+}
+
+function createTemplateProvider(getSOP) {
+  return {
+    name: 'template',
+    defaultModel: 'sop-template',
+    async complete({ messages, payload }) {
+      return renderTemplateLetter({ masterTemplate: getSOP().masterTemplate, messages, payload });
+    },
+    // Rendered instantly; emitted line by line so clients share one streaming code path
+    async *stream({ messages, payload, signal }) {
+      const letter = renderTemplateLetter({ masterTemplate: getSOP().masterTemplate, messages, payload });
+      for (const line of letter.split(/(?<=\n)/)) {
+        if (signal?.aborted) return;
+        yield line;
+      }
+    },
+  };
+}
+
+// Offline companion document (lib/documents.js) filled from its own SOP template
+function createDocumentTemplateProvider(template) {
+  return {
+    name: 'template',
+    defaultModel: 'sop-document-template',
+    async complete({ payload }) {
+      return renderDocument(template, payload);
+    },
+    async *stream({ payload }) {
+      yield renderDocument(template, payload);
+    },
+  };
+}
+
+/**
+ * Resolve the configured provider. Throws (with a readable message) when
+ * the chosen provider is missing its required settings.
+ * @param {string} name  one of PROVIDER_NAMES
+ * @param {object} env   usually process.env
+ * @param {() => object} getSOP  returns the loaded SOP assets
+ */
+function createProvider(name, env, getSOP) {
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) throw new Error('MODEL_PROVIDER=openai requires OPENAI_API_KEY');
+      return createOpenAIProvider(env);
+    case 'local':
+      if (!env.LOCAL_MODEL_BASE_URL) throw new Error('MODEL_PROVIDER=local requires LOCAL_MODEL_BASE_URL');
+      return createLocalProvider(env);
+    case 'template':
+      return createTemplateProvider(getSOP);
+    default:
+      throw new Error(`Unknown MODEL_PROVIDER "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+}
+
+module.exports = { PROVIDER_NAMES, createProvider, createTemplateProvider, createDocumentTemplateProvider };
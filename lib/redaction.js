@@ -0,0 +1,125 @@
+/**
+ * PII redaction for model calls + masked logs
+ * -------------------------------------------
+ * - createRedactor(payload, fields): each configured field's value becomes a stable token
+ *   ([[PASSPORT_NUMBER]], [[CONTACT_EMAIL]], …) everywhere it appears in the outgoing messages;
+ *   restore() puts the real values back into what the model returns (streamRestorer() for SSE chunks)
+ * - maskPII(): log-safe text — known values from the current request, then emails, phone numbers
+ *   and passport-like numbers by pattern
+ * - maskConsole(): routes console.log/info/warn/error through maskPII
+ *
+ * The offline template provider never leaves the server, so it is given the real values.
+ */
+
+const util = require('util');
+const { FIELDS } = require('./payload_schema');
+
+const DEFAULT_REDACT_FIELDS = ['passportNumber', 'dateOfBirth', 'contactPhone', 'contactEmail', 'applicantAddress'];
+const TOKEN_RE = /\[\[\s*([A-Z][A-Z_]*)\s*\]\]/g;
+const TOKEN_NOTE = 'Text like [[PASSPORT_NUMBER]] stands for a private detail: write each such token exactly as given wherever that detail belongs; never fill it in or change it.';
+
+// "passportNumber" -> "PASSPORT_NUMBER"
+const tokenName = (field) => field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * REDACT_FIELDS -> field list ("none" = redaction off, unset = DEFAULT_REDACT_FIELDS).
+ * @throws {Error} on a name that is not a payload field
+ */
+function parseRedactFields(value) {
+  if (value === undefined || value === '') return DEFAULT_REDACT_FIELDS;
+  if (value.trim().toLowerCase() === 'none') return [];
+  const fields = value.split(',').map((s) => s.trim()).filter(Boolean);
+  const unknown = fields.filter((f) => !FIELDS[f]);
+  if (unknown.length) throw new Error(`REDACT_FIELDS: unknown payload field(s) ${unknown.join(', ')}`);
+  return fields;
+}
+
+/**
+ * @param {object} payload
+ * @param {string[]} fields
+ */
+function createRedactor(payload, fields) {
+  const entries = fields
+    .filter((f) => typeof payload[f] === 'string' && payload[f].trim())
+    .map((f) => ({ field: f, token: `[[${tokenName(f)}]]`, value: payload[f].trim() }))
+    // Longest first, so an address containing a shorter value is replaced whole
+    .sort((a, b) => b.value.length - a.value.length);
+  const byName = new Map(entries.map((e) => [tokenName(e.field), e.value]));
+  const patterns = entries.map((e) => ({ re: new RegExp(escapeRe(e.value), 'gi'), token: e.token }));
+
+  function redact(text) {
+    let out = String(text);
+    for (const p of patterns) out = out.replace(p.re, p.token);
+    return out;
+  }
+
+  // Tokens the model invented or mangled are left as they are (the fact check / compliance report will show them)
+  const restore = (text) => String(text).replace(TOKEN_RE, (m, name) => byName.get(name.toUpperCase()) ?? m);
+
+  return {
+    active: entries.length > 0,
+    values: entries.map((e) => e.value),
+    redact,
+    restore,
+    // Redacted copy of a prompt; the system message also explains the tokens
+    redactMessages(messages) {
+      const out = messages.map((m) => ({ ...m, content: redact(m.content) }));
+      const system = out.findIndex((m) => m.role === 'system');
+      if (entries.length && system !== -1) out[system] = { ...out[system], content: `${out[system].content}\n${TOKEN_NOTE}` };
+      return out;
+    },
+
+    // Holds back a trailing "[[…" until the token is complete, so no chunk ever shows half a token
+    streamRestorer() {
+      let pending = '';
+      return {
+        push(chunk) {
+          pending += chunk;
+          const open = pending.lastIndexOf('[[');
+          let cut = open !== -1 && pending.indexOf(']]', open) === -1 && pending.length - open < 40 ? open : pending.length;
+          if (cut === pending.length && pending.endsWith('[')) cut--; // may be the first half of "[["
+          const ready = restore(pending.slice(0, cut));
+          pending = pending.slice(cut);
+          return ready;
+        },
+        end() {
+          const rest = restore(pending);
+          pending = '';
+          return rest;
+        },
+      };
+    },
+  };
+}
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_RE = /(?<![\d+])(?:\+\d{1,3}[\s-]?)?\(?0?\d{3}\)?[\s-]?\d{3}[\s-]?\d{4}\b/g;
+const PASSPORT_RE = /\b[A-Z]\d{8}\b/g;
+
+// Values of the PII fields present in a payload (for log masking)
+function piiValues(payload, fields = DEFAULT_REDACT_FIELDS) {
+  return fields.map((f) => payload[f]).filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim());
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} [values]  exact values to hide (e.g. the current request's redacted fields)
+ */
+function maskPII(text, values = []) {
+  let out = String(text);
+  for (const v of [...values].sort((a, b) => b.length - a.length)) {
+    if (v && v.length > 2) out = out.replace(new RegExp(escapeRe(v), 'gi'), '***');
+  }
+  return out.replace(EMAIL_RE, '***@***').replace(PHONE_RE, '***').replace(PASSPORT_RE, '***');
+}
+
+// Every console line is formatted first (objects, errors with stacks), then masked
+function maskConsole(target = console, knownValues = () => []) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(maskPII(util.format(...args), knownValues()));
+  }
+}
+
+module.exports = { DEFAULT_REDACT_FIELDS, parseRedactFields, createRedactor, piiValues, maskPII, maskConsole };
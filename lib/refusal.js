@@ -0,0 +1,219 @@
+/**
+ * Refusal notice parser + rebuttal plan (rule-based, no model call)
+ * ----------------------------------------------------------------
+ * - parseRefusalNotice() reads a pasted refusal notice or the staff's own visaRefusals notes:
+ *   UK Appendix V paragraph citations (V 4.2 (a)–(e)), Part 9 / 320(7A) deception grounds,
+ *   Schengen standard-form grounds (ticked boxes only when the form marks them) and free-text sentences
+ * - Every ground is classified as funds | ties | purpose | credibility | documents; one ground per
+ *   category, keeping the codes and sentences that raised it
+ * - rebuttalPlan() links each ground to the payload fields that answer it; a ground with none is
+ *   "unanswered" (flagged in the plan, the assessment and the /generate-letter response)
+ *
+ * Only payload values are quoted as evidence, so the fact check holds the rebuttal to the intake form.
+ */
+
+const { FIELDS } = require('./payload_schema');
+const { clean } = require('./utils');
+
+const CATEGORIES = {
+  funds: {
+    label: 'Funds',
+    keywords: /\b(funds?|financ\w*|bank|balance|savings|income|salary|earnings|money|means|afford\w*|deposits?|transactions?|lump sums?|payslips?|sponsor\w*)\b/gi,
+    evidence: ['currentBankBalance', 'income', 'otherIncome', 'bankStatementDetails', 'significantTransactions', 'sponsorIncome', 'sponsorDocs'],
+    recommendation: 'Record bank statement details, explain large deposits, or document the sponsor\'s income before reapplying.',
+  },
+  ties: {
+    label: 'Ties and intention to return',
+    keywords: /\b(ties|leave (the )?(uk|united kingdom|schengen area|territory|country)|return\w*|home country|circumstances|intention to leave|employment|employer|job|family|dependants?|dependents?|property|commitments?)\b/gi,
+    evidence: ['employerName', 'employmentDuration', 'businessCommitments', 'propertyDetails', 'familyDependents', 'otherCommitments', 'compellingReasons'],
+    recommendation: 'Record employment, property, family or business commitments that require the applicant to return.',
+  },
+  purpose: {
+    label: 'Purpose of visit',
+    keywords: /\b(purpose|itinerary|genuine visitor|genuinely seeking|reason for (your|the) (visit|trip)|plans?|intended stay|accommodation|invitation|host|activities)\b/gi,
+    evidence: ['travelItinerary', 'stayDetails', 'inviterName', 'inviterDocs', 'specialEvents'],
+    recommendation: 'Record a day-by-day itinerary, accommodation or host details, or the event the trip is for.',
+  },
+  credibility: {
+    label: 'Credibility',
+    keywords: /\b(credib\w*|reliab\w*|inconsisten\w*|contradict\w*|false|decepti\w*|misrepresent\w*|forged|counterfeit|genuine(?! visitor)|doubts?|overstay\w*|immigration history|breach\w*)\b/gi,
+    evidence: ['travelHistory', 'validVisas', 'supportingLetters', 'potentialWeaknesses'],
+    recommendation: 'Record the travel/visa history and an explanation of the inconsistency, with documents that confirm it.',
+  },
+  documents: {
+    label: 'Documents',
+    keywords: /\b(documents?|documentation|insurance|certificates?|originals?|translat\w*|letters?|missing)\b/gi,
+    evidence: ['documents', 'supportingLetters', 'sponsorDocs', 'inviterDocs'],
+    recommendation: 'List the documents the notice asked for under documents/supporting letters.',
+  },
+};
+
+// When two categories score the same, the more specific one wins
+const PRECEDENCE = ['credibility', 'funds', 'ties', 'purpose', 'documents'];
+
+// A ground that names one of these needs evidence about that thing, not just anything in its category
+const TOPICS = [
+  { re: /deposit|lump sum|transaction|large (sum|payment|credit)|unexplained/i, fields: ['significantTransactions', 'bankStatementDetails'] },
+  { re: /sponsor/i, fields: ['sponsorIncome', 'sponsorDocs'] },
+  { re: /insurance/i, fields: ['documents', 'supportingLetters'], mentions: /insurance/i },
+  { re: /itinerary/i, fields: ['travelItinerary'] },
+];
+
+// UK Appendix V: Visitor, V 4.2 — the genuine visitor requirements
+const UK_PARAGRAPHS = {
+  a: 'ties', // will leave the UK at the end of the visit
+  b: 'credibility', // will not live in the UK through frequent or successive visits
+  c: 'purpose', // is genuinely seeking entry for a permitted purpose
+  d: 'purpose', // will not undertake prohibited activities
+  e: 'funds', // has sufficient funds for the visit
+};
+
+const UK_DECEPTION_RE = /\b(?:paragraph\s+)?(9\.7\.[12]|9\.8\.\d|320\s*\(7A\))/gi;
+
+// Schengen standard refusal form (Visa Code, Annex VI)
+const SCHENGEN_GROUNDS = [
+  { code: '1', category: 'documents', re: /false,? counterfeit or forged travel document/i },
+  { code: '2', category: 'purpose', re: /justification for the purpose and conditions of the intended stay was not provided/i },
+  { code: '3', category: 'funds', re: /sufficient means of subsistence|means of subsistence/i },
+  { code: '4', category: 'credibility', re: /already stayed for 90 days/i },
+  { code: '5', category: 'credibility', re: /alert has been issued in the Schengen Information System/i },
+  { code: '6', category: 'credibility', re: /threat to public policy/i },
+  { code: '7', category: 'documents', re: /travel medical insurance/i },
+  { code: '8', category: 'credibility', re: /information submitted .*(was )?not reliable|reliability of the (statements|documents)/i },
+  { code: '9', category: 'ties', re: /intention to leave .*before the expiry of the visa/i },
+  { code: '10', category: 'documents', re: /not (been )?(able|in a position) to apply for a visa in advance/i },
+];
+
+const TICKED_RE = /^\s*(☒|☑|✔|✓|\[x\]|\(x\)|x\s)/i;
+const UNTICKED_RE = /^\s*(☐|□|\[\s\]|\(\s\))/;
+// In a full notice only sentences that raise a concern count (not "You applied for a visit visa on …")
+const CONCERN_RE = /not satisfied|not (been )?(provided|demonstrated|shown|established|persuaded|submitted|credible|reliable)|insufficient|no evidence|fail(ed|s)? to|unable to|doubt|concern|inconsisten|unclear|lack|did not|have not|has not|was not|were not|could not|cannot|unexplained|weak|limited|poor/i;
+
+const MAX_EXCERPTS = 2;
+const clip = (s, n) => (s.length > n ? s.slice(0, n - 1) + '…' : s);
+
+function classify(sentence) {
+  let best = null;
+  let bestScore = 0;
+  for (const category of PRECEDENCE) {
+    const score = (sentence.match(CATEGORIES[category].keywords) || []).length;
+    if (score > bestScore) {
+      best = category;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function segments(text) {
+  return String(text)
+    .replace(/\r/g, '')
+    .split(/\n+|(?<=[.!?;])\s+/)
+    .map((s) => s.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/;$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} text  full refusal notice, or short refusal notes
+ * @param {{ requireConcern?: boolean }} [opts]  false for staff notes, where every classified sentence is a ground
+ * @returns {{ format: 'uk'|'schengen'|'free-text', grounds: Array<{ category: string, label: string, codes: string[], excerpts: string[] }> }}
+ */
+function parseRefusalNotice(text, { requireConcern = true } = {}) {
+  const grounds = new Map();
+  const ground = (category) => {
+    if (!grounds.has(category)) grounds.set(category, { category, label: CATEGORIES[category].label, codes: [], excerpts: [] });
+    return grounds.get(category);
+  };
+  const addCode = (category, code) => {
+    const g = ground(category);
+    if (!g.codes.includes(code)) g.codes.push(code);
+  };
+  const addExcerpt = (category, sentence) => {
+    const g = ground(category);
+    if (g.excerpts.length < MAX_EXCERPTS && !g.excerpts.includes(sentence)) g.excerpts.push(clip(sentence, 240));
+  };
+
+  let format = 'free-text';
+  const consumed = new Set();
+
+  // Schengen: a form with tick marks only counts the ticked lines
+  const lines = String(text).replace(/\r/g, '').split('\n');
+  const marked = lines.some((l) => TICKED_RE.test(l) || UNTICKED_RE.test(l));
+  for (const line of lines) {
+    const s = SCHENGEN_GROUNDS.find((x) => x.re.test(line));
+    if (!s) continue;
+    format = 'schengen';
+    segments(line).forEach((seg) => consumed.add(seg));
+    if (marked && !TICKED_RE.test(line)) continue;
+    addCode(s.category, `Schengen ${s.code}`);
+    addExcerpt(s.category, line.replace(TICKED_RE, '').replace(/^\s*\d+[.)]\s+/, '').trim());
+  }
+
+  for (const sentence of segments(text)) {
+    if (consumed.has(sentence) || (requireConcern && !CONCERN_RE.test(sentence))) continue;
+    const category = classify(sentence);
+    if (category) addExcerpt(category, sentence);
+  }
+
+  // UK citations come last in a notice, after the sentences that explain them: "V 4.2 (a) and (c)", "V4.2(a)(e)"
+  for (const m of String(text).matchAll(/\bV\s?4\.2((?:\s*(?:,|and|&)?\s*\([a-e]\))+)/gi)) {
+    format = 'uk';
+    for (const [, letter] of m[1].matchAll(/\(([a-e])\)/gi)) {
+      addCode(UK_PARAGRAPHS[letter.toLowerCase()], `V 4.2(${letter.toLowerCase()})`);
+    }
+  }
+  for (const m of String(text).matchAll(UK_DECEPTION_RE)) {
+    format = 'uk';
+    addCode('credibility', m[1].replace(/\s+/g, ''));
+  }
+
+  return { format, grounds: [...grounds.values()] };
+}
+
+// Payload fields that answer a ground, as { field, label, value }
+function evidenceFor(ground, payload) {
+  const said = ground.excerpts.join(' ');
+  const topic = TOPICS.find((t) => t.re.test(said));
+  const fields = topic ? topic.fields : CATEGORIES[ground.category].evidence;
+  return fields
+    .filter((f) => clean(payload[f]) && (!topic || !topic.mentions || topic.mentions.test(payload[f])))
+    .map((f) => ({ field: f, label: FIELDS[f].label, value: clean(payload[f]) }));
+}
+
+/**
+ * The refusal notice (or visaRefusals notes) of a payload as a rebuttal plan.
+ * @returns {null | { source: 'refusalNotice'|'visaRefusals', format: string,
+ *   grounds: Array<{ category, label, codes, excerpts, evidence: Array<{ field, label, value }>, answered: boolean }>,
+ *   unanswered: string[] }}
+ */
+function rebuttalPlan(payload) {
+  const source = clean(payload.refusalNotice) ? 'refusalNotice' : clean(payload.visaRefusals) ? 'visaRefusals' : null;
+  if (!source) return null;
+  const { format, grounds } = parseRefusalNotice(payload[source], { requireConcern: source === 'refusalNotice' });
+  const planned = grounds.map((g) => {
+    const evidence = evidenceFor(g, payload);
+    return { ...g, evidence, answered: evidence.length > 0 };
+  });
+  return { source, format, grounds: planned, unanswered: planned.filter((g) => !g.answered).map((g) => g.category) };
+}
+
+// One-line reasons for visaRefusals when only the full notice was pasted
+function refusalSummary(text) {
+  const { grounds } = parseRefusalNotice(text);
+  return grounds
+    .map((g) => `${g.label}${g.codes.length ? ` (${g.codes.join(', ')})` : ''}${g.excerpts.length ? `: ${g.excerpts[0].replace(/\.$/, '')}` : ''}`)
+    .join('; ');
+}
+
+function rebuttalPromptBlock(plan) {
+  const items = plan.grounds.map((g, i) => {
+    const cited = [g.codes.join(', '), g.excerpts.map((e) => `"${e}"`).join(' ')].filter(Boolean).join(' — ');
+    const answer = g.answered
+      ? `   Answer with: ${g.evidence.map((e) => `${e.label}: ${clip(e.value, 160)}`).join('; ')}`
+      : '   No new evidence recorded: acknowledge this ground briefly and factually; do not claim evidence that is not listed.';
+    return `${i + 1}. ${g.label}${cited ? ` (${cited})` : ''}\n${answer}`;
+  });
+  return `--- REBUTTAL PLAN (answer each refusal ground in the refusal paragraph, in this order) ---\n${items.join('\n')}`;
+}
+
+module.exports = { CATEGORIES, parseRefusalNotice, rebuttalPlan, refusalSummary, rebuttalPromptBlock };
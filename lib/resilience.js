@@ -0,0 +1,111 @@
+/**
+ * Retries, backoff and circuit breaking for model calls
+ * -----------------------------------------------------
+ * - isTransient(): timeouts, connection resets, 408/409/425/429 and 5xx are worth retrying; auth errors,
+ *   bad requests and an exhausted quota are not
+ * - retryDelay(): exponential backoff with full jitter, capped; an upstream Retry-After wins (still capped)
+ * - createCircuitBreaker(): per provider/model. After `threshold` consecutive failures the model is skipped
+ *   for `cooldownMs`, then one trial call decides between closing and another cooldown
+ */
+
+const TRANSIENT_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_ERRNO = /^(ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|UND_ERR_\w+)$/;
+
+function isTransient(err) {
+  if (!err || err.aborted) return false;
+  if (err.code === 'insufficient_quota') return false;
+  const status = err.status || err.statusCode;
+  if (status) return TRANSIENT_STATUS.has(status);
+  const name = err.constructor?.name || err.name || '';
+  return /Connection|Timeout/.test(name) || TRANSIENT_ERRNO.test(err.code || err.cause?.code || '');
+}
+
+// Failures that say something about the model's health (a request it rejected as malformed does not)
+function tripsBreaker(err) {
+  const status = err?.status || err?.statusCode;
+  return Boolean(err) && !err.aborted && status !== 400 && status !== 422;
+}
+
+/**
+ * @param {number} retry  0 for the first retry
+ * @param {{ baseMs: number, maxMs: number }} policy
+ * @param {Error} [err]  its Retry-After header (seconds) is honoured
+ */
+function retryDelay(retry, { baseMs, maxMs }, err, random = Math.random) {
+  const retryAfter = Number(err?.headers?.['retry-after']);
+  if (retryAfter > 0) return Math.min(maxMs, retryAfter * 1000);
+  return Math.round(random() * Math.min(maxMs, baseMs * 2 ** retry));
+}
+
+// Resolves after `ms`; rejects as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @param {{ threshold?: number, cooldownMs?: number, now?: () => number }} [opts]
+ */
+function createCircuitBreaker({ threshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+  const circuits = new Map(); // key -> { state: 'closed'|'open'|'half-open', failures, openUntil, trial }
+
+  const get = (key) => {
+    if (!circuits.has(key)) circuits.set(key, { state: 'closed', failures: 0, openUntil: 0, trial: false });
+    return circuits.get(key);
+  };
+
+  return {
+    // May this model be called now? (an expired open circuit lets exactly one trial call through)
+    allow(key) {
+      const c = get(key);
+      if (c.state === 'closed') return true;
+      if (c.state === 'open' && now() >= c.openUntil) Object.assign(c, { state: 'half-open', trial: false });
+      if (c.state === 'half-open' && !c.trial) {
+        c.trial = true;
+        return true;
+      }
+      return false;
+    },
+
+    success(key) {
+      Object.assign(get(key), { state: 'closed', failures: 0, openUntil: 0, trial: false });
+    },
+
+    failure(key) {
+      const c = get(key);
+      c.failures++;
+      if (c.state === 'half-open' || c.failures >= threshold) Object.assign(c, { state: 'open', openUntil: now() + cooldownMs, trial: false });
+    },
+
+    // A call that ended without a verdict (e.g. the client left): let the next call be the trial
+    release(key) {
+      get(key).trial = false;
+    },
+
+    // The breaker's view after an expired cooldown ("half-open") without consuming the trial call
+    state(key) {
+      const c = get(key);
+      return c.state === 'open' && now() >= c.openUntil ? 'half-open' : c.state;
+    },
+
+    describe() {
+      return Object.fromEntries([...circuits].map(([key, c]) => [key, {
+        state: this.state(key),
+        failures: c.failures,
+        ...(c.state === 'open' ? { openUntil: new Date(c.openUntil).toISOString() } : {}),
+      }]));
+    },
+  };
+}
+
+module.exports = { isTransient, tripsBreaker, retryDelay, sleep, createCircuitBreaker };
@@ -0,0 +1,103 @@
+/**
+ * Targeted letter revision
+ * ------------------------
+ * - Resolves an optional section scope ("funding", "refusal rebuttal", "funding paragraph only", …)
+ *   to one body paragraph of the existing letter
+ * - Scoped revisions ask the model for that paragraph only and splice it back,
+ *   so every other paragraph is guaranteed byte-for-byte unchanged
+ * - Unscoped revisions rewrite the whole letter under the same SOP prompt
+ */
+
+const { parseLetter } = require('./compliance');
+
+// key -> { aliases (for free-text scopes), heading (paragraph title), keywords (content match) }
+const SECTIONS = {
+  purpose: { aliases: /purpose|identity|intro|opening|travel dates?/i, first: true },
+  employment: { aliases: /employ|job|occupation|work|business|income|salary/i, heading: /profile|employment|business/i, keywords: /employ|salary|earn|income|business|occupation/gi },
+  funding: { aliases: /fund|financ|money|sponsor|bank|balance|afford/i, heading: /financ|fund|sponsor/i, keywords: /fund|sponsor|balance|trip cost|afford|bank/gi },
+  accommodation: { aliases: /accommodat|hotel|host|stay/i, heading: /accommodat/i, keywords: /accommodat|hotel|host|stay/gi },
+  refusal: { aliases: /refus|rebuttal|reapplic/i, heading: /refusal|clarification/i, keywords: /refus|rebut|previous application|new evidence/gi },
+  transactions: { aliases: /transaction|deposit/i, heading: /transaction/i, keywords: /transaction|deposit/gi },
+  ties: { aliases: /ties|return|home country/i, heading: /ties/i, keywords: /ties|return|family|property/gi },
+  documents: { aliases: /document|evidence|attach|enclos/i, heading: /document/i, keywords: /attach|enclos|document/gi },
+  rationale: { aliases: /merits|rationale|why (my|the) application|approval/i, heading: /merits approval/i },
+  conclusion: { aliases: /conclu|closing paragraph|final paragraph/i, heading: /conclusion/i, last: true },
+};
+
+// Free text ("make the refusal rebuttal firmer") or a key -> section key
+function resolveSection(scope) {
+  if (!scope) return null;
+  const s = String(scope).trim().toLowerCase();
+  if (SECTIONS[s]) return s;
+  // The section named first wins: "funding paragraph, mention the host" -> funding
+  let best = null;
+  let bestAt = Infinity;
+  for (const k of Object.keys(SECTIONS)) {
+    const m = SECTIONS[k].aliases.exec(s);
+    if (m && m.index < bestAt) { best = k; bestAt = m.index; }
+  }
+  return best;
+}
+
+/**
+ * Find the paragraph a section key refers to.
+ * @returns {{ key: string, index: number, text: string } | null}
+ */
+function findSectionParagraph(letter, key) {
+  const spec = SECTIONS[key];
+  if (!spec) return null;
+  const { paragraphs } = parseLetter(letter);
+  if (!paragraphs.length) return null;
+
+  if (spec.first) return { key, index: 0, text: paragraphs[0] };
+  const byHeading = spec.heading ? paragraphs.findIndex((p) => spec.heading.test(p.split('\n')[0])) : -1;
+  if (byHeading !== -1) return { key, index: byHeading, text: paragraphs[byHeading] };
+
+  if (spec.keywords) {
+    let best = -1;
+    let bestScore = 0;
+    paragraphs.forEach((p, i) => {
+      const score = (p.match(spec.keywords) || []).length;
+      if (score > bestScore) { best = i; bestScore = score; }
+    });
+    if (best !== -1) return { key, index: best, text: paragraphs[best] };
+  }
+  if (spec.last) return { key, index: paragraphs.length - 1, text: paragraphs[paragraphs.length - 1] };
+  return null;
+}
+
+// Same SOP prompt the letter was generated with, then the current draft and the edit request
+function buildRevisionMessages(baseMessages, letter, instructions, target) {
+  const ask = target
+    ? `Revise ONLY the paragraph below according to the instructions.
+Return only the revised paragraph (keep its heading line if it has one). Plain text, no commentary.
+Use only the facts provided above; do not add any new facts, amounts, dates or names.
+
+PARAGRAPH:
+${target.text}
+
+INSTRUCTIONS:
+${instructions}`
+    : `Revise the letter above according to the instructions.
+Keep every part the instructions do not mention word-for-word unchanged, and keep the required structure.
+Use only the facts provided above; do not add any new facts, amounts, dates or names.
+Return the full letter, plain text, no commentary.
+
+INSTRUCTIONS:
+${instructions}`;
+
+  return [...baseMessages, { role: 'assistant', content: letter }, { role: 'user', content: ask }];
+}
+
+// Replace one paragraph in the original text, leaving all other bytes as they were
+function spliceParagraph(letter, target, revised) {
+  const parts = String(letter).split(/(\n[ \t]*\n)/);
+  const normalise = (s) => s.split('\n').map((l) => l.trim()).filter(Boolean).join('\n');
+  const want = normalise(target.text);
+  const i = parts.findIndex((p) => normalise(p) === want);
+  if (i === -1) return null;
+  parts[i] = String(revised).trim();
+  return parts.join('');
+}
+
+module.exports = { SECTIONS, resolveSection, findSectionParagraph, buildRevisionMessages, spliceParagraph };
@@ -0,0 +1,158 @@
+/**
+ * Sample retrieval (BM25) + verbatim-copy detection
+ * -------------------------------------------------
+ * - buildSampleIndex() indexes every sample once per SOP load (so hot reload rebuilds it); front-matter
+ *   tags (label, description, visa types, destinations, application type, scenarios) count TAG_WEIGHT times
+ * - sampleQuery() turns a payload + selection into query text; searchSamples() ranks by BM25
+ * - findCopiedPassages() finds runs of COPY_NGRAM+ words within one sentence that the letter shares with a
+ *   sample; words that come from the payload (names, employers, amounts…) or the rule files never count
+ *
+ * Everything is local and offline: no embeddings, no network.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+const TAG_WEIGHT = 3;
+const COPY_NGRAM = 10; // long enough that stock openings ("I am writing to apply for a …") don't count
+
+const STOPWORDS = new Set(('a an and are as at be been by for from has have i in is it its me my of on or our so that the their '
+  + 'this to was we were which will with you your am do not no any all also than then there these those').split(' '));
+
+// Search terms: lowercase words and numbers, stopwords dropped, simple plural folding ("refusals" -> "refusal")
+function terms(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((w) => !STOPWORDS.has(w))
+    .map((w) => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+// Copy-detection words with their offsets and sentence number; "1,200,000" and "don't" stay one word.
+// A sentence ends at . ! ? or a line break.
+function words(text) {
+  const s = String(text || '');
+  const out = [];
+  const re = /[\p{L}\p{N}]+(?:['’.,][\p{L}\p{N}]+)*/gu;
+  let sentence = 0;
+  let m;
+  while ((m = re.exec(s))) {
+    if (out.length && /[.!?\n]/.test(s.slice(out[out.length - 1].end, m.index))) sentence++;
+    out.push({ w: m[0].toLowerCase().replace(/’/g, "'"), start: m.index, end: m.index + m[0].length, sentence });
+  }
+  return out;
+}
+
+const gramKey = (ws, i, n) => ws.slice(i, i + n).map((x) => x.w).join(' ');
+const sameSentence = (ws, i, n) => ws[i].sentence === ws[i + n - 1].sentence;
+
+function shingles(text, n = COPY_NGRAM) {
+  const ws = words(text);
+  const set = new Set();
+  for (let i = 0; i + n <= ws.length; i++) if (sameSentence(ws, i, n)) set.add(gramKey(ws, i, n));
+  return set;
+}
+
+function tagText(meta = {}) {
+  return [meta.label, meta.description, ...(meta.visaTypes || []), ...(meta.destinations || []), meta.applicationType, ...(meta.scenarios || [])]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * @param {Array<{ name: string, meta: object, text: string }>} samples
+ */
+function buildSampleIndex(samples) {
+  const df = new Map();
+  const docs = samples.map((sample) => {
+    const tokens = [...terms(sample.text), ...Array(TAG_WEIGHT).fill(terms(tagText(sample.meta))).flat()];
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    return { sample, tf, length: tokens.length, shingles: shingles(sample.text) };
+  });
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+function bm25(index, doc, queryTerms) {
+  const N = index.docs.length;
+  let score = 0;
+  for (const t of new Set(queryTerms)) {
+    const f = doc.tf.get(t);
+    if (!f) continue;
+    const n = index.df.get(t);
+    const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+    score += idf * ((f * (K1 + 1)) / (f + K1 * (1 - B + B * (doc.length / index.avgLength))));
+  }
+  return score;
+}
+
+// What the case is about, as query text (free-text fields that describe the trip, not every figure)
+function sampleQuery(payload, selection = {}) {
+  const p = payload || {};
+  return [
+    p.visaType, p.destination, p.purpose, p.occupation, p.visaRefusals, p.potentialWeaknesses, p.compellingReasons,
+    p.sponsorRelationship, p.inviterRelationship, p.stayDetails,
+    selection.applicationType, ...(selection.scenarios || []),
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Rank samples against a query.
+ * @param {object} index  from buildSampleIndex()
+ * @param {string} query
+ * @param {{ boost?: (sample: object) => number }} [opts]  extra score per sample (e.g. front-matter fit)
+ * @returns {Array<{ sample: object, score: number }>} best first; ties keep directory order
+ */
+function searchSamples(index, query, { boost = () => 0 } = {}) {
+  const q = terms(query);
+  return index.docs
+    .map((doc, i) => ({ sample: doc.sample, score: bm25(index, doc, q) + boost(doc.sample), i }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ sample, score }) => ({ sample, score: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Passages of at least COPY_NGRAM words (within a sentence) that a letter shares with any sample.
+ * @param {string} letter
+ * @param {object} index
+ * @param {{ facts?: string[], allowed?: string[], n?: number }} [opts]
+ *   facts: payload values — any n-gram touching them is the applicant's own data, not copying
+ *   allowed: texts the letter may quote (master template, rules); their n-grams never count
+ * @returns {Array<{ sample: string, text: string, words: number }>}
+ */
+function findCopiedPassages(letter, index, { facts = [], allowed = [], n = COPY_NGRAM } = {}) {
+  const ws = words(letter);
+  if (ws.length < n || !index.docs.length) return [];
+
+  // Mark letter words that spell out a payload value
+  const fact = new Array(ws.length).fill(false);
+  for (const value of facts) {
+    const fw = words(value).map((x) => x.w);
+    if (!fw.length) continue;
+    for (let i = 0; i + fw.length <= ws.length; i++) {
+      if (fw.every((w, j) => ws[i + j].w === w)) fw.forEach((_, j) => { fact[i + j] = true; });
+    }
+  }
+  const exempt = new Set(allowed.flatMap((t) => [...shingles(t, n)]));
+
+  const copiedFrom = new Array(ws.length).fill(null);
+  for (let i = 0; i + n <= ws.length; i++) {
+    if (!sameSentence(ws, i, n) || fact.slice(i, i + n).some(Boolean)) continue;
+    const key = gramKey(ws, i, n);
+    if (exempt.has(key)) continue;
+    const doc = index.docs.find((d) => d.shingles.has(key));
+    if (!doc) continue;
+    for (let j = i; j < i + n; j++) copiedFrom[j] = copiedFrom[j] || doc.sample.name;
+  }
+
+  const passages = [];
+  for (let i = 0; i < ws.length; i++) {
+    if (!copiedFrom[i]) continue;
+    let j = i;
+    while (j + 1 < ws.length && copiedFrom[j + 1]) j++;
+    passages.push({ sample: copiedFrom[i], text: String(letter).slice(ws[i].start, ws[j].end), words: j - i + 1 });
+    i = j;
+  }
+  return passages;
+}
+
+module.exports = { COPY_NGRAM, buildSampleIndex, sampleQuery, searchSamples, findCopiedPassages };
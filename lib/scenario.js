@@ -0,0 +1,20 @@
+/**
+ * Scenario detection shared by the prompt builder and the offline template provider
+ */
+
+const { CONDITIONS, evaluateCondition } = require('./payload_schema');
+
+// Detect “sponsored” intent reliably (same condition the schema uses for sponsor requirements)
+function isSponsoredPayload(b) {
+  return evaluateCondition(CONDITIONS.sponsored, b);
+}
+
+// Decide app type from explicit field, or from refusals
+function detectApplicationType(p) {
+  const t = (p.applicationType || '').toLowerCase();
+  if (t.includes('reapp')) return 'Reapplication';
+  if (p.visaRefusals || p.refusalNotice) return 'Reapplication';
+  return 'First-time';
+}
+
+module.exports = { isSponsoredPayload, detectApplicationType };
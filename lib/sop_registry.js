@@ -0,0 +1,263 @@
+/**
+ * SOP asset registry (rules, mini templates, samples) with front-matter metadata + hot reload
+ * -----------------------------------------------------------------------------------------
+ * Every .txt/.md asset may start with a front-matter block:
+ *
+ *   ---
+ *   label: Reapplication
+ *   visaTypes: Tourist, Visit          (comma list, each matched as a whole word of the visa type; omitted = any)
+ *   destinations: UK                   (comma list; omitted = any)
+ *   applicationType: Reapplication     (First-time | Reapplication; omitted = any)
+ *   scenarios: sponsored               (sponsored | self-employed | first-time-traveller)
+ *   priority: 60                       (higher first)
+ *   version: 2
+ *   ---
+ *
+ * Destination rule packs (destination_packs/*.json, see lib/destination_packs.js) load with the set,
+ * and so does the BM25 sample index (lib/sample_index.js). Companion document templates
+ * (document_templates/, see lib/documents.js) are optional: without them those documents are unavailable.
+ * Any directory may be a list (base first, overrides after): a later file with the same name replaces
+ * the earlier one, new names are added — this is how tenant SOP overrides layer on the base set.
+ *
+ * - loadSOP() validates the whole set and throws with every problem found; nothing is half-applied
+ * - reload() builds a new set and swaps it in one assignment, keeping the old set on failure
+ * - watch() reloads (debounced) when any asset directory changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadPacks } = require('./destination_packs');
+const { buildSampleIndex, searchSamples } = require('./sample_index');
+const { checkDocumentTemplates } = require('./documents');
+
+const KNOWN_KEYS = new Set(['label', 'description', 'visaTypes', 'destinations', 'applicationType', 'scenarios', 'priority', 'version']);
+const LIST_KEYS = new Set(['visaTypes', 'destinations', 'scenarios']);
+const APPLICATION_TYPES = ['First-time', 'Reapplication'];
+const SCENARIOS = ['sponsored', 'self-employed', 'first-time-traveller'];
+
+// Loose destination matching so "UK" metadata selects for "United Kingdom"
+const DESTINATION_ALIASES = {
+  uk: ['uk', 'united kingdom', 'great britain', 'britain', 'england', 'scotland', 'wales'],
+  us: ['us', 'usa', 'united states', 'united states of america', 'america'],
+};
+
+const RULE_FILES = [
+  { key: 'masterRules', names: ['master_rules.txt'] },
+  { key: 'structureGuide', names: ['structure_guide.txt'] },
+  { key: 'qualityChecklist', names: ['quality_checklist.txt'] },
+  // Allow either spelling for master template
+  { key: 'masterTemplate', names: ['master_template.txt', 'master_templete.txt'] },
+];
+
+// ---------- front matter ----------
+function parseFrontMatter(raw, file, problems) {
+  const text = String(raw).replace(/^﻿/, '');
+  const m = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!m) return { meta: {}, body: text };
+
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const kv = /^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/.exec(line);
+    if (!kv) { problems.push(`${file}: unreadable front-matter line "${line.trim()}"`); continue; }
+    const [, key, value] = kv;
+    if (!KNOWN_KEYS.has(key)) { problems.push(`${file}: unknown front-matter key "${key}"`); continue; }
+    meta[key] = LIST_KEYS.has(key) ? value.split(',').map((s) => s.trim()).filter(Boolean) : value;
+  }
+
+  if (meta.priority !== undefined) {
+    const n = Number(meta.priority);
+    if (!Number.isFinite(n)) problems.push(`${file}: priority must be a number`);
+    else meta.priority = n;
+  }
+  if (meta.applicationType && !APPLICATION_TYPES.includes(meta.applicationType)) {
+    problems.push(`${file}: applicationType must be one of ${APPLICATION_TYPES.join(', ')}`);
+  }
+  for (const s of meta.scenarios || []) {
+    if (!SCENARIOS.includes(s)) problems.push(`${file}: unknown scenario "${s}" (expected ${SCENARIOS.join(', ')})`);
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+function readAsset(file, label, problems) {
+  const { meta, body } = parseFrontMatter(fs.readFileSync(file, 'utf8'), label, problems);
+  if (!body.trim()) problems.push(`${label}: file is empty`);
+  return { name: path.basename(file), meta, text: body };
+}
+
+const dirList = (d) => [].concat(d || []);
+
+// First directory is required (unless `optional`); override directories may be missing or partial
+function readDir(dirs, label, problems, { optional = false } = {}) {
+  const [base, ...overrides] = dirList(dirs);
+  if (!base || !fs.existsSync(base)) {
+    if (!optional) problems.push(`Missing required directory: ${base} (${label})`);
+    return [];
+  }
+  const byName = new Map();
+  for (const dir of [base, ...overrides.filter((d) => fs.existsSync(d))]) {
+    for (const f of fs.readdirSync(dir).filter((n) => /\.(txt|md)$/i.test(n))) byName.set(f, path.join(dir, f));
+  }
+  if (!byName.size) problems.push(`No .txt/.md files found in ${base} (${label})`);
+  return [...byName.keys()].sort().map((f) => readAsset(byName.get(f), `${path.basename(path.dirname(byName.get(f)))}/${f}`, problems));
+}
+
+/**
+ * Read and validate a complete SOP set.
+ * @throws {Error & { problems: string[] }} when anything required is missing or malformed
+ */
+function loadSOP({ rulesDir, minisDir, samplesDir, packsDir, documentsDir }) {
+  const problems = [];
+  const sop = { rules: {} };
+
+  for (const { key, names } of RULE_FILES) {
+    const hit = dirList(rulesDir).reverse().flatMap((d) => names.map((n) => path.join(d, n))).find((p) => fs.existsSync(p));
+    if (!hit) {
+      problems.push(`Missing required rules/${names.join(' (or ')}${names.length > 1 ? ')' : ''}`);
+      continue;
+    }
+    const asset = readAsset(hit, `rules/${path.basename(hit)}`, problems);
+    sop.rules[key] = asset;
+    sop[key] = asset.text; // flat access for the prompt builder / compliance / template renderer
+  }
+  sop.minis = readDir(minisDir, 'mini templates', problems);
+  sop.samples = readDir(samplesDir, 'samples', problems);
+  sop.packs = loadPacks(packsDir, problems);
+  sop.sampleIndex = buildSampleIndex(sop.samples);
+  sop.documents = readDir(documentsDir, 'document templates', problems, { optional: true });
+  checkDocumentTemplates(sop.documents, problems);
+
+  if (problems.length) {
+    throw Object.assign(new Error(`SOP validation failed: ${problems.join('; ')}`), { problems });
+  }
+
+  sop.warnings = sop.minis
+    .filter((m) => !m.meta.visaTypes && !m.meta.destinations && !m.meta.applicationType && !m.meta.scenarios)
+    .map((m) => `mini_templates/${m.name}: no selectors in front matter; it will never be selected`);
+
+  const hash = crypto.createHash('sha256');
+  for (const a of [...Object.values(sop.rules), ...sop.minis, ...sop.samples, ...sop.documents]) hash.update(a.name).update(JSON.stringify(a.meta)).update(a.text);
+  for (const p of sop.packs) hash.update(JSON.stringify(p));
+  sop.version = hash.digest('hex').slice(0, 12);
+  sop.loadedAt = new Date().toISOString();
+  return sop;
+}
+
+// ---------- selection ----------
+function destinationMatches(wanted, destination) {
+  const d = String(destination || '').trim().toLowerCase();
+  return wanted.some((w) => {
+    const key = w.toLowerCase();
+    return d === key || (DESTINATION_ALIASES[key] || []).includes(d);
+  });
+}
+
+// Visa types are free text ("Business Visitor", "Standard Visitor (Tourist)"): a selector matches as a whole word
+const words = (s) => String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+function visaTypeMatches(wanted, visaType) {
+  const w = words(wanted);
+  return Boolean(w) && ` ${words(visaType)} `.includes(` ${w} `);
+}
+
+/**
+ * Does an asset's metadata fit this case?
+ * @param {object} meta
+ * @param {{ visaType?: string, destination?: string, applicationType?: string, scenarios?: Set<string> }} ctx
+ */
+function metaMatches(meta, ctx) {
+  if (meta.visaTypes && !meta.visaTypes.some((v) => visaTypeMatches(v, ctx.visaType))) return false;
+  if (meta.destinations && !destinationMatches(meta.destinations, ctx.destination)) return false;
+  if (meta.applicationType && meta.applicationType !== ctx.applicationType) return false;
+  if (meta.scenarios && !meta.scenarios.every((s) => ctx.scenarios && ctx.scenarios.has(s))) return false;
+  return true;
+}
+
+const byPriority = (a, b) => (b.meta.priority || 0) - (a.meta.priority || 0);
+
+// Minis whose selectors all match, highest priority first (minis without selectors never match)
+function selectMinis(sop, ctx) {
+  return sop.minis
+    .filter((m) => (m.meta.visaTypes || m.meta.destinations || m.meta.applicationType || m.meta.scenarios) && metaMatches(m.meta, ctx))
+    .sort(byPriority);
+}
+
+// A sample whose front matter fits the case outranks one that merely shares words with it
+const FIT_BOOST = 2;
+
+/**
+ * Samples most relevant to this case: BM25 over text + tags, plus FIT_BOOST (and priority/100) when the
+ * front matter matches.
+ * @returns {Array<{ sample: object, score: number }>} best first
+ */
+function rankSamples(sop, ctx, query) {
+  const boost = (s) => (metaMatches(s.meta, ctx) ? FIT_BOOST + (s.meta.priority || 0) / 100 : 0);
+  return searchSamples(sop.sampleIndex, query, { boost });
+}
+
+function describe(sop) {
+  const asset = (a) => ({ name: a.name, meta: a.meta, chars: a.text.length });
+  return {
+    version: sop.version,
+    loadedAt: sop.loadedAt,
+    rules: Object.values(sop.rules).map(asset),
+    minis: sop.minis.map(asset),
+    samples: sop.samples.map(asset),
+    packs: sop.packs.map((p) => ({ id: p.id, name: p.name, version: p.version, file: p.file, aliases: p.aliases })),
+    documents: sop.documents.map(asset),
+    warnings: sop.warnings,
+  };
+}
+
+/**
+ * Holds the live SOP set. Throws from the constructor if the initial set is invalid (fail fast at boot).
+ */
+function createSopRegistry(dirs, { log = console } = {}) {
+  let current = loadSOP(dirs);
+  let lastReload = { at: current.loadedAt, ok: true, version: current.version };
+  let watchers = [];
+  let timer = null;
+
+  function reload(reason = 'manual') {
+    try {
+      const next = loadSOP(dirs);
+      const changed = next.version !== current.version;
+      current = next;
+      lastReload = { at: new Date().toISOString(), ok: true, reason, version: next.version, changed };
+      if (changed) log.log(`🔄 SOP reloaded (${reason}) -> ${next.version}`);
+    } catch (err) {
+      lastReload = { at: new Date().toISOString(), ok: false, reason, error: err.message, problems: err.problems || [], keptVersion: current.version };
+      log.error(`⚠️ SOP reload failed (${reason}); keeping ${current.version}: ${err.message}`);
+    }
+    return lastReload;
+  }
+
+  return {
+    current: () => current,
+    reload,
+    lastReload: () => lastReload,
+    describe: () => ({ ...describe(current), lastReload }),
+
+    // Editors save files in several steps; wait for the burst to settle before re-validating
+    watch({ debounceMs = 300 } = {}) {
+      for (const dir of [dirs.rulesDir, dirs.minisDir, dirs.samplesDir, dirs.packsDir, dirs.documentsDir].flatMap(dirList).filter((d) => fs.existsSync(d))) {
+        try {
+          watchers.push(fs.watch(dir, { persistent: false }, () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => reload('file change'), debounceMs);
+          }));
+        } catch (err) {
+          log.error(`⚠️ Cannot watch ${dir}: ${err.message}`);
+        }
+      }
+    },
+
+    close() {
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+      watchers = [];
+    },
+  };
+}
+
+module.exports = { SCENARIOS, parseFrontMatter, loadSOP, metaMatches, selectMinis, rankSamples, createSopRegistry };
@@ -0,0 +1,331 @@
+/**
+ * Deterministic letter renderer (offline "template" provider)
+ * -----------------------------------------------------------
+ * - Fills rules/master_templete.txt placeholders straight from the payload
+ * - Drops any sentence whose placeholders the applicant did not supply (never invents)
+ * - Adds the scenario minis and rationale cues that buildMessages selected
+ * - Quotes balance / trip cost with the converted equivalents from the prompt's CONVERTED FIGURES block
+ * - Output follows the same layout the LLM is asked for (plain text, no bullets)
+ */
+
+const { parseMoney, formatMoney, FIGURE_LABELS } = require('./money');
+const { isSponsoredPayload, detectApplicationType } = require('./scenario');
+
+// Minis whose content the master template already covers with its own sections
+const MINIS_COVERED_BY_MASTER = /reapplication|sponsor|tourist/i;
+
+function formatDate(d) {
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function splitTravelDates(s) {
+  if (!s) return [];
+  const parts = String(s).split(/\s+(?:to|until|-|–|—)\s+/i).map((x) => x.trim()).filter(Boolean);
+  return parts.length === 2 ? parts : [];
+}
+
+function currencyPrefix(s) {
+  const m = /^\s*([₦£$€])/.exec(String(s || ''));
+  return m ? m[1] : '';
+}
+
+// Without a CONVERTED FIGURES block, only subtract amounts in the same currency
+function disposableIncome(ctx) {
+  if (ctx.figures.disposableIncome) return ctx.figures.disposableIncome;
+  const inc = parseMoney(ctx.payload.income);
+  const exp = parseMoney(ctx.payload.monthlyExpenses);
+  if (!inc || !exp || inc.currency !== exp.currency || inc.amount <= exp.amount) return undefined;
+  return formatMoney({ amount: inc.amount - exp.amount, currency: inc.currency });
+}
+
+// Money placeholders are only "[amount]" in the SOP, so resolve them by the words around them
+function resolveAmount(ctx, before, after) {
+  const p = ctx.payload;
+  const f = ctx.figures;
+  // Never claim the balance is sufficient when the converted figures say it is not
+  if (/sufficient|to cover/.test(before) && f.currentBankBalance && f.estimatedTripCost && !f.balanceAfterTrip) return undefined;
+  if (/expenses (are|average)\s*$/.test(before)) return p.monthlyExpenses;
+  if (/disposable income of\s*$/.test(before)) return disposableIncome(ctx);
+  if (/balance (of|is)\s*$/.test(before)) return f.currentBankBalance || p.currentBankBalance;
+  if (/trip cost( of)?\s*$/.test(before) || /^\s*\)?\s*trip cost/.test(after)) return f.estimatedTripCost || p.estimatedTripCost;
+  if (/(earning|income of)\s*$/.test(before) || /^\s*(monthly|per month)/.test(after)) return p.income;
+  if (/approximately\s*$/.test(before)) return f.estimatedTripCost || p.estimatedTripCost;
+  return undefined;
+}
+
+function resolvePlaceholder(key, ctx, before, after) {
+  const p = ctx.payload;
+  const k = key.toLowerCase().replace(/[’']/g, "'").trim();
+
+  if (/^(applicant's name|full name|name)$/.test(k)) return p.name;
+  if (k === 'full address') return p.applicantAddress;
+  if (k === 'phone number') return p.contactPhone;
+  if (k === 'email address') return p.contactEmail;
+  if (k === 'purpose') return p.purpose;
+  if (k === 'arrival date') return p.entryDate || splitTravelDates(p.travelDates)[0];
+  if (k === 'departure date') return splitTravelDates(p.travelDates)[1];
+  if (k === 'age, marital status') {
+    if (!p.age) return undefined;
+    return `${p.age} years old` + (p.maritalStatus ? `, ${p.maritalStatus.toLowerCase()}` : '');
+  }
+  if (k === 'age') return p.age;
+  if (k === 'visa type' || /^standard visitor\//.test(k)) return p.visaType;
+  if (k === 'job title' || k === 'position') return p.occupation;
+  if (k === 'company name' || k === 'company' || k === 'business name') return p.employerName;
+  if (k === 'monthly income') return p.income;
+  if (k === 'hospital name') return p.stayDetails;
+  if (/^reason( \d)? → rebuttal$/.test(k)) return p.visaRefusals;
+  if (/^sponsor name, relationship/.test(k)) {
+    if (!p.sponsorName) return undefined;
+    const bits = [p.sponsorName];
+    if (p.sponsorRelationship) bits.push(`my ${p.sponsorRelationship.toLowerCase()}`);
+    if (p.sponsorOccupation) bits.push(`who works as ${p.sponsorOccupation}`);
+    if (p.sponsorIncome) bits.push(`earning ${p.sponsorIncome}`);
+    return bits.join(', ');
+  }
+  if (k === 'gbp equivalent') {
+    const m = /\(≈ £([\d,]+)\)/.exec(ctx.figures.currentBankBalance || '');
+    return m ? m[1] : undefined;
+  }
+  if (k === 'amount') return resolveAmount(ctx, before.toLowerCase().replace(/[₦£$€]\s*$/, ''), after.toLowerCase());
+  return undefined;
+}
+
+// Fill every [placeholder] in a sentence; undefined if any of them cannot be filled
+function fillSentence(sentence, ctx) {
+  let unresolved = false;
+  const out = sentence.replace(/([₦£$€]?)\[([^\]]+)\]/g, (match, symbol, key, offset) => {
+    const before = sentence.slice(Math.max(0, offset - 40), offset + symbol.length);
+    const after = sentence.slice(offset + match.length, offset + match.length + 40);
+    const value = resolvePlaceholder(key, ctx, before, after);
+    if (!value) {
+      unresolved = true;
+      return match;
+    }
+    // Keep the applicant's own currency symbol rather than doubling it up
+    return currencyPrefix(value) ? value : symbol + value;
+  });
+  return unresolved ? undefined : out;
+}
+
+function fillParagraph(text, ctx) {
+  const sentences = text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?:])\s+(?=[A-Z(])/);
+  return sentences.map((s) => fillSentence(s, ctx)).filter(Boolean).join(' ').trim();
+}
+
+// "Ties" is a bullet list in the SOP; letters must be prose, so build it from the payload instead
+function tiesParagraph(ctx) {
+  const p = ctx.payload;
+  const ties = [];
+  if (p.familyDependents) ties.push(`my family (${p.familyDependents})`);
+  if (p.employerName && !/self|owner|founder|proprietor/i.test(p.occupation || '')) ties.push(`my employment with ${p.employerName}`);
+  if (p.businessCommitments) ties.push(`my business and work commitments (${p.businessCommitments})`);
+  if (p.propertyDetails) ties.push(`my property (${p.propertyDetails})`);
+  if (p.otherCommitments) ties.push(`other commitments (${p.otherCommitments})`);
+  if (!ties.length) return '';
+  const home = p.nationality && !/nigeria/i.test(p.nationality) ? 'home country' : 'Nigeria';
+  return `My ties to ${home} include ${ties.join('; ')}. I will return at the end of my visit.`;
+}
+
+function transactionsParagraph(ctx) {
+  const t = ctx.payload.significantTransactions;
+  return t ? `Significant transactions on my account are explained as follows: ${t.replace(/\.\s*$/, '')}.` : '';
+}
+
+const SECTION_BUILDERS = [
+  { heading: /ties/i, build: tiesParagraph },
+  { heading: /transaction/i, build: transactionsParagraph },
+];
+
+function sectionApplies(label, ctx) {
+  if (/refusal/i.test(label)) return ctx.reapplication;
+  if (/transaction/i.test(label)) return Boolean(ctx.payload.significantTransactions);
+  return true;
+}
+
+// Split the master template body into { heading, lines } sections
+function parseBody(template) {
+  const lines = template.replace(/\r/g, '').split('\n');
+  const start = lines.findIndex((l) => /^APPLICATION FOR/i.test(l.trim()));
+  let end = lines.findIndex((l) => /^(Yours faithfully|Yours sincerely|Sincerely)/i.test(l.trim()));
+  if (end === -1) end = lines.length;
+  const body = lines.slice(start + 1, end);
+
+  const blocks = [];
+  let cur = [];
+  for (const l of body) {
+    if (!l.trim()) {
+      if (cur.length) blocks.push(cur);
+      cur = [];
+    } else cur.push(l.trim());
+  }
+  if (cur.length) blocks.push(cur);
+
+  return blocks.map((b) => {
+    const first = b[0];
+    const isHeading = b.length > 1 && !/[.:,"]$/.test(first) && !first.startsWith('-') && first.length < 60;
+    return isHeading ? { heading: first, lines: b.slice(1) } : { heading: '', lines: b };
+  });
+}
+
+function renderSection(section, ctx) {
+  const label = section.heading.replace(/\s*\((if[^)]*)\)\s*/i, ' ').trim();
+  const conditional = /\(if[^)]*\)/i.test(section.heading);
+  if (conditional && !sectionApplies(section.heading, ctx)) return null;
+
+  const builder = SECTION_BUILDERS.find((b) => b.heading.test(label));
+  if (builder) {
+    const text = builder.build(ctx);
+    return text ? { heading: label, text } : null;
+  }
+
+  const paragraphs = [];
+  let prose = [];
+  let bullets = [];
+  const flush = () => {
+    let text = fillParagraph(prose.join(' '), ctx);
+    const filled = [...new Set(bullets.map((b) => fillSentence(b, ctx)).filter(Boolean))];
+    if (filled.length) {
+      const joined = filled.join('; ').replace(/[.;]\s*$/, '') + '.';
+      text = text ? `${text} ${joined}` : joined;
+    } else if (text.endsWith(':')) {
+      text = text.replace(/[^.!?]*:$/, '').trim();
+    }
+    if (text) paragraphs.push(text);
+    prose = [];
+    bullets = [];
+  };
+
+  for (const line of section.lines) {
+    const m = /^\((if [^)]*)\)\s*(.*)$/i.exec(line);
+    if (m) {
+      flush();
+      if (/sponsor/i.test(m[1]) ? ctx.sponsored : sectionApplies(m[1], ctx)) prose.push(m[2]);
+      flush();
+    } else if (line.startsWith('-')) {
+      bullets.push(line.replace(/^-\s*/, ''));
+    } else {
+      if (bullets.length) flush();
+      prose.push(line);
+    }
+  }
+  flush();
+
+  if (!paragraphs.length) return null;
+  return { heading: label, text: paragraphs.join('\n\n') };
+}
+
+// Pull the "--- MINI (Label) ---" blocks buildMessages chose for this scenario
+function extractMinis(messages) {
+  const all = messages.map((m) => m.content).join('\n');
+  const re = /--- MINI \(([^)]+)\) ---\n([\s\S]*?)(?=\n--- |\n\n--- |$)/g;
+  const out = [];
+  let m;
+  while ((m = re.exec(all))) out.push({ label: m[1], text: m[2] });
+  return out;
+}
+
+// "--- CONVERTED FIGURES ---" lines back into { currentBankBalance: '₦5,600,000 (≈ £2,872)', ... }
+function extractFigures(messages) {
+  const all = messages.map((m) => m.content).join('\n');
+  const m = /--- CONVERTED FIGURES[^\n]*---\n([\s\S]*?)(?:\n\s*\n|\n--- |$)/.exec(all);
+  if (!m) return {};
+  const byLabel = Object.fromEntries(Object.entries(FIGURE_LABELS).map(([k, label]) => [label, k]));
+  const out = {};
+  for (const line of m[1].split('\n')) {
+    const hit = /^- ([^:]+): (.+)$/.exec(line.trim());
+    if (hit && byLabel[hit[1]]) out[byLabel[hit[1]]] = hit[2].trim();
+  }
+  return out;
+}
+
+// Subject/Salutation lines from the "--- DESTINATION PACK (…) ---" block, if buildMessages added one
+function extractPackLines(messages) {
+  const all = messages.map((m) => m.content).join('\n');
+  const m = /--- DESTINATION PACK \([^)]*\) ---\n([\s\S]*?)(?:\n\s*\n|\n--- |$)/.exec(all);
+  if (!m) return {};
+  const line = (label) => (new RegExp(`^${label}: (.+)$`, 'm').exec(m[1]) || [])[1];
+  return { subject: line('Subject'), salutation: line('Salutation') };
+}
+
+function extractRationaleCues(messages) {
+  const all = messages.map((m) => m.content).join('\n');
+  const m = /--- APPROVAL RATIONALE CUES ---\n([\s\S]*?)(?:\n\s*\n|\n--- |$)/.exec(all);
+  if (!m) return [];
+  return m[1].split('\n').filter((l) => l.startsWith('- ')).map((l) => l.slice(2).trim());
+}
+
+// A mini only reads well when its opening sentence could be filled
+function miniParagraph(mini, ctx) {
+  const quoted = /"([^"]+)"/.exec(mini.text);
+  if (!quoted) return '';
+  const opening = quoted[1].replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/)[0];
+  if (!fillSentence(opening, ctx)) return '';
+  return fillParagraph(quoted[1], ctx);
+}
+
+function localiseDestination(text, destination) {
+  if (!destination || /^(uk|united kingdom|great britain|britain|england|scotland|wales)$/i.test(destination.trim())) return text;
+  return text.replace(/\bUK\b/g, destination).replace(/\bLondon\b/g, destination);
+}
+
+/**
+ * Render a complete plain-text letter from the SOP master template.
+ * @param {{ masterTemplate: string, messages: Array<{role: string, content: string}>, payload: object, date?: Date }} input
+ * @returns {string}
+ */
+function renderTemplateLetter({ masterTemplate, messages = [], payload, date = new Date() }) {
+  const p = payload || {};
+  const ctx = {
+    payload: p,
+    figures: extractFigures(messages),
+    reapplication: detectApplicationType(p) === 'Reapplication',
+    sponsored: isSponsoredPayload(p),
+  };
+
+  const out = [];
+
+  // 1) Applicant contact block + date
+  const contact = [p.name, p.applicantAddress, p.contactPhone, p.contactEmail].filter(Boolean);
+  out.push([...contact, formatDate(date)].join('\n'));
+
+  // 2) Embassy block
+  const embassy = [p.embassyName || 'The Visa Officer', p.embassyAddress].filter(Boolean);
+  if (!p.embassyName && p.destination) embassy.push(`Visa Section, ${p.destination}`);
+  out.push(embassy.join('\n'));
+
+  // 3) Subject + 4) Salutation (destination pack wording when there is one)
+  const pack = extractPackLines(messages);
+  out.push(pack.subject || `Application for ${p.visaType || 'Visitor'} Visa to ${p.destination || '[Destination]'}`);
+  out.push(pack.salutation || 'Dear Sir/Madam,');
+
+  // 5) Body
+  const sections = parseBody(masterTemplate).map((s) => renderSection(s, ctx)).filter(Boolean);
+  const minis = extractMinis(messages)
+    .filter((m) => !MINIS_COVERED_BY_MASTER.test(m.label))
+    .map((m) => miniParagraph(m, ctx))
+    .filter(Boolean);
+  if (minis.length) sections.splice(Math.min(1, sections.length), 0, { heading: '', text: minis.join('\n\n') });
+
+  const cues = extractRationaleCues(messages);
+  if (cues.length) {
+    const rationale = {
+      heading: ctx.reapplication ? 'Why my application merits approval now' : 'Why my application merits approval',
+      text: cues.join(' '),
+    };
+    const conclusion = sections.findIndex((s) => /conclusion/i.test(s.heading));
+    sections.splice(conclusion === -1 ? sections.length : conclusion, 0, rationale);
+  }
+
+  for (const s of sections) {
+    const text = localiseDestination(s.text, p.destination);
+    out.push(s.heading ? `${s.heading}\n${text}` : text);
+  }
+
+  // 6) Closing
+  out.push(`Sincerely,\n${p.name || ''}`.trim());
+
+  return out.join('\n\n');
+}
+
+module.exports = { renderTemplateLetter };
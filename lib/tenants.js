@@ -0,0 +1,152 @@
+/**
+ * Tenants (partner agencies): API keys, branding, SOP overrides, rate limits, monthly quotas
+ * -----------------------------------------------------------------------------------------
+ * config/tenants.json (or TENANTS_PATH):
+ *
+ *   { "tenants": [{
+ *       "id": "acme", "name": "Acme Travel & Tours",
+ *       "keys": ["<sha256 hex of the API key>"],          // plain keys are never stored
+ *       "branding": {
+ *         "companyName": "Acme Travel & Tours",
+ *         "letterhead": ["RC 1234567 · IATA accredited"],
+ *         "contact": { "address": "…", "phone": "…", "email": "…", "website": "…" },
+ *         "defaultEmbassy": { "name": "…", "address": "…" }
+ *       },
+ *       "sopDir": "../tenants/acme",     // relative to the tenants file; rules/, mini_templates/, samples/,
+ *                                        // destination_packs/, document_templates/ files here override the
+ *                                        // base set by name
+ *       "rateLimit": { "perMinute": 30 },
+ *       "monthlyQuota": 500              // generations per calendar month (UTC); omit for unlimited
+ *   }] }
+ *
+ * No tenants file = single-tenant mode: no keys are enforced (local development, self-hosting).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KNOWN_KEYS = new Set(['id', 'name', 'keys', 'branding', 'sopDir', 'rateLimit', 'monthlyQuota']);
+const DEFAULT_TENANTS_PATH = path.join(__dirname, '..', 'config', 'tenants.json');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+const positiveInt = (n) => Number.isInteger(n) && n > 0;
+
+/**
+ * Read and validate the tenants file.
+ * @returns {Array<object> | null} null when there is no tenants file (single-tenant mode)
+ * @throws {Error & { problems: string[] }} when the file is present but invalid
+ */
+function loadTenants(file = process.env.TENANTS_PATH || DEFAULT_TENANTS_PATH) {
+  if (!fs.existsSync(file)) return null;
+  const problems = [];
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw Object.assign(new Error(`${file}: invalid JSON (${err.message})`), { problems: [`${file}: invalid JSON (${err.message})`] });
+  }
+
+  const tenants = Array.isArray(config.tenants) ? config.tenants : [];
+  if (!tenants.length) problems.push(`${file}: "tenants" must be a non-empty list`);
+  const ids = new Set();
+  const keys = new Set();
+  tenants.forEach((t, i) => {
+    const label = `tenants[${i}]${t && t.id ? ` (${t.id})` : ''}`;
+    for (const k of Object.keys(t || {})) if (!KNOWN_KEYS.has(k)) problems.push(`${label}: unknown key "${k}"`);
+    if (!t || !/^[\w-]+$/.test(t.id || '')) problems.push(`${label}: id must be letters, digits, _ or -`);
+    else if (ids.has(t.id)) problems.push(`${label}: duplicate id`);
+    else ids.add(t.id);
+
+    if (!Array.isArray(t.keys) || !t.keys.length) problems.push(`${label}: keys must list at least one sha256 key hash`);
+    for (const k of t.keys || []) {
+      if (!/^[a-f0-9]{64}$/.test(k)) problems.push(`${label}: key "${String(k).slice(0, 8)}…" is not a sha256 hex hash`);
+      else if (keys.has(k)) problems.push(`${label}: key hash is shared with another tenant`);
+      else keys.add(k);
+    }
+    if (t.rateLimit !== undefined && !positiveInt(t.rateLimit && t.rateLimit.perMinute)) problems.push(`${label}: rateLimit.perMinute must be a positive whole number`);
+    if (t.monthlyQuota !== undefined && t.monthlyQuota !== null && !positiveInt(t.monthlyQuota)) problems.push(`${label}: monthlyQuota must be a positive whole number`);
+    if (t.sopDir) {
+      t.sopDir = path.resolve(path.dirname(file), t.sopDir);
+      if (!fs.existsSync(t.sopDir)) problems.push(`${label}: sopDir ${t.sopDir} does not exist`);
+    }
+  });
+
+  if (problems.length) throw Object.assign(new Error(`Tenants file invalid: ${problems.join('; ')}`), { problems });
+  return tenants.map((t) => ({ branding: {}, ...t }));
+}
+
+// API key -> tenant (keys are compared as hashes)
+function createTenantIndex(tenants) {
+  const byHash = new Map();
+  const byId = new Map();
+  for (const t of tenants || []) {
+    byId.set(t.id, t);
+    for (const k of t.keys) byHash.set(k, t);
+  }
+  return {
+    byKey: (key) => (key ? byHash.get(hashKey(key)) || null : null),
+    byId: (id) => byId.get(id) || null,
+    all: () => [...byId.values()],
+  };
+}
+
+// Request key from "X-API-Key: …" or "Authorization: Bearer …"
+function apiKeyFrom(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return m ? m[1].trim() : '';
+}
+
+// Payload defaults a tenant's branding provides (the request's own values still win)
+function brandingDefaults(tenant) {
+  const b = (tenant && tenant.branding) || {};
+  const e = b.defaultEmbassy || {};
+  return Object.fromEntries(Object.entries({
+    companyName: b.companyName,
+    embassyName: e.name,
+    embassyAddress: e.name ? e.address : undefined,
+  }).filter(([, v]) => v));
+}
+
+// Letterhead lines for exports: free lines first, then one contact line
+function letterheadLines(tenant) {
+  const b = (tenant && tenant.branding) || {};
+  const c = b.contact || {};
+  const contact = [c.address, c.phone, c.email, c.website].filter(Boolean).join(' · ');
+  return [...(b.letterhead || []), contact].filter(Boolean);
+}
+
+// Fixed one-minute window per tenant, in memory
+function createRateLimiter({ now = () => Date.now() } = {}) {
+  const windows = new Map();
+  return {
+    check(tenant) {
+      const limit = tenant && tenant.rateLimit && tenant.rateLimit.perMinute;
+      if (!limit) return { ok: true };
+      const t = now();
+      let w = windows.get(tenant.id);
+      if (!w || t - w.start >= 60000) {
+        w = { start: t, count: 0 };
+        windows.set(tenant.id, w);
+      }
+      if (w.count >= limit) return { ok: false, limit, remaining: 0, retryAfter: Math.ceil((w.start + 60000 - t) / 1000) };
+      w.count++;
+      return { ok: true, limit, remaining: limit - w.count };
+    },
+  };
+}
+
+module.exports = {
+  hashKey,
+  loadTenants,
+  createTenantIndex,
+  apiKeyFrom,
+  brandingDefaults,
+  letterheadLines,
+  createRateLimiter,
+};
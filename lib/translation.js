@@ -0,0 +1,133 @@
+/**
+ * Letters in the consulate's language (French, German, Spanish, Portuguese, Italian)
+ * ---------------------------------------------------------------------------------
+ * - The English letter is generated and reviewed as usual, then translated keeping its layout,
+ *   so the structure from buildMessages (and every SOP check it passed) carries over
+ * - Dates and computed amounts get a glossary of localised renderings ("10 octobre 2025", "2 872 £")
+ * - Proper nouns, passport numbers, contact details and submitted amounts are protected:
+ *   they must appear in the translation exactly as in the English letter
+ */
+
+const { extractDates, extractAmounts } = require('./fact_check');
+const { parseMoney } = require('./money');
+
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-GB', aliases: ['english'] },
+  fr: { name: 'French', locale: 'fr-FR', aliases: ['french', 'français', 'francais'] },
+  de: { name: 'German', locale: 'de-DE', aliases: ['german', 'deutsch'] },
+  es: { name: 'Spanish', locale: 'es-ES', aliases: ['spanish', 'español', 'espanol'] },
+  pt: { name: 'Portuguese', locale: 'pt-PT', aliases: ['portuguese', 'português', 'portugues'] },
+  it: { name: 'Italian', locale: 'it-IT', aliases: ['italian', 'italiano'] },
+};
+
+// Payload fields whose values are names/identifiers and must never be translated
+const PROTECTED_FIELDS = [
+  'name', 'passportNumber', 'contactEmail', 'contactPhone', 'applicantAddress',
+  'employerName', 'employerAddress', 'sponsorName', 'inviterName', 'inviterAddress', 'companyName',
+];
+const MONEY_FIELDS = ['income', 'otherIncome', 'monthlyExpenses', 'currentBankBalance', 'estimatedTripCost', 'sponsorIncome'];
+
+// "fr" | "French" | "français" -> "fr"; undefined when not supported
+function resolveLanguage(input) {
+  const s = String(input || '').trim().toLowerCase();
+  if (!s) return 'en';
+  return Object.keys(LANGUAGES).find((code) => code === s || LANGUAGES[code].aliases.includes(s));
+}
+
+function localiseDate(d, locale) {
+  return new Date(Date.UTC(d.y, d.mo - 1, d.d))
+    .toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function localiseMoney(money, locale) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: money.currency, currencyDisplay: 'narrowSymbol', maximumFractionDigits: 0 })
+    .format(Math.round(money.amount));
+}
+
+/**
+ * What the translator must keep and what it must render a given way.
+ * @returns {{ keep: string[], glossary: Array<{ from: string, to: string }> }}
+ */
+function translationTerms(letter, payload, code) {
+  const { locale } = LANGUAGES[code];
+  const text = String(letter);
+  const submitted = MONEY_FIELDS.map((k) => payload[k]).filter(Boolean);
+
+  const keep = new Set(PROTECTED_FIELDS.map((k) => payload[k]).filter((v) => v && text.includes(v)));
+  const glossary = new Map();
+  for (const d of extractDates(text)) {
+    if (d.y) glossary.set(d.text, localiseDate(d, locale));
+  }
+  // Amounts typed by the applicant stay as typed; figures the API computed follow the locale
+  for (const a of extractAmounts(text)) {
+    const amount = a.text.replace(/[.,]+$/, '');
+    if (submitted.some((s) => s.includes(amount))) keep.add(amount);
+    else {
+      const money = parseMoney(amount);
+      if (money && money.explicit) glossary.set(amount, localiseMoney(money, locale));
+    }
+  }
+  return { keep: [...keep], glossary: [...glossary].map(([from, to]) => ({ from, to })) };
+}
+
+function buildTranslationMessages(letter, code, terms) {
+  const { name } = LANGUAGES[code];
+  const keep = terms.keep.length ? terms.keep.map((t) => `- ${t}`).join('\n') : '(none)';
+  const glossary = terms.glossary.length ? terms.glossary.map((g) => `- ${g.from} => ${g.to}`).join('\n') : '(none)';
+  return [
+    {
+      role: 'system',
+      content: `You are a professional translator of visa cover letters into ${name}. Use the formal register a consulate expects.`,
+    },
+    {
+      role: 'user',
+      content:
+`Translate the letter below into ${name}.
+Keep exactly the same layout: the same lines, blank lines and paragraph order. Translate headings, the subject line, salutation and closing.
+Do not add, drop or change any fact. Plain text only.
+
+KEEP EXACTLY AS WRITTEN (names, identifiers, contact details, submitted amounts):
+${keep}
+
+RENDER THESE EXACTLY AS SHOWN (localised dates and amounts):
+${glossary}
+
+LETTER:
+${letter}`,
+    },
+  ];
+}
+
+/**
+ * Did the translation keep every protected term and use the glossary renderings?
+ * @returns {{ passed: boolean, missing: Array<{ type: 'keep'|'glossary', value: string }> }}
+ */
+// Intl uses (narrow) no-break spaces as separators ("5 600 000 ₦"); a plain space is just as correct
+const spaces = (s) => String(s || '').replace(/[\u00a0\u202f]/g, ' ');
+
+function checkTranslation(translated, terms) {
+  const t = spaces(translated);
+  const missing = [
+    ...terms.keep.filter((k) => !t.includes(spaces(k))).map((value) => ({ type: 'keep', value })),
+    ...terms.glossary.filter((g) => !t.includes(spaces(g.to))).map((g) => ({ type: 'glossary', value: g.to })),
+  ];
+  return { passed: missing.length === 0, missing };
+}
+
+function buildTranslationFix(check) {
+  return {
+    role: 'user',
+    content:
+`The translation above changed or dropped these items; each must appear exactly as written:
+${check.missing.map((m) => `- ${m.value}`).join('\n')}
+
+Return the full corrected translation, plain text only.`,
+  };
+}
+
+// English + translation as one document: the consulate's language first, English after
+function bilingualLetter(translated, english) {
+  return `${translated}\n\n— English version —\n\n${english}`;
+}
+
+module.exports = { LANGUAGES, resolveLanguage, translationTerms, buildTranslationMessages, checkTranslation, buildTranslationFix, bilingualLetter };
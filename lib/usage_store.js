@@ -0,0 +1,63 @@
+/**
+ * Per-tenant usage counters, by calendar month (UTC)
+ * --------------------------------------------------
+ * DATA_DIR/usage.json: { [tenantId]: { "2025-10": { requests, generations } } }
+ *
+ * Counters live in memory and are flushed (temp file + rename) shortly after each change
+ * and on exit, so quota checks never wait on the disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const monthKey = (d = new Date()) => d.toISOString().slice(0, 7);
+
+function createUsageStore(file, { flushMs = 500 } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  let timer = null;
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  process.on('exit', () => { if (timer) flush(); });
+
+  function month(tenantId, key = monthKey()) {
+    data[tenantId] = data[tenantId] || {};
+    data[tenantId][key] = data[tenantId][key] || { requests: 0, generations: 0 };
+    return data[tenantId][key];
+  }
+
+  return {
+    record(tenantId, kind, n = 1) {
+      const m = month(tenantId);
+      m[kind] = (m[kind] || 0) + n;
+      if (!timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref();
+      }
+      return m;
+    },
+
+    // This month's counters (zeros if nothing recorded yet)
+    current: (tenantId) => ({ month: monthKey(), ...month(tenantId) }),
+
+    // Every month on record for one tenant, newest first
+    history: (tenantId) => Object.entries(data[tenantId] || {})
+      .map(([m, counts]) => ({ month: m, ...counts }))
+      .sort((a, b) => b.month.localeCompare(a.month)),
+
+    flush,
+  };
+}
+
+module.exports = { createUsageStore, monthKey };
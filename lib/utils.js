@@ -0,0 +1,16 @@
+/**
+ * Shared helpers (string clipping, payload cleaning); amounts are parsed by lib/money.js
+ */
+
+function clip(text = '', max = 4000) {
+  const s = String(text || '');
+  return s.length <= max ? s.trim() : (s.slice(0, max).trim() + '\n…');
+}
+
+function clean(v) {
+  if (v === undefined || v === null) return undefined;
+  const s = String(v).trim();
+  return s.length ? s : undefined;
+}
+
+module.exports = { clip, clean };
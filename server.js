@@ -2,17 +2,103 @@
  * Visa Letter API — SOP-STRICT, Nigeria-first, with Approval Rationale
  * --------------------------------------------------------------------
  * - Fails fast if required SOP assets are missing
- * - Reads /rules, /mini_templates, /samples (MANDATORY)
+ * - Reads /rules, /mini_templates, /samples (MANDATORY); front-matter metadata drives selection
+ * - Style digest from the samples most relevant to the case (BM25); sentences copied from samples are flagged
+ * - SOP hot reload (file watcher + POST /admin/sop/reload), GET /sop lists what is loaded
+ * - Destination rule packs (destination_packs/*.json): embassy defaults, evidence lists, subject/phrasing overrides
+ * - Output language option (fr/de/es/pt/it or bilingual) with localised dates/amounts, protected names + figures
+ * - /jobs: batch generation from CSV/JSONL uploads (concurrency limit, per-row status, ZIP archive, resume)
+ * - POST /generate-document -> companion documents (sponsor undertaking, employer letter, host invitation)
+ * - Tenants (config/tenants.json): API keys, branding, SOP overrides, rate limits, monthly quotas, GET /usage
  * - Empathetic, scenario-aware prompt builder + "why approve" rationale
  * - Uses ₦ by default when staff didn’t specify a currency symbol
  * - Same external API: POST /generate-letter -> { letter }
+ * - Pluggable model provider (openai | local | template), template works offline
+ * - Post-generation fact verification against the payload (optional strict mode)
+ * - PII redaction: passport/DOB/contact details leave as placeholder tokens, restored in the letter; logs masked
+ * - Structure/checklist compliance report with a bounded auto-repair loop
+ * - POST /generate-letter/stream -> Server-Sent Events (token, fallback, done)
+ * - POST /export-letter -> branded A4 PDF / DOCX (offline)
+ * - /cases: persistent case files with letter version history + diffs
+ * - POST /revise-letter -> targeted (optionally section-scoped) revision + diff
+ * - Offline currency conversion (config/exchange_rates.json) + affordability analysis
+ * - POST /assess -> rule-based case strength score + recommendations (no model call)
+ * - Refusal notices (UK V 4.2, Schengen form, free text) -> per-ground rebuttal plan in the prompt; POST /parse-refusal
+ * - POST /bank-statement: CSV/OFX statement -> financial profile that fills the finance fields; large deposits flagged
+ * - Declarative payload schema with per-field errors; GET /schema publishes it
+ * - Offline prompt regression suite (test/): fixture payloads, message snapshots, mock model, scoring report
+ * - Request IDs + structured JSON logs; per-call token usage and estimated cost (config/model_prices.json);
+ *   GET /metrics (Prometheus text format), GET /health with model/SOP status
+ * - Resilient model calls: retries with backoff + jitter, per-model circuit breaker, GENERATION_TIMEOUT_MS;
+ *   Idempotency-Key replays instead of a second generation; every error carries { code, retryable, requestId }
+ * - Outcome tracking: each letter is filed with its scenario (letterId); POST /letters/:id/outcome records the
+ *   embassy decision, GET /outcomes/report shows approval rates by scenario, mini, rationale cue and SOP version
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
-const { OpenAI } = require('openai');
+const { clip, clean } = require('./lib/utils');
+const { isSponsoredPayload, detectApplicationType } = require('./lib/scenario');
+const { createProvider, createTemplateProvider, createDocumentTemplateProvider } = require('./lib/providers');
+const { verifyLetter, buildCorrectionMessage } = require('./lib/fact_check');
+const { checkCompliance, buildRepairMessage } = require('./lib/compliance');
+const { exportLetter } = require('./lib/export');
+const { createFileCaseStore } = require('./lib/case_store');
+const { createFileOutcomeStore } = require('./lib/outcome_store');
+const { DIMENSIONS, parseOutcome, outcomeReport } = require('./lib/outcomes');
+const { diffLines } = require('./lib/diff');
+const { resolveSection, findSectionParagraph, buildRevisionMessages, spliceParagraph } = require('./lib/revision');
+const { loadRates, analyseAffordability, affordabilityLines, figureAmounts } = require('./lib/money');
+const { assessCase } = require('./lib/assessment');
+const { rebuttalPlan, refusalSummary, rebuttalPromptBlock } = require('./lib/refusal');
+const { DEFAULT_THRESHOLDS, parseStatement, financialProfile, profileFields, depositFlags } = require('./lib/bank_statement');
+const { buildPayload, validatePayload, describeErrors, publicSchema } = require('./lib/payload_schema');
+const { createSopRegistry, selectMinis, rankSamples } = require('./lib/sop_registry');
+const { sampleQuery } = require('./lib/sample_index');
+const { findPack, packSubject, applyPackDefaults, packPromptBlock } = require('./lib/destination_packs');
+const {
+  LANGUAGES,
+  resolveLanguage,
+  translationTerms,
+  buildTranslationMessages,
+  checkTranslation,
+  buildTranslationFix,
+  bilingualLetter,
+} = require('./lib/translation');
+const { parseBatchInput, toCsv } = require('./lib/batch_input');
+const { createFileJobStore, summariseJob } = require('./lib/job_store');
+const { createJobRunner } = require('./lib/job_runner');
+const { createZip } = require('./lib/zip');
+const {
+  loadTenants,
+  createTenantIndex,
+  apiKeyFrom,
+  brandingDefaults,
+  letterheadLines,
+  createRateLimiter,
+} = require('./lib/tenants');
+const { createUsageStore } = require('./lib/usage_store');
+const { parseRedactFields, createRedactor, piiValues, maskConsole } = require('./lib/redaction');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { loadPrices, estimateCost, estimateTokens } = require('./lib/pricing');
+const { apiError, classifyModelError, errorFields, errorResponse } = require('./lib/errors');
+const { isTransient, tripsBreaker, retryDelay, sleep, createCircuitBreaker } = require('./lib/resilience');
+const { createIdempotencyStore, sha256 } = require('./lib/idempotency_store');
+const { version: APP_VERSION } = require('./package.json');
+const {
+  DOCUMENT_TYPES,
+  templateFor,
+  documentErrors,
+  documentSigner,
+  buildDocumentMessages,
+  checkDocument,
+  buildDocumentRepair,
+} = require('./lib/documents');
 
 // ------------------------ Load .env for local dev ------------------------
 function loadEnv() {
@@ -30,19 +116,103 @@ function loadEnv() {
 }
 loadEnv();
 
-// ------------------------ Required env ------------------------
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ Missing OPENAI_API_KEY');
+// ------------------------ Model config ------------------------
+// MODEL_PROVIDER: openai | local | template (defaults to openai when a key is set, else template)
+const MODEL_PROVIDER = (process.env.MODEL_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'template')).toLowerCase();
+// When every remote model fails, still return a deterministic SOP draft (set to "false" to disable)
+const TEMPLATE_FALLBACK = process.env.TEMPLATE_FALLBACK !== 'false';
+// Transient model errors (timeouts, 429, 5xx) are retried per model: exponential backoff with full jitter
+const RETRY_POLICY = {
+  retries: Math.max(0, parseInt(process.env.MODEL_RETRIES || '2', 10) || 0),
+  baseMs: Math.max(1, parseInt(process.env.MODEL_RETRY_BASE_MS || '500', 10) || 500),
+  maxMs: Math.max(1, parseInt(process.env.MODEL_RETRY_MAX_MS || '8000', 10) || 8000),
+};
+// Circuit breaker: consecutive failures before a model is skipped, and for how long
+const CIRCUIT_FAILURE_THRESHOLD = Math.max(1, parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10) || 5);
+const CIRCUIT_COOLDOWN_MS = Math.max(0, parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10) || 0);
+// Budget for one generation (repairs and translation included); 0 = no limit
+const GENERATION_TIMEOUT_MS = Math.max(0, parseInt(process.env.GENERATION_TIMEOUT_MS || '120000', 10) || 0);
+// Strict fact verification: regenerate up to VERIFY_MAX_RETRIES times, then reject with 422
+const VERIFY_STRICT = process.env.VERIFY_STRICT === 'true';
+const VERIFY_MAX_RETRIES = Math.max(0, parseInt(process.env.VERIFY_MAX_RETRIES || '1', 10) || 0);
+// Structure repair: how many targeted fix rounds to send back to the model
+const STRUCTURE_MAX_REPAIRS = Math.max(0, parseInt(process.env.STRUCTURE_MAX_REPAIRS || '2', 10) || 0);
+// Style digest: how many of the most relevant samples go into the prompt
+const SAMPLE_LIMIT = Math.max(1, parseInt(process.env.SAMPLE_LIMIT || '3', 10) || 3);
+// Sentences copied from samples are always flagged (and repaired); "true" also rejects such letters with 422
+const VERBATIM_REJECT = process.env.VERBATIM_REJECT === 'true';
+// Payload fields replaced by placeholder tokens before a prompt leaves the server ("none" = send as-is)
+let REDACT_FIELDS;
+try {
+  REDACT_FIELDS = parseRedactFields(process.env.REDACT_FIELDS);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
-const MODEL_NAME = process.env.MODEL_NAME || 'gpt-5-mini';
-const FALLBACK_MODEL = process.env.FALLBACK_MODEL || 'gpt-4o-mini';
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || ''; // e.g. https://visa-cover-letter-api-1.onrender.com
+// Structured log threshold (debug | info | warn | error)
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+// Bearer token for GET /metrics (unset = open, like /health)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Reload SOP assets when files under rules/, mini_templates/, samples/, destination_packs/ or document_templates/ change
+const SOP_WATCH = process.env.SOP_WATCH !== 'false';
+// Bearer token for /admin/* endpoints (unset = admin endpoints disabled)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// How long a response stays replayable under its Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) > 0 ? Number(process.env.IDEMPOTENCY_TTL_HOURS) : 24;
+// Batch jobs: rows generated at once (across all jobs) and the largest upload accepted
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY || '2', 10) || 1);
+const BATCH_MAX_ROWS = Math.max(1, parseInt(process.env.BATCH_MAX_ROWS || '200', 10) || 200);
+// Bank statement import: what counts as a large deposit or a salary (a request's "thresholds" override these).
+// Any number >= 0 is taken, 0 included, the same as the per-request override; unset or invalid = the default.
+const envThreshold = (name, fallback) => {
+  const raw = (process.env[name] || '').trim();
+  const n = raw ? Number(raw) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+const STATEMENT_THRESHOLDS = {
+  largeDepositMultiple: envThreshold('STATEMENT_LARGE_DEPOSIT_MULTIPLE', DEFAULT_THRESHOLDS.largeDepositMultiple),
+  largeDepositMin: envThreshold('STATEMENT_LARGE_DEPOSIT_MIN', DEFAULT_THRESHOLDS.largeDepositMin),
+  salaryMinMonths: envThreshold('STATEMENT_SALARY_MIN_MONTHS', DEFAULT_THRESHOLDS.salaryMinMonths),
+  recentDays: envThreshold('STATEMENT_RECENT_DAYS', DEFAULT_THRESHOLDS.recentDays),
+};
 
 // ------------------------ App & Middleware ------------------------
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Every request gets an ID (the caller's X-Request-Id when it looks like one); it tags all of the
+// request's log lines and model calls, and is echoed back in the response header
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.ctx = { requestId: incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID(), tenant: null, calls: [] };
+  res.set('X-Request-Id', req.ctx.requestId);
+  const started = process.hrtime.bigint();
+  res.on('finish', () => observeRequest(req, res, Number(process.hrtime.bigint() - started) / 1e9));
+  next();
+});
+
+// Every error body gets a stable code, whether retrying can help, and the request ID (lib/errors.js)
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' ? errorFields(res.statusCode, body, req.ctx.requestId) : body);
+  next();
+});
+
+// Error-level logs (and the alerts on them) are for our failures; a client's 4xx is only answered
+function logFailure(event, err, fields = {}) {
+  if ((err?.status || err?.statusCode || 500) >= 500) log.error(event, { ...fields, error: err });
+}
+
+// A handler's catch block: model failures keep their model_* code, anything else is coded by status
+function sendError(res, err, message) {
+  const { status, body } = errorResponse(err, message);
+  if (err?.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  return res.status(status).json(body);
+}
+
 // Strict CORS to your static origin (or permissive in dev if not set)
 if (FRONTEND_ORIGIN) {
   const allowedOrigins = new Set([
@@ -57,8 +227,9 @@ if (FRONTEND_ORIGIN) {
         if (allowedOrigins.has(origin)) return cb(null, true);
         return cb(new Error(`CORS blocked: ${origin}`));
       },
-      methods: ['GET', 'POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization'],
+      methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Idempotency-Key'],
+      exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed', 'Retry-After'],
     })
   );
   app.options('*', cors());
@@ -68,188 +239,502 @@ if (FRONTEND_ORIGIN) {
 }
 app.use(express.json({ limit: '1mb' }));
 
-// ------------------------ OpenAI Client ------------------------
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORG_ID || process.env.OPENAI_ORG || undefined,
-  project: process.env.OPENAI_PROJECT_ID || process.env.OPENAI_PROJECT || undefined,
+// ------------------------ Tenants ------------------------
+// No tenants file = single-tenant mode (no API keys); usage is still counted under "default"
+let TENANTS;
+try {
+  TENANTS = loadTenants();
+} catch (err) {
+  for (const problem of err.problems || [err.message]) console.error(`❌ ${problem}`);
+  process.exit(1);
+}
+if (!TENANTS) console.warn('⚠️ No tenants file (config/tenants.json or TENANTS_PATH): API keys are not enforced');
+const tenantIndex = createTenantIndex(TENANTS);
+const rateLimiter = createRateLimiter();
+const usage = createUsageStore(path.join(DATA_DIR, 'usage.json'));
+// Platforms stop the process with a signal; keep the last counters
+for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => process.exit(0));
+
+// The request (or batch row) being served: its ID, tenant and model calls. SOP, branding, quotas,
+// ownership and log lines read it from here
+const requestContext = new AsyncLocalStorage();
+const currentTenant = () => requestContext.getStore()?.tenant || null;
+const usageId = (tenant = currentTenant()) => (tenant ? tenant.id : 'default');
+const runAsTenant = (tenant, fn, extra = {}) => requestContext.run({ requestId: crypto.randomUUID(), tenant, calls: [], ...extra }, fn);
+
+// Logs never show PII: this request's personal values, plus emails/phones/passport numbers by pattern
+maskConsole(console, () => requestContext.getStore()?.pii || []);
+
+let log;
+try {
+  log = createLogger({
+    level: LOG_LEVEL,
+    context() {
+      const store = requestContext.getStore();
+      return store ? { requestId: store.requestId, tenant: store.tenant?.id, jobId: store.jobId } : {};
+    },
+  });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Every route except these needs a valid key once tenants are configured (admin routes use ADMIN_TOKEN)
+const PUBLIC_PATHS = new Set(['/', '/health', '/metrics', '/schema']);
+
+// Runs after the body parser: context set earlier would not survive its stream callbacks
+app.use((req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_PATHS.has(req.path) || req.path.startsWith('/admin/')) return requestContext.run(req.ctx, next);
+  let tenant = null;
+  if (TENANTS) {
+    tenant = tenantIndex.byKey(apiKeyFrom(req));
+    if (!tenant) return res.status(401).json({ error: 'Missing or invalid API key', detail: 'Send your key in the X-API-Key header' });
+    const limit = rateLimiter.check(tenant);
+    if (!limit.ok) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded', detail: `${limit.limit} requests per minute; retry in ${limit.retryAfter}s` });
+    }
+    if (limit.limit) res.set({ 'X-RateLimit-Limit': String(limit.limit), 'X-RateLimit-Remaining': String(limit.remaining) });
+  }
+  usage.record(usageId(tenant), 'requests');
+  req.ctx.tenant = tenant;
+  return requestContext.run(req.ctx, next);
 });
 
-// ------------------------ SOP Assets (MANDATORY) ------------------------
-const RULES_DIR = path.join(__dirname, 'rules');
-const MINIS_DIR = path.join(__dirname, 'mini_templates');
-const SAMPLES_DIR = path.join(__dirname, 'samples');
+// Generations running right now, per tenant: held against the quota until they are charged or fail
+const generating = new Map();
+
+// Generations left this month (Infinity without a quota)
+function quotaLeft(tenant = currentTenant()) {
+  if (!tenant || !tenant.monthlyQuota) return Infinity;
+  return Math.max(0, tenant.monthlyQuota - usage.current(tenant.id).generations - (generating.get(tenant.id) || 0));
+}
+
+// Route guard for anything that calls a model; checked before the payload is even read
+function requireQuota(_req, res, next) {
+  if (quotaLeft() >= 1) return next();
+  return res.status(429).json({ code: 'quota_exceeded', error: 'Monthly generation quota exceeded', detail: `Quota of ${currentTenant().monthlyQuota} generations used for ${usage.current(currentTenant().id).month}` });
+}
 
-for (const d of [RULES_DIR, MINIS_DIR, SAMPLES_DIR]) {
-  if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+// Runs one generation; it counts against the quota only once a letter has come back
+// (model errors, timeouts and client disconnects are free, so an idempotent retry is not charged twice)
+async function metered(generate) {
+  const id = usageId();
+  generating.set(id, (generating.get(id) || 0) + 1);
+  try {
+    const out = await generate();
+    usage.record(id, 'generations');
+    return out;
+  } finally {
+    const left = generating.get(id) - 1;
+    if (left) generating.set(id, left);
+    else generating.delete(id);
+  }
 }
 
-function requireFile(p, label) {
-  if (!fs.existsSync(p)) {
-    console.error(`❌ Missing required ${label}: ${p}`);
-    process.exit(1);
+// ------------------------ Idempotency ------------------------
+// Idempotency-Key on a generating route: a repeat with the same key and body (double-submit, client timeout)
+// gets the stored response, or waits for the first one to finish, instead of a second generation.
+// Keys are scoped to the tenant and route; 5xx, 409 and 429 outcomes are not kept, so a retry generates again.
+const idempotency = createIdempotencyStore(path.join(DATA_DIR, 'idempotency'), { ttlMs: IDEMPOTENCY_TTL_HOURS * 3600 * 1000 });
+const IDEMPOTENCY_KEY_RE = /^[\w.:-]{1,128}$/;
+
+const sseEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+function replayResponse(res, record) {
+  log.info('idempotency.replayed', { status: record.status, stream: record.stream });
+  res.set('Idempotent-Replayed', 'true');
+  if (!record.stream) return res.status(record.status).json(record.body);
+  // A streamed letter replays as its attempt, the whole text as one token event, and the stored done event;
+  // a rejected one as its stored error event only
+  res.set({ 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache, no-transform' });
+  if (record.status !== 200) {
+    res.write(sseEvent('error', record.body));
+    return res.end();
   }
-  return fs.readFileSync(p, 'utf8');
+  const { letter, provider: name, model, fallback } = record.body;
+  res.write(sseEvent('attempt', { provider: name, model, fallback }));
+  res.write(sseEvent('token', { text: letter }));
+  res.write(sseEvent('done', record.body));
+  return res.end();
 }
-function requireAtLeastOneTxt(dir, label) {
-  if (!fs.existsSync(dir)) {
-    console.error(`❌ Missing required directory: ${dir} (${label})`);
-    process.exit(1);
+
+// Route guard before requireQuota (replays are free). Streaming handlers keep their result with
+// res.locals.keepStreamed(done), or keepStreamed(errorEvent, status) for a rejected letter
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (!key) return next();
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key', detail: 'Use 1-128 letters, digits, ".", "_", ":" or "-" (a UUID works)' });
   }
-  const files = fs.readdirSync(dir).filter((f) => /\.(txt|md)$/i.test(f));
-  if (!files.length) {
-    console.error(`❌ No .txt/.md files found in ${dir} (${label})`);
-    process.exit(1);
+  try {
+    const scope = `${usageId()} ${req.method} ${req.path}`;
+    const fingerprint = sha256(JSON.stringify(req.body ?? null));
+    let claim = await idempotency.begin(scope, key, fingerprint);
+    if (claim.wait) {
+      const record = await claim.wait;
+      claim = record ? { replay: record } : await idempotency.begin(scope, key, fingerprint);
+    }
+    if (claim.conflict) {
+      return res.status(422).json({ code: 'idempotency_key_reused', error: 'Idempotency-Key was already used with a different request body', detail: 'Send a new key for a new request' });
+    }
+    if (claim.wait) return res.status(409).json({ code: 'idempotency_in_progress', error: 'A request with this Idempotency-Key is still running', detail: 'Retry shortly' });
+    if (claim.replay) return replayResponse(res, claim.replay);
+
+    let settled = false;
+    const settle = (record) => {
+      if (settled) return;
+      settled = true;
+      if (!record || record.status >= 500 || record.status === 409 || record.status === 429) return idempotency.abandon(claim.token);
+      return idempotency.complete(claim.token, record).catch((err) => log.error('idempotency.failed', { error: err }));
+    };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle({ status: res.statusCode, body });
+      return json(body);
+    };
+    res.locals.keepStreamed = (body, status = 200) => settle({ status, body, stream: true });
+    res.on('close', () => settle(null));
+    return next();
+  } catch (err) {
+    log.error('idempotency.failed', { error: err });
+    return sendError(res, err, 'Failed to check Idempotency-Key');
   }
-  return files.map((name) => ({
-    name,
-    text: fs.readFileSync(path.join(dir, name), 'utf8'),
-  }));
 }
 
-function clip(text = '', max = 4000) {
-  const s = String(text || '');
-  return s.length <= max ? s.trim() : (s.slice(0, max).trim() + '\n…');
+// Request body -> payload, with the tenant's branding (company name, default embassy) as defaults
+// A pasted refusal notice also fills visaRefusals (one reason per ground) when staff left it empty
+function payloadFrom(body) {
+  const payload = buildPayload(body, { defaults: brandingDefaults(currentTenant()) });
+  if (payload.refusalNotice && !payload.visaRefusals) {
+    const summary = refusalSummary(payload.refusalNotice);
+    if (summary) payload.visaRefusals = summary;
+  }
+  return payload;
 }
 
-function loadSOPStrict() {
-  // Required rule files
-  const masterRules = requireFile(path.join(RULES_DIR, 'master_rules.txt'), 'rules/master_rules.txt');
-  const structureGuide = requireFile(path.join(RULES_DIR, 'structure_guide.txt'), 'rules/structure_guide.txt');
-  const qualityChecklist = requireFile(path.join(RULES_DIR, 'quality_checklist.txt'), 'rules/quality_checklist.txt');
-  // Allow either spelling for master template
-  let masterTemplate = '';
-  const m1 = path.join(RULES_DIR, 'master_template.txt');
-  const m2 = path.join(RULES_DIR, 'master_templete.txt');
-  if (fs.existsSync(m1)) masterTemplate = fs.readFileSync(m1, 'utf8');
-  else if (fs.existsSync(m2)) masterTemplate = fs.readFileSync(m2, 'utf8');
-  else {
-    console.error('❌ Missing required rules/master_template.txt (or master_templete.txt)');
-    process.exit(1);
+// ------------------------ SOP Assets (MANDATORY) ------------------------
+const RULES_DIR = path.join(__dirname, 'rules');
+const MINIS_DIR = path.join(__dirname, 'mini_templates');
+const SAMPLES_DIR = path.join(__dirname, 'samples');
+const PACKS_DIR = path.join(__dirname, 'destination_packs'); // optional: no packs = generic letters
+const DOCUMENTS_DIR = path.join(__dirname, 'document_templates'); // optional: companion document templates
+
+// A tenant's sopDir layers over the base set: same file name replaces, new names add
+const sopDirs = (overrideDir) => ({
+  rulesDir: [RULES_DIR, ...(overrideDir ? [path.join(overrideDir, 'rules')] : [])],
+  minisDir: [MINIS_DIR, ...(overrideDir ? [path.join(overrideDir, 'mini_templates')] : [])],
+  samplesDir: [SAMPLES_DIR, ...(overrideDir ? [path.join(overrideDir, 'samples')] : [])],
+  packsDir: [PACKS_DIR, ...(overrideDir ? [path.join(overrideDir, 'destination_packs')] : [])],
+  documentsDir: [DOCUMENTS_DIR, ...(overrideDir ? [path.join(overrideDir, 'document_templates')] : [])],
+});
+
+// Validated at boot (fail fast); later reloads keep the old set if the new one is invalid
+let sopRegistry;
+const tenantRegistries = new Map();
+try {
+  sopRegistry = createSopRegistry(sopDirs());
+  for (const t of (TENANTS || []).filter((x) => x.sopDir)) {
+    try {
+      tenantRegistries.set(t.id, createSopRegistry(sopDirs(t.sopDir)));
+    } catch (err) {
+      throw Object.assign(err, { problems: (err.problems || [err.message]).map((p) => `tenant ${t.id}: ${p}`) });
+    }
   }
+} catch (err) {
+  for (const problem of err.problems || [err.message]) console.error(`❌ ${problem}`);
+  process.exit(1);
+}
+for (const w of sopRegistry.current().warnings) console.warn(`⚠️ ${w}`);
+for (const [id, r] of tenantRegistries) for (const w of r.current().warnings) console.warn(`⚠️ tenant ${id}: ${w}`);
+if (SOP_WATCH) for (const r of [sopRegistry, ...tenantRegistries.values()]) r.watch();
+
+const registryFor = (tenant) => (tenant && tenantRegistries.get(tenant.id)) || sopRegistry;
+const getSOP = () => registryFor(currentTenant()).current();
+
+// Destination rule pack for a payload (null = generic behaviour)
+const packFor = (payload) => findPack(getSOP().packs, payload.destination);
+
+// Pack embassy defaults go into the prompt/checks only; stored case payloads stay as submitted
+const withPackDefaults = (payload) => applyPackDefaults(payload, packFor(payload));
+
+// What the compliance checks need to know about a case
+function reviewContext(payload) {
+  const pack = packFor(payload);
+  return {
+    sop: getSOP(),
+    payload,
+    reapplication: detectApplicationType(payload) === 'Reapplication',
+    sponsored: isSponsoredPayload(payload),
+    subject: packSubject(pack, payload),
+    salutation: pack ? pack.salutation : undefined,
+  };
+}
 
-  // Require at least one mini-template and one sample
-  const minis = requireAtLeastOneTxt(MINIS_DIR, 'mini templates');
-  const samples = requireAtLeastOneTxt(SAMPLES_DIR, 'samples');
+// ------------------------ Exchange rates ------------------------
+let RATES;
+try {
+  RATES = loadRates();
+} catch (err) {
+  console.error(`❌ Exchange rate table: ${err.message}`);
+  process.exit(1);
+}
 
-  return { masterRules, structureGuide, qualityChecklist, masterTemplate, minis, samples };
+function affordabilityFor(payload) {
+  return analyseAffordability(payload, RATES);
 }
-const SOP = loadSOPStrict();
 
-function buildStyleDigest(files, { maxFiles = 10, perFileChars = 900, totalChars = 5000 } = {}) {
-  let out = '';
-  const use = files.slice(0, maxFiles);
-  for (let i = 0; i < use.length; i++) {
-    const chunk = clip(use[i].text, perFileChars);
-    const next = `\n\n### Sample ${i + 1}: ${use[i].name}\n${chunk}`;
-    if ((out + next).length > totalChars) break;
-    out += next;
+// Fact check that also accepts the converted figures the prompt handed the model
+function verifyFacts(letter, payload, { signer } = {}) {
+  return verifyLetter(letter, payload, { extraAmounts: figureAmounts(affordabilityFor(payload)), signer });
+}
+
+// ------------------------ Model Provider ------------------------
+let provider;
+try {
+  provider = createProvider(MODEL_PROVIDER, process.env, getSOP);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+const templateProvider = provider.name === 'template' ? provider : createTemplateProvider(getSOP);
+const MODEL_NAME = process.env.MODEL_NAME || provider.defaultModel;
+const FALLBACK_MODEL = process.env.FALLBACK_MODEL || (provider.name === 'openai' ? 'gpt-4o-mini' : '');
+
+// ------------------------ Telemetry ------------------------
+let PRICES;
+try {
+  PRICES = loadPrices();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const metrics = createMetrics({ prefix: 'visa_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']);
+const modelCalls = metrics.counter('model_calls_total', 'Model attempts by outcome (ok | error)', ['provider', 'model', 'outcome']);
+const modelDuration = metrics.histogram('model_call_duration_seconds', 'Model attempt latency', ['provider', 'model']);
+const modelTokens = metrics.counter('model_tokens_total', 'Tokens by kind (prompt | completion); estimated when the server reports none', ['provider', 'model', 'kind']);
+const modelCost = metrics.counter('model_cost_total', `Estimated model cost in ${PRICES.currency} (config/model_prices.json)`, ['provider', 'model']);
+const lettersGenerated = metrics.counter('letters_generated_total', 'Letters generated, by the model that answered', ['provider', 'model', 'fallback']);
+const validationFailures = metrics.counter('validation_failures_total', 'Rejected payload fields', ['field']);
+const outcomesRecorded = metrics.counter('outcomes_recorded_total', 'Embassy decisions recorded against letters', ['decision']);
+metrics.gauge('uptime_seconds', 'Seconds since the process started', () => [{ value: process.uptime() }]);
+metrics.gauge('resident_memory_bytes', 'Resident set size of the process', () => [{ value: process.memoryUsage().rss }]);
+
+// Per provider/model since boot, for GET /health
+const modelHealth = new Map();
+
+/**
+ * One model attempt: metrics, per-model health, the request's call list and a "model.call" log line.
+ * Without a usage report, remote calls are estimated from the text (estimated: true); the template
+ * providers make no model call and cost nothing.
+ */
+function recordModelCall({ provider: name, model, fallback, stream = false, started, usage: reported, messages, text, error }) {
+  const latencyMs = Date.now() - started;
+  let tokens = reported;
+  if (!tokens) {
+    tokens = name === 'template' || error
+      ? { promptTokens: 0, completionTokens: 0 }
+      : { promptTokens: estimateTokens(messages.map((m) => m.content).join('\n')), completionTokens: estimateTokens(text), estimated: true };
   }
-  return out.trim();
+  const cost = estimateCost(PRICES, { provider: name, model, ...tokens });
+  const call = { provider: name, model, fallback, ok: !error, latencyMs, ...tokens, cost };
+  requestContext.getStore()?.calls.push(call);
+
+  const labels = { provider: name, model };
+  modelCalls.inc({ ...labels, outcome: error ? 'error' : 'ok' });
+  modelDuration.observe(labels, latencyMs / 1000);
+  modelTokens.inc({ ...labels, kind: 'prompt' }, tokens.promptTokens);
+  modelTokens.inc({ ...labels, kind: 'completion' }, tokens.completionTokens);
+  if (cost) modelCost.inc(labels, cost);
+
+  const key = `${name}/${model}`;
+  const h = modelHealth.get(key) || { calls: 0, failures: 0, avgLatencyMs: 0, lastOkAt: null, lastErrorAt: null, lastError: null };
+  h.avgLatencyMs = Math.round((h.avgLatencyMs * h.calls + latencyMs) / (h.calls + 1));
+  h.calls++;
+  if (error) Object.assign(h, { failures: h.failures + 1, lastErrorAt: new Date().toISOString(), lastError: error.message || String(error) });
+  else h.lastOkAt = new Date().toISOString();
+  modelHealth.set(key, h);
+
+  if (error) log.warn('model.call', { ...call, stream, error });
+  else log.info('model.call', { ...call, stream });
+}
+
+// What the current request's model calls came to: who answered (the last successful call), fallback, tokens, cost
+function usageSummary(calls = requestContext.getStore()?.calls || []) {
+  const answered = calls.filter((c) => c.ok).pop();
+  const sum = (k) => calls.reduce((n, c) => n + (c[k] || 0), 0);
+  return {
+    calls: calls.length,
+    provider: answered?.provider || null,
+    model: answered?.model || null,
+    fallback: Boolean(answered?.fallback),
+    latencyMs: sum('latencyMs'),
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    estimatedTokens: calls.some((c) => c.estimated),
+    // Unknown when any call's model has no price
+    cost: calls.some((c) => c.cost === null) ? null : Math.round(sum('cost') * 1e6) / 1e6,
+    currency: PRICES.currency,
+  };
 }
-const STYLE_DIGEST = buildStyleDigest(SOP.samples);
 
-// Quick index of minis by loose name
-function getMini(namePart) {
-  const hit = SOP.minis.find(f => f.name.toLowerCase().includes(namePart));
-  return hit ? clip(hit.text, 1400) : '';
+// Response finished: request metrics + one "request" log line (with the model usage, if any)
+function observeRequest(req, res, seconds) {
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+  httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  httpDuration.observe({ method: req.method, route }, seconds);
+  const entry = {
+    requestId: req.ctx.requestId,
+    tenant: req.ctx.tenant?.id,
+    method: req.method,
+    path: req.path,
+    route,
+    status: res.statusCode,
+    durationMs: Math.round(seconds * 1000),
+    ...(req.ctx.calls.length ? { usage: usageSummary(req.ctx.calls) } : {}),
+  };
+  if (res.statusCode >= 500) log.error('request', entry);
+  else log.info('request', entry);
 }
 
-// ------------------------ Utilities ------------------------
-function clean(v) {
-  if (v === undefined || v === null) return undefined;
-  const s = String(v).trim();
-  return s.length ? s : undefined;
+// ------------------------ Resilience ------------------------
+// Circuits are per provider/model ("openai/gpt-5-mini"); the offline template never trips one
+const breaker = createCircuitBreaker({ threshold: CIRCUIT_FAILURE_THRESHOLD, cooldownMs: CIRCUIT_COOLDOWN_MS });
+const modelRetries = metrics.counter('model_retries_total', 'Model calls retried after a transient error', ['provider', 'model']);
+metrics.gauge('model_circuit_open', 'Models skipped by the circuit breaker (1 = open)', () => Object.entries(breaker.describe()).map(([key, c]) => {
+  const [name, ...model] = key.split('/');
+  return { labels: { provider: name, model: model.join('/') }, value: c.state === 'open' ? 1 : 0 };
+}));
+
+// The current generation's deadline: started by its first model call, shared by its repairs, fallbacks and translation
+function generationDeadline() {
+  if (!GENERATION_TIMEOUT_MS) return null;
+  const store = requestContext.getStore();
+  if (!store) return AbortSignal.timeout(GENERATION_TIMEOUT_MS);
+  if (!store.deadline) store.deadline = AbortSignal.timeout(GENERATION_TIMEOUT_MS);
+  return store.deadline;
 }
 
-// Parse a number from strings like "₦1,200,000", "£2,000", "2000000"
-function parseNum(x) {
-  if (!x) return NaN;
-  const n = parseFloat(String(x).replace(/[^0-9.\-]/g, ''));
-  return Number.isFinite(n) ? n : NaN;
+const generationTimeout = () => apiError('generation_timeout', `Generation took longer than GENERATION_TIMEOUT_MS (${GENERATION_TIMEOUT_MS} ms)`);
+
+function circuitOpen(circuit) {
+  const { openUntil } = breaker.describe()[circuit] || {};
+  const retryAfter = openUntil ? Math.max(1, Math.ceil((Date.parse(openUntil) - Date.now()) / 1000)) : undefined;
+  return apiError('model_unavailable', `${circuit} is failing; circuit open${openUntil ? ` until ${openUntil}` : ''}`, { retryAfter });
 }
 
-// Detect “sponsored” intent reliably
-function isSponsoredPayload(b) {
-  const f = (b.funding || '').toLowerCase();
-  if (f === 'sponsor' || f === 'sponsored' || f === 'sponsorship' || f === 'family' || f === 'employer') return true;
-  if (String(b.sponsorSelf || '').toLowerCase() === 'no') return true;
-  if (b.sponsorName || b.sponsorRelationship) return true;
-  return false;
+// A failed remote attempt: the breaker's verdict, then whether to retry the same model (after the backoff).
+// `signal` aborts the wait: the generation deadline, or for streams also the client leaving.
+async function afterFailure(circuit, err, retry, signal) {
+  if (tripsBreaker(err)) breaker.failure(circuit);
+  else breaker.release(circuit);
+  if (signal?.aborted || retry >= RETRY_POLICY.retries || !isTransient(err) || !breaker.allow(circuit)) return false;
+  const [name, ...model] = circuit.split('/');
+  modelRetries.inc({ provider: name, model: model.join('/') });
+  const delayMs = retryDelay(retry, RETRY_POLICY, err);
+  log.info('model.retry', { circuit, retry: retry + 1, delayMs, reason: err.message });
+  await sleep(delayMs, signal).catch((reason) => {
+    throw reason?.name === 'TimeoutError' ? generationTimeout() : Object.assign(new Error('Client disconnected'), { aborted: true });
+  });
+  return true;
 }
 
-// Decide app type from explicit field, or from refusals
-function detectApplicationType(p) {
-  const t = (p.applicationType || '').toLowerCase();
-  if (t.includes('reapp')) return 'Reapplication';
-  if (p.visaRefusals) return 'Reapplication';
-  return 'First-time';
+// ------------------------ Case Store ------------------------
+const caseStore = createFileCaseStore(path.join(DATA_DIR, 'cases'));
+
+function buildStyleDigest(files, { maxFiles = 10, perFileChars = 900, totalChars = 5000 } = {}) {
+  let out = '';
+  const use = files.slice(0, maxFiles);
+  for (let i = 0; i < use.length; i++) {
+    const chunk = clip(use[i].text, perFileChars);
+    const next = `\n\n### Sample ${i + 1}: ${use[i].name}\n${chunk}`;
+    if ((out + next).length > totalChars) break;
+    out += next;
+  }
+  return out.trim();
 }
 
-// Build "why approve" rationale cues from facts
-function buildRationalePoints(p, appType) {
+// ------------------------ Rationale ------------------------
+// Build "why approve" rationale cues from facts: { id, text }; the id is what outcome analytics group by
+function buildRationalePoints(p, appType, affordability = affordabilityFor(p)) {
   const cues = [];
-
-  // Funds / affordability
-  const bal = parseNum(p.currentBankBalance);
-  const trip = parseNum(p.estimatedTripCost);
-  if (Number.isFinite(bal) && Number.isFinite(trip) && trip > 0) {
-    const margin = bal - trip;
-    if (margin >= 0) cues.push(`Funds cover the estimated trip cost with a remaining balance of about ${margin.toLocaleString()}.`);
-  } else if (Number.isFinite(bal)) {
-    cues.push(`Bank balance indicates capacity to fund the trip.`);
+  const cue = (id, text) => cues.push({ id, text });
+
+  // Funds / affordability (all figures converted to one currency before comparing)
+  const { figures: f } = affordability;
+  if (affordability.verdict && affordability.verdict !== 'short') {
+    cue('funds-cover-trip', `Funds of ${f.currentBankBalance.display} cover the estimated trip cost of ${f.estimatedTripCost.display}, leaving about ${affordability.balanceAfterTrip}.`);
+    if (affordability.monthsOfExpensesCovered >= 1) {
+      cue('surplus-after-trip', `The balance left after the trip still covers about ${Math.floor(affordability.monthsOfExpensesCovered)} months of declared expenses.`);
+    }
+  } else if (f.currentBankBalance && !f.estimatedTripCost) {
+    cue('bank-balance', `Bank balance indicates capacity to fund the trip.`);
+  }
+  if (affordability.incomeToCostRatio >= 0.25) {
+    cue('income-to-cost', `Monthly income alone is about ${Math.round(affordability.incomeToCostRatio * 100)}% of the total trip cost.`);
   }
 
-  // Income stability
-  if (p.income) cues.push(`Stable monthly income declared: ${p.income}.`);
+  // Income stability (salaryCredits / averageBalance come from an imported bank statement)
+  if (p.salaryCredits) cue('salary-credits', `Salary credited regularly: ${p.salaryCredits}.`);
+  else if (p.income) cue('stable-income', `Stable monthly income declared: ${p.income}.`);
+  if (f.averageBalance) cue('average-balance', `Six-month average bank balance of ${f.averageBalance.display}.`);
 
   // Sponsor / Family / Employer
   if (p.funding) {
     if ((p.funding || '').toLowerCase() === 'employer') {
-      if (p.employerName || p.employerAddress) cues.push(`Employer support documented (${p.employerName || 'employer'}), including travel cost coverage where stated.`);
+      if (p.employerName || p.employerAddress) cue('employer-support', `Employer support documented (${p.employerName || 'employer'}), including travel cost coverage where stated.`);
     } else if ((p.funding || '').toLowerCase() === 'family') {
-      if (p.sponsorName || p.sponsorRelationship) cues.push(`Family sponsorship declared by ${p.sponsorName || 'family member'} (${p.sponsorRelationship || 'relationship stated'}), with supporting documents.`);
+      if (p.sponsorName || p.sponsorRelationship) cue('family-sponsor', `Family sponsorship declared by ${p.sponsorName || 'family member'} (${p.sponsorRelationship || 'relationship stated'}), with supporting documents.`);
     } else if ((p.funding || '').toLowerCase() === 'sponsor') {
-      if (p.sponsorName) cues.push(`Third-party sponsorship by ${p.sponsorName}${p.sponsorRelationship ? ` (${p.sponsorRelationship})` : ''}, with financial evidence provided.`);
+      if (p.sponsorName) cue('third-party-sponsor', `Third-party sponsorship by ${p.sponsorName}${p.sponsorRelationship ? ` (${p.sponsorRelationship})` : ''}, with financial evidence provided.`);
     }
   }
 
   // Accommodation / Invitation
-  if (p.stayDetails) cues.push(`Accommodation/host details provided (${p.stayDetails.slice(0, 80)}…).`);
-  if (p.invited && String(p.invited).toLowerCase() === 'yes') cues.push(`Invitation and host supporting documents attached.`);
+  if (p.stayDetails) cue('accommodation', `Accommodation/host details provided (${p.stayDetails.slice(0, 80)}…).`);
+  if (p.invited && String(p.invited).toLowerCase() === 'yes') cue('invitation', `Invitation and host supporting documents attached.`);
 
   // Ties to Nigeria
   const ties = [];
   if (p.propertyDetails) ties.push('property ownership');
   if (p.businessCommitments || p.employerName) ties.push('ongoing employment/business');
   if (p.familyDependents) ties.push('family dependents');
-  if (ties.length) cues.push(`Strong ties to Nigeria: ${ties.join(', ')}.`);
+  if (ties.length) cue('home-ties', `Strong ties to Nigeria: ${ties.join(', ')}.`);
 
   // History / Compliance
-  if (p.validVisas || p.travelHistory) cues.push(`Prior travel/visa history demonstrates compliance with immigration rules.`);
+  if (p.validVisas || p.travelHistory) cue('travel-history', `Prior travel/visa history demonstrates compliance with immigration rules.`);
 
   // Reapplication-specific
   if (appType === 'Reapplication') {
-    if (p.visaRefusals) cues.push(`This submission provides new/clearer evidence addressing the refusal points.`);
-    if (p.significantTransactions) cues.push(`Large/irregular transactions are explained in context.`);
-    if (p.bankStatementDetails) cues.push(`Bank statement trend and details are clarified.`);
-    if (p.sponsorDocs) cues.push(`Sponsor documentation is included to close prior gaps.`);
+    if (p.visaRefusals) cue('new-evidence', `This submission provides new/clearer evidence addressing the refusal points.`);
+    if (p.significantTransactions) cue('transactions-explained', `Large/irregular transactions are explained in context.`);
+    if (p.bankStatementDetails) cue('statement-clarified', `Bank statement trend and details are clarified.`);
+    if (p.sponsorDocs) cue('sponsor-documents', `Sponsor documentation is included to close prior gaps.`);
   }
 
   // Study/Medical empathy
   if ((p.visaType || '').toLowerCase() === 'study') {
-    cues.push('The study period is time-bound and purpose-specific, with a clear plan to return to Nigeria.');
+    cue('study-return', 'The study period is time-bound and purpose-specific, with a clear plan to return to Nigeria.');
   }
   if ((p.visaType || '').toLowerCase() === 'medical') {
-    cues.push('Medical timeline and funding are defined, with intention to return after treatment.');
+    cue('medical-return', 'Medical timeline and funding are defined, with intention to return after treatment.');
   }
 
   // Trim + cap lines
   return cues.slice(0, 8);
 }
 
-// ---------- Prompt Builder (SOP-aware, empathetic) ----------
-function buildMessages(detailLines, payload) {
+// ---------- Scenario (steers the prompt; recorded with each letter for outcome analytics) ----------
+const TONES = {
+  empathetic: 'Warm, empathetic and respectful, but concise and professional.',
+  courteous: 'Courteous, positive, and professional.',
+  formal: 'Formal, direct, and professional.',
+};
+
+function deriveScenario(detailLines, payload) {
   const joined = detailLines.join('\n');
 
   // Extract some fields to steer structure
@@ -271,62 +756,78 @@ function buildMessages(detailLines, payload) {
                        /(^|\n)\s*Employment Status:\s*Self-employed/i.test(joined);
 
   const isMedical = /(^|\n)\s*Medical:/i.test(joined) || /(^|\n)\s*Visa Type:\s*Medical/i.test(joined);
-  const isBusiness= /(^|\n)\s*Visa Type:\s*Business/i.test(joined);
   const isTourist = /(^|\n)\s*Visa Type:\s*Tourist/i.test(joined);
 
   const hasWeaknesses = /(^|\n)\s*Potential Weaknesses:\s*\S+/i.test(joined);
 
-  // tone selection
+  // tone selection (a TONES key)
   const tone =
-    isMedical || hasWeaknesses ? 'Warm, empathetic and respectful, but concise and professional.' :
-    (isTourist || /Visit/i.test(visaType) || /Study/i.test(visaType)) ? 'Courteous, positive, and professional.' :
-    'Formal, direct, and professional.';
+    isMedical || hasWeaknesses ? 'empathetic' :
+    (isTourist || /Visit/i.test(visaType) || /Study/i.test(visaType)) ? 'courteous' :
+    'formal';
+
+  const reapplication = refusalPresent || appType === 'Reapplication';
+
+  // Minis + samples are chosen by their front-matter metadata
+  const scenarios = new Set();
+  if (sponsored) scenarios.add('sponsored');
+  if (selfEmployed) scenarios.add('self-employed');
+  if (!/Travel History:\s*\S+/i.test(joined)) scenarios.add('first-time-traveller');
+  const selection = {
+    visaType: payload.visaType,
+    destination: payload.destination,
+    applicationType: reapplication ? 'Reapplication' : 'First-time',
+    scenarios,
+  };
+
+  return { destination, visaType, appType, reapplication, sponsored, selfEmployed, tone, selection };
+}
+
+// ---------- Prompt Builder (SOP-aware, empathetic) ----------
+function buildMessages(detailLines, payload) {
+  const SOP = getSOP();
+  const { destination, visaType, appType, reapplication, sponsored, selfEmployed, tone, selection } = deriveScenario(detailLines, payload);
 
-  // Scenario hints + minis
-  const blocks = [];
+  // Scenario hints
   const hints = [];
-  if (refusalPresent || appType === 'Reapplication') {
-    hints.push('Reapplication after refusal: provide a brief, factual clarification to each refusal point and show new evidence.');
-    const t = getMini('refusal');
-    if (t) blocks.push('--- MINI (Reapplication) ---\n' + t);
-  }
-  if (sponsored) {
-    hints.push('Sponsored: identify sponsor, relationship, income, accommodation support, and list sponsor documents clearly.');
-    const t = getMini('sponsor');
-    if (t) blocks.push('--- MINI (Sponsor) ---\n' + t);
-  }
-  if (selfEmployed) {
-    hints.push('Self-employed: reference business registration (CAC), tax returns, and invoices where provided.');
-    const t = getMini('self_employed');
-    if (t) blocks.push('--- MINI (Self-employed) ---\n' + t);
-  }
-  if (isMedical) {
-    const t = getMini('medical');
-    if (t) blocks.push('--- MINI (Medical) ---\n' + t);
-  }
-  if (isBusiness) {
-    const t = getMini('business');
-    if (t) blocks.push('--- MINI (Business/Conference) ---\n' + t);
-  }
-  if (isTourist && !/Travel History:\s*\S+/i.test(joined)) {
-    const t = getMini('tourist');
-    if (t) blocks.push('--- MINI (Tourist First-time) ---\n' + t);
-  }
+  const plan = reapplication ? rebuttalPlan(payload) : null;
+  const planned = Boolean(plan && plan.grounds.length);
+  if (planned) hints.push('Reapplication after refusal: answer every ground in the REBUTTAL PLAN, in its order, with the evidence listed for it; state plainly what is new.');
+  else if (reapplication) hints.push('Reapplication after refusal: provide a brief, factual clarification to each refusal point and show new evidence.');
+  if (sponsored) hints.push('Sponsored: identify sponsor, relationship, income, accommodation support, and list sponsor documents clearly.');
+  if (selfEmployed) hints.push('Self-employed: reference business registration (CAC), tax returns, and invoices where provided.');
+
+  const blocks = selectMinis(SOP, selection)
+    .map((m) => `--- MINI (${m.meta.label || m.name.replace(/\.\w+$/, '')}) ---\n${clip(m.text, 1400)}`);
+  const samples = rankSamples(SOP, selection, sampleQuery(payload, selection)).slice(0, SAMPLE_LIMIT);
+  const styleDigest = buildStyleDigest(samples.map((r) => r.sample));
+
+  // Destination rule pack: subject/salutation overrides, extra body items, phrasing + evidence block
+  const pack = packFor(payload);
+  const subject = packSubject(pack, payload) || `Application for ${visaType} Visa to ${destination}`;
+  const packSections = pack && pack.structure ? pack.structure.map((s) => `   - ${s}\n`).join('') : '';
+  const packBlock = pack ? `\n${packPromptBlock(pack, payload)}\n` : '';
 
   // currency policy
-  const currencyPolicy = `When formatting amounts with no symbol, default to ₦ (Naira). If a symbol or currency word is already present (e.g., £, USD), keep exactly what was provided—do not convert.`;
-
-  // Build rationale cues
-  const rationalePoints = buildRationalePoints(payload, appType);
+  const currencyPolicy = `When formatting amounts with no symbol, default to ₦ (Naira). If a symbol or currency word is already present (e.g., £, USD), keep it. Where an equivalent in another currency helps, use ONLY the converted figures provided—never convert amounts yourself.`;
+
+  // Converted figures + rationale cues
+  const affordability = affordabilityFor(payload);
+  const figureLines = affordabilityLines(affordability);
+  const figuresBlock = figureLines.length
+    ? `\n--- CONVERTED FIGURES (exchange rates effective ${affordability.rates.effectiveDate}) ---\n${figureLines.join('\n')}\n`
+    : '';
+  const rationalePoints = buildRationalePoints(payload, appType, affordability);
   const rationaleBlock = rationalePoints.length
-    ? `\n--- APPROVAL RATIONALE CUES ---\n${rationalePoints.map(x => '- ' + x).join('\n')}\n`
+    ? `\n--- APPROVAL RATIONALE CUES ---\n${rationalePoints.map(x => '- ' + x.text).join('\n')}\n`
     : '\n--- APPROVAL RATIONALE CUES ---\n(no explicit cues; infer from facts above)\n';
+  const rebuttalBlock = planned ? `\n${rebuttalPromptBlock(plan)}\n` : '';
 
   const systemMessage = {
     role: 'system',
     content:
       `You are an expert consular assistant for visa cover letters.\n` +
-      `Write embassy-acceptable letters using the following tone: ${tone}\n` +
+      `Write embassy-acceptable letters using the following tone: ${TONES[tone]}\n` +
       `Paragraphs should be short and clear. Never invent facts. Be specific but concise.\n` +
       `${currencyPolicy}\n` +
       `Synthesize style from samples without copying any sentence verbatim.\n`
@@ -338,8 +839,8 @@ function buildMessages(detailLines, payload) {
 `STRUCTURE (Plain text only):
 1) Applicant contact (if provided) + current date (Nigeria date format acceptable)
 2) Embassy block (if provided)
-3) Subject: "Application for ${visaType} Visa to ${destination}"
-4) Salutation
+3) Subject: "${subject}"
+4) Salutation${pack && pack.salutation ? `: "${pack.salutation}"` : ''}
 5) Body:
    - Identity & travel dates
    - Employment/Business & income (note if self-employed or student)
@@ -347,7 +848,7 @@ function buildMessages(detailLines, payload) {
    - If reapplication: short clarification addressing refusal
    - Supporting documents referenced (only those user mentioned)
    - Strong ties to Nigeria & clear return assurance
-   - ${appType === 'Reapplication'
+${packSections}   - ${appType === 'Reapplication'
         ? 'Include a short paragraph titled "Why my application merits approval now", summarising what has changed since refusal and how new evidence addresses concerns.'
         : 'Include a short paragraph titled "Why my application merits approval", clearly stating the strengths of the case.'}
    (Avoid bullet lists in the final letter—write it as cohesive prose.)
@@ -366,9 +867,9 @@ ${clip(SOP.qualityChecklist, 1200)}
 ${clip(SOP.masterTemplate, 2500)}
 
 --- STYLE DIGEST (sample excerpts) ---
-${STYLE_DIGEST || '(no samples? but server would have refused to start)'}
+${styleDigest || '(no samples? but server would have refused to start)'}
 ${blocks.length ? '\n\n' + blocks.join('\n\n') : ''}
-${rationaleBlock}
+${packBlock}${figuresBlock}${rationaleBlock}${rebuttalBlock}
 
 --- SCENARIO HINTS ---
 ${hints.length ? '- ' + hints.join('\n- ') : '(none)'}
@@ -390,233 +891,1177 @@ Return a single cohesive plain-text cover letter.`
 }
 
 // ------------------------ Model call ------------------------
-async function createLetter(messages) {
-  const isGPT5Mini = /^gpt-5-mini/.test(MODEL_NAME);
-  try {
-    if (isGPT5Mini) {
-      const resp = await openai.chat.completions.create({
-        model: MODEL_NAME,
-        messages,
-        // max_completion_tokens: 900, // optional
-      });
-      return resp.choices?.[0]?.message?.content?.trim();
-    } else {
-      const resp = await openai.chat.completions.create({
-        model: MODEL_NAME,
-        messages,
-        temperature: 0.2,
-        max_tokens: 900,
-      });
-      return resp.choices?.[0]?.message?.content?.trim();
+// Primary model -> FALLBACK_MODEL on the same provider -> offline template draft
+// (allowTemplate: false for tasks the template cannot do, e.g. free-text revisions;
+//  template: the offline renderer for this task, e.g. a companion document's)
+function modelAttempts({ allowTemplate = true, template = templateProvider } = {}) {
+  if (provider.name === 'template') return [{ provider: template, model: template === provider ? MODEL_NAME : template.defaultModel }];
+  const attempts = [{ provider, model: MODEL_NAME }];
+  if (FALLBACK_MODEL && FALLBACK_MODEL !== MODEL_NAME) attempts.push({ provider, model: FALLBACK_MODEL });
+  if (TEMPLATE_FALLBACK && allowTemplate) attempts.push({ provider: template, model: template.defaultModel });
+  return attempts;
+}
+
+// Remote models see REDACT_FIELDS values as [[TOKENS]]; the offline template stays on the server and gets them as-is
+function redactorFor(payload) {
+  const store = requestContext.getStore();
+  if (store) store.pii = [...new Set([...piiValues(payload), ...piiValues(payload, REDACT_FIELDS)])];
+  return createRedactor(payload, REDACT_FIELDS);
+}
+
+// Each remote model gets RETRY_POLICY.retries retries for transient errors and is skipped while its circuit
+// is open. Past the generation deadline: generation_timeout; nothing answered: the last error as a model_* code.
+async function createLetter(messages, payload, opts) {
+  const attempts = modelAttempts(opts);
+  const redactor = redactorFor(payload);
+  const deadline = generationDeadline();
+  let lastErr;
+  for (let i = 0; i < attempts.length; i++) {
+    const { provider: p, model } = attempts[i];
+    const remote = p.name !== 'template';
+    const circuit = `${p.name}/${model}`;
+    if (remote && !breaker.allow(circuit)) {
+      lastErr = circuitOpen(circuit);
+      continue;
     }
-  } catch (err) {
-    console.error('Primary model failed:', err?.message || err);
-    if (FALLBACK_MODEL && FALLBACK_MODEL !== MODEL_NAME) {
-      const resp = await openai.chat.completions.create({
-        model: FALLBACK_MODEL,
-        messages,
-        temperature: 0.2,
-        max_tokens: 900,
-      });
-      return resp.choices?.[0]?.message?.content?.trim();
+    const sent = remote ? redactor.redactMessages(messages) : messages;
+    for (let retry = 0; ; retry++) {
+      const started = Date.now();
+      let usage = null;
+      try {
+        const text = await p.complete({ model, messages: sent, payload, signal: deadline, onUsage: (u) => { usage = u; } });
+        if (text) {
+          recordModelCall({ provider: p.name, model, fallback: i > 0, started, usage, messages: sent, text });
+          if (remote) breaker.success(circuit);
+          return { letter: remote ? redactor.restore(text) : text, provider: p.name, model, fallback: i > 0 };
+        }
+        lastErr = Object.assign(new Error(`${circuit} returned no content`), { status: 502 });
+      } catch (err) {
+        lastErr = deadline?.aborted ? generationTimeout() : err;
+      }
+      recordModelCall({ provider: p.name, model, fallback: i > 0, started, usage, messages: sent, error: lastErr });
+      if (!remote || !(await afterFailure(circuit, lastErr, retry, deadline))) break;
+    }
+    if (lastErr.errorCode === 'generation_timeout') throw lastErr;
+  }
+  throw classifyModelError(lastErr);
+}
+
+// Streaming variant: a failure mid-stream moves to the next attempt and tells the client (onFallback) to
+// discard the partial text; a model is only retried while it has streamed nothing. Aborting `signal` stops everything.
+async function streamLetter(messages, payload, { signal, onAttempt, onToken, onFallback }) {
+  const attempts = modelAttempts();
+  const redactor = redactorFor(payload);
+  const deadline = generationDeadline();
+  const stop = deadline ? AbortSignal.any([signal, deadline]) : signal;
+  let lastErr;
+  let failed = null; // the previous model's failure, announced once the next model starts
+  for (let i = 0; i < attempts.length; i++) {
+    const { provider: p, model } = attempts[i];
+    const remote = p.name !== 'template';
+    const circuit = `${p.name}/${model}`;
+    if (remote && !breaker.allow(circuit)) {
+      lastErr = circuitOpen(circuit);
+      failed = failed || { from: { provider: p.name, model }, reason: lastErr.message, discard: false };
+      continue;
+    }
+    if (failed) onFallback({ ...failed, to: { provider: p.name, model } });
+    onAttempt({ provider: p.name, model, fallback: i > 0 });
+    const sent = remote ? redactor.redactMessages(messages) : messages;
+    let text = '';
+    for (let retry = 0; ; retry++) {
+      const started = Date.now();
+      let usage = null;
+      const restorer = redactor.streamRestorer();
+      const emit = (piece) => {
+        if (!piece) return;
+        text += piece;
+        onToken(piece);
+      };
+      try {
+        for await (const chunk of p.stream({ model, messages: sent, payload, signal: stop, onUsage: (u) => { usage = u; } })) {
+          emit(remote ? restorer.push(chunk) : chunk);
+        }
+        if (remote) emit(restorer.end());
+        if (stop.aborted) throw stop.reason;
+        if (text.trim()) {
+          recordModelCall({ provider: p.name, model, fallback: i > 0, stream: true, started, usage, messages: sent, text });
+          if (remote) breaker.success(circuit);
+          return { letter: text.trim(), provider: p.name, model, fallback: i > 0 };
+        }
+        lastErr = Object.assign(new Error(`${circuit} returned no content`), { status: 502 });
+      } catch (err) {
+        if (signal.aborted) lastErr = Object.assign(new Error('Client disconnected'), { aborted: true });
+        else lastErr = deadline?.aborted ? generationTimeout() : err;
+      }
+      recordModelCall({ provider: p.name, model, fallback: i > 0, stream: true, started, usage, messages: sent, text, error: lastErr });
+      if (lastErr.aborted) {
+        if (remote) breaker.release(circuit);
+        throw lastErr;
+      }
+      if (!remote || text || !(await afterFailure(circuit, lastErr, retry, stop))) break;
     }
-    throw err;
+    if (remote && text) breaker.failure(circuit); // failed mid-letter: no retry, but the breaker still counts it
+    if (lastErr.errorCode === 'generation_timeout') throw lastErr;
+    failed = { from: { provider: p.name, model }, reason: lastErr.message || 'unknown_error', discard: text.length > 0 };
   }
+  throw classifyModelError(lastErr);
+}
+
+// ------------------------ Review loop ------------------------
+// Cover letter structure: SOP guideline checks + targeted repair messages
+function letterStructure(payload) {
+  const ctx = reviewContext(payload);
+  return {
+    check: (letter, verification) => checkCompliance(letter, { ...ctx, verification }),
+    repair: (report) => buildRepairMessage(report, ctx),
+  };
+}
+
+// Generate, then check structure + facts. Structure failures get targeted repairs
+// (STRUCTURE_MAX_REPAIRS); in strict mode, fact failures get corrections (VERIFY_MAX_RETRIES).
+// Companion documents pass their own `structure` ({ check, repair }), offline `template` and `signer`.
+async function generateReviewedLetter(messages, payload, { strict = false, structure = letterStructure(payload), template, signer } = {}) {
+  const review = (letter) => {
+    const verification = verifyFacts(letter, payload, { signer });
+    return { verification, compliance: structure.check(letter, verification) };
+  };
+
+  let result = await createLetter(messages, payload, { template });
+  let { verification, compliance } = review(result.letter);
+  let repairs = 0;
+  let corrections = 0;
+
+  for (;;) {
+    // A failed check with no fix of its own (facts_consistent) falls through to the correction pass
+    let fix = !compliance.passed && repairs < STRUCTURE_MAX_REPAIRS ? structure.repair(compliance) : null;
+    if (fix) {
+      repairs++;
+    } else if (strict && !verification.passed && corrections < VERIFY_MAX_RETRIES) {
+      fix = buildCorrectionMessage(verification);
+      corrections++;
+    }
+    if (!fix) break;
+
+    const next = await createLetter([...messages, { role: 'assistant', content: result.letter }, fix], payload, { template });
+    if (next.letter === result.letter) break; // deterministic provider: nothing more to gain
+    result = next;
+    ({ verification, compliance } = review(result.letter));
+  }
+
+  return {
+    result,
+    verification: { ...verification, strict, attempts: 1 + corrections },
+    compliance: { ...compliance, repairs },
+  };
+}
+
+// ------------------------ Translation ------------------------
+// Translate a reviewed English letter; one correction round if protected terms or glossary renderings went missing
+async function translateLetter(english, payload, code) {
+  const terms = translationTerms(english, payload, code);
+  const messages = buildTranslationMessages(english, code, terms);
+  let result = await createLetter(messages, payload, { allowTemplate: false });
+  let check = checkTranslation(result.letter, terms);
+
+  if (!check.passed) {
+    const next = await createLetter([...messages, { role: 'assistant', content: result.letter }, buildTranslationFix(check)], payload, { allowTemplate: false });
+    const nextCheck = checkTranslation(next.letter, terms);
+    if (nextCheck.missing.length <= check.missing.length) {
+      result = next;
+      check = nextCheck;
+    }
+  }
+  return {
+    letter: result.letter,
+    report: { language: code, provider: result.provider, model: result.model, preserved: check.passed, missing: check.missing },
+  };
 }
 
 // ------------------------ Health ------------------------
 app.get('/', (_req, res) => res.send('✅ Visa Letter API (SOP-STRICT + Rationale) is running'));
-app.get('/health', (_req, res) => res.json({ ok: true, model: MODEL_NAME }));
+// ok = the process serves requests; status "degraded" = the primary model's latest call failed or its circuit is open
+app.get('/health', (_req, res) => {
+  const primary = modelHealth.get(`${provider.name}/${MODEL_NAME}`);
+  const circuits = breaker.describe();
+  const degraded = Boolean(primary?.lastErrorAt && (!primary.lastOkAt || primary.lastErrorAt > primary.lastOkAt))
+    || circuits[`${provider.name}/${MODEL_NAME}`]?.state === 'open';
+  const sop = sopRegistry.describe();
+  res.json({
+    ok: true,
+    status: degraded ? 'degraded' : 'ok',
+    version: APP_VERSION,
+    uptimeSeconds: Math.round(process.uptime()),
+    provider: provider.name,
+    model: MODEL_NAME,
+    fallbackModel: FALLBACK_MODEL || null,
+    templateFallback: TEMPLATE_FALLBACK,
+    models: Object.fromEntries(modelHealth),
+    circuits,
+    sop: { version: sop.version, loadedAt: sop.loadedAt, lastReload: sop.lastReload },
+    prices: { currency: PRICES.currency, effectiveDate: PRICES.effectiveDate || null },
+  });
+});
+
+// Prometheus scrape target (text format 0.0.4); METRICS_TOKEN, when set, is required as a bearer token
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) return res.status(401).json({ error: 'Invalid metrics token' });
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.send(metrics.render());
+});
+
+// ------------------------ SOP Endpoints ------------------------
+app.get('/sop', (_req, res) => res.json(registryFor(currentTenant()).describe()));
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' });
+  if (req.get('authorization') !== `Bearer ${ADMIN_TOKEN}`) return res.status(401).json({ error: 'Invalid admin token' });
+  return next();
+}
+
+// Re-validate and swap (base set + every tenant override); failed sets keep their previous version
+app.post('/admin/sop/reload', requireAdmin, (_req, res) => {
+  const result = sopRegistry.reload('admin');
+  const tenants = Object.fromEntries([...tenantRegistries].map(([id, r]) => [id, r.reload('admin')]));
+  const failed = Object.entries(tenants).filter(([, r]) => !r.ok);
+  if (!result.ok || failed.length) {
+    return res.status(422).json({
+      error: 'SOP validation failed; previous set kept',
+      detail: result.ok ? failed.map(([id, r]) => `tenant ${id}: ${r.error}`).join('; ') : result.error,
+      problems: [...(result.problems || []), ...failed.flatMap(([id, r]) => r.problems.map((p) => `tenant ${id}: ${p}`))],
+      version: result.ok ? result.version : result.keptVersion,
+      tenants,
+    });
+  }
+  return res.json({ reloaded: true, ...sopRegistry.describe(), tenants });
+});
+
+// ------------------------ Usage ------------------------
+function usageReport(tenant) {
+  const id = usageId(tenant);
+  return {
+    tenant: tenant ? { id: tenant.id, name: tenant.name } : null,
+    ...usage.current(id),
+    monthlyQuota: tenant && tenant.monthlyQuota ? tenant.monthlyQuota : null,
+    remaining: Number.isFinite(quotaLeft(tenant)) ? quotaLeft(tenant) : null,
+    rateLimit: tenant && tenant.rateLimit ? tenant.rateLimit : null,
+    history: usage.history(id),
+  };
+}
+
+// GET /usage -> the calling tenant's counters; GET /admin/usage -> every tenant's
+app.get('/usage', (_req, res) => res.json(usageReport(currentTenant())));
+app.get('/admin/usage', requireAdmin, (_req, res) => {
+  const tenants = TENANTS ? tenantIndex.all() : [null];
+  return res.json({ tenants: tenants.map(usageReport) });
+});
+
+// ------------------------ Payload ------------------------
+// Field list, normalisation and validation live in lib/payload_schema.js (published at GET /schema)
+app.get('/schema', (_req, res) => res.json(publicSchema()));
+
+function sendValidationError(res, errors) {
+  for (const e of errors) validationFailures.inc({ field: e.field });
+  log.info('validation.failed', { fields: errors.map((e) => `${e.field}:${e.code}`) });
+  return res.status(400).json({ code: 'validation_failed', error: describeErrors(errors), errors });
+}
+
+// Build detail lines for the prompt
+function buildDetailLines(payload) {
+  const d = [];
+  const appType = detectApplicationType(payload);
+  d.push(`Application Type: ${appType}`);
+
+  d.push(`Full Name: ${payload.name}`);
+  d.push(`Age: ${payload.age}`);
+  d.push(`Nationality: ${payload.nationality}`);
+  if (payload.dateOfBirth) d.push(`Date of Birth: ${payload.dateOfBirth}`);
+  if (payload.passportNumber) d.push(`Passport Number: ${payload.passportNumber}`);
+  if (payload.passportIssueDate) d.push(`Passport Issue Date: ${payload.passportIssueDate}`);
+  if (payload.passportExpiryDate) d.push(`Passport Expiry Date: ${payload.passportExpiryDate}`);
+  if (payload.maritalStatus) d.push(`Marital Status: ${payload.maritalStatus}`);
+  if (payload.numDependents) d.push(`Number of Dependents: ${payload.numDependents}`);
+  if (payload.applicantAddress) d.push(`Address: ${payload.applicantAddress}`);
+  if (payload.contactPhone) d.push(`Phone: ${payload.contactPhone}`);
+  if (payload.contactEmail) d.push(`Email: ${payload.contactEmail}`);
+
+  d.push(`Destination: ${payload.destination}`);
+  d.push(`Visa Type: ${payload.visaType}`);
+  if (payload.travelDates) d.push(`Travel Dates: ${payload.travelDates}`);
+  if (payload.entryDate) d.push(`Entry Date: ${payload.entryDate}`);
+  if (payload.stayDuration) d.push(`Duration of Stay: ${payload.stayDuration}`);
+  d.push(`Purpose of Travel: ${payload.purpose}`);
+  if (payload.invited) d.push(`Invited by someone?: ${payload.invited}`);
+  if (payload.inviterName) d.push(`Inviter Name: ${payload.inviterName}`);
+  if (payload.inviterAddress) d.push(`Inviter Address: ${payload.inviterAddress}`);
+  if (payload.inviterRelationship) d.push(`Inviter Relationship: ${payload.inviterRelationship}`);
+  if (payload.inviterDocs) d.push(`Inviter Documents: ${payload.inviterDocs}`);
+  if (payload.stayDetails) d.push(`Accommodation/Host Details: ${payload.stayDetails}`);
+  if (payload.travelItinerary) d.push(`Travel Itinerary: ${payload.travelItinerary}`);
+
+  if (payload.occupation) d.push(`Occupation: ${payload.occupation}`);
+  if (payload.employerName) d.push(`Employer/Business Name: ${payload.employerName}`);
+  if (payload.employerAddress) d.push(`Employer/Business Address: ${payload.employerAddress}`);
+  if (payload.employmentDuration) d.push(`Employment Duration: ${payload.employmentDuration}`);
+  d.push(`Monthly Income: ${payload.income}`);
+  if (payload.otherIncome) d.push(`Other Income: ${payload.otherIncome}`);
+  if (payload.funding) d.push(`Funding Source: ${payload.funding}`);
+  if (payload.bankStatementDetails) d.push(`Bank Statement Details: ${payload.bankStatementDetails}`);
+  if (payload.significantTransactions) d.push(`Significant Transactions: ${payload.significantTransactions}`);
+  if (payload.monthlyExpenses) d.push(`Monthly Expenses: ${payload.monthlyExpenses}`);
+  if (payload.currentBankBalance) d.push(`Current Bank Balance: ${payload.currentBankBalance}`);
+  if (payload.averageBalance) d.push(`Average Balance (6 months): ${payload.averageBalance}`);
+  if (payload.salaryCredits) d.push(`Salary Credits: ${payload.salaryCredits}`);
+  if (payload.estimatedTripCost) d.push(`Estimated Trip Cost: ${payload.estimatedTripCost}`);
+
+  if (payload.accommodation) d.push(`Accommodation: ${payload.accommodation}`);
+  if (payload.documents) d.push(`Supporting Documents: ${payload.documents}`);
+
+  if (payload.propertyDetails) d.push(`Property Details: ${payload.propertyDetails}`);
+  if (payload.businessCommitments) d.push(`Business/Employment Commitments: ${payload.businessCommitments}`);
+  if (payload.familyDependents) d.push(`Family/Dependents: ${payload.familyDependents}`);
+  if (payload.otherCommitments) d.push(`Other Commitments: ${payload.otherCommitments}`);
+
+  if (payload.travelHistory) d.push(`Travel History: ${payload.travelHistory}`);
+  if (payload.visaRefusals) d.push(`Visa Refusals: ${payload.visaRefusals}`);
+  if (payload.validVisas) d.push(`Valid Visas: ${payload.validVisas}`);
+
+  if (payload.sponsorSelf) d.push(`Self-sponsored: ${payload.sponsorSelf}`);
+  if (payload.sponsorName) d.push(`Sponsor Name: ${payload.sponsorName}`);
+  if (payload.sponsorRelationship) d.push(`Sponsor Relationship: ${payload.sponsorRelationship}`);
+  if (payload.sponsorOccupation) d.push(`Sponsor Occupation: ${payload.sponsorOccupation}`);
+  if (payload.sponsorIncome) d.push(`Sponsor Income: ${payload.sponsorIncome}`);
+  if (payload.sponsorAccommodation) d.push(`Sponsor Accommodation Provided?: ${payload.sponsorAccommodation}`);
+  if (payload.sponsorDocs) d.push(`Sponsor Documents: ${payload.sponsorDocs}`);
+
+  if (payload.specialEvents) d.push(`Special Events/Extras: ${payload.specialEvents}`);
+  if (payload.compellingReasons) d.push(`Compelling Reasons: ${payload.compellingReasons}`);
+  if (payload.supportingLetters) d.push(`Supporting Letters/Docs: ${payload.supportingLetters}`);
+  if (payload.potentialWeaknesses) d.push(`Potential Weaknesses: ${payload.potentialWeaknesses}`);
+
+  d.push(`Company: ${payload.companyName}`);
+  if (payload.embassyName) d.push(`Embassy Name: ${payload.embassyName}`);
+  if (payload.embassyAddress) d.push(`Embassy Address: ${payload.embassyAddress}`);
+
+  return d;
+}
+
+// ------------------------ Generation ------------------------
+function isStrict(b) {
+  return VERIFY_STRICT || b.strictVerification === true || String(b.strictVerification).toLowerCase() === 'true';
+}
+
+// Why a reviewed letter must not be returned, or null
+function rejectionReason(gen, strict) {
+  if (strict && !gen.verification.passed) return 'Letter failed fact verification';
+  if (VERBATIM_REJECT && gen.compliance.copied.length) return 'Letter copies sample text verbatim';
+  return null;
+}
+
+// Prompt size as a log line (content stays out of the logs)
+function logPrompt(messages) {
+  const text = messages.map((m) => m.content).join('\n');
+  log.info('prompt.built', { messages: messages.length, chars: text.length, estimatedTokens: estimateTokens(text) });
+}
+
+// A letter is about to be returned: count it under the model that answered
+function logLetter(result, { verification, compliance }) {
+  lettersGenerated.inc({ provider: result.provider, model: result.model, fallback: String(result.fallback) });
+  log.info('letter.generated', {
+    provider: result.provider,
+    model: result.model,
+    fallback: result.fallback,
+    verified: verification.passed,
+    compliant: compliance.passed,
+    usage: usageSummary(),
+  });
+}
+
+// Prompt build + reviewed generation for an already-validated payload
+async function runGeneration(submitted, { strict = false } = {}) {
+  const payload = withPackDefaults(submitted);
+  const messages = buildMessages(buildDetailLines(payload), payload);
+  logPrompt(messages);
+  const { result, verification, compliance } = await metered(() => generateReviewedLetter(messages, payload, { strict }));
+  logLetter(result, { verification, compliance });
+  return { payload, messages, result, verification, compliance };
+}
+
+// What outcome analytics group a letter by: the scenario its prompt was built for
+function letterFeatures(payload) {
+  const SOP = getSOP();
+  const s = deriveScenario(buildDetailLines(payload), payload);
+  return {
+    applicationType: s.selection.applicationType,
+    sponsored: s.sponsored,
+    selfEmployed: s.selfEmployed,
+    visaType: clean(payload.visaType) || null,
+    destination: clean(payload.destination) || null,
+    tone: s.tone,
+    minis: selectMinis(SOP, s.selection).map((m) => (m.meta.version ? `${m.name}@v${m.meta.version}` : m.name)),
+    rationale: buildRationalePoints(payload, s.appType).map((c) => c.id),
+    sopVersion: SOP.version,
+  };
+}
+
+// File a returned letter for outcome tracking -> its letterId. A failed write is logged, never fails the generation.
+async function recordLetter({ payload, result }, source, { caseId } = {}) {
+  try {
+    const record = await outcomeStore.create({
+      tenantId: currentTenant()?.id,
+      source,
+      provider: result.provider,
+      model: result.model,
+      features: letterFeatures(payload),
+      caseId,
+      jobId: requestContext.getStore()?.jobId,
+      row: requestContext.getStore()?.row,
+    });
+    return record.id;
+  } catch (err) {
+    log.error('outcome.failed', { action: 'filing letter', error: err });
+    return undefined;
+  }
+}
+
+// File a case letter, add it to the case as the next version, then note that version on the filed letter
+async function addCaseVersion(caseId, gen, source, version) {
+  const letterId = await recordLetter(gen, source, { caseId });
+  const v = await caseStore.addVersion(caseId, { ...version, letterId });
+  if (letterId) {
+    await outcomeStore.setVersion(letterId, v.version).catch((err) => log.error('outcome.failed', { action: 'linking case version', error: err }));
+  }
+  return v;
+}
+
+// What a case keeps for each generated letter
+function caseVersionFrom(gen, source) {
+  return {
+    letter: gen.result.letter,
+    provider: gen.result.provider,
+    model: gen.result.model,
+    messages: gen.messages,
+    source,
+    verification: { passed: gen.verification.passed, flags: gen.verification.flags },
+    compliance: {
+      passed: gen.compliance.passed,
+      failed: gen.compliance.rules.filter((r) => r.status === 'fail').map((r) => r.id),
+    },
+  };
+}
 
 // ------------------------ Main Endpoint ------------------------
-app.post('/generate-letter', async (req, res) => {
+// Optional: language ('fr' | 'de' | 'es' | 'pt' | 'it', default 'en') and bilingual (translation + English).
+// verification/compliance always describe the English letter the translation was made from.
+app.post('/generate-letter', idempotent, requireQuota, async (req, res) => {
   try {
     const b = req.body || {};
+    const payload = payloadFrom(b);
+
+    const errors = validatePayload(payload);
+    const language = resolveLanguage(b.language);
+    if (!language) errors.push({ field: 'language', code: 'enum', message: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` });
+    if (errors.length) return sendValidationError(res, errors);
+    if (language !== 'en' && provider.name === 'template') {
+      return res.status(501).json({ error: 'Translations need a language model; MODEL_PROVIDER is "template".' });
+    }
+    const bilingual = b.bilingual === true || String(b.bilingual).toLowerCase() === 'true';
+
+    // Optional: file the letter as a new version of an existing case
+    const caseId = clean(b.caseId);
+    if (caseId) await getCase(caseId);
+
+    const strict = isStrict(b);
+    const gen = await runGeneration(payload, { strict });
+    const { result, verification, compliance } = gen;
+    const rejected = rejectionReason(gen, strict);
+    if (rejected) return res.status(422).json({ code: 'letter_rejected', error: rejected, verification, compliance });
+
+    const rebuttal = detectApplicationType(payload) === 'Reapplication' ? rebuttalPlan(payload) : null;
+    const translation = language !== 'en' ? await translateLetter(result.letter, payload, language) : null;
+    const letter = !translation ? result.letter : bilingual ? bilingualLetter(translation.letter, result.letter) : translation.letter;
+
+    let letterId;
+    let version;
+    if (caseId) {
+      await caseStore.updatePayload(caseId, payload);
+      const stored = caseVersionFrom({ ...gen, result: { ...result, letter } }, 'generate-letter');
+      ({ version, letterId } = await addCaseVersion(caseId, gen, 'generate-letter', { ...stored, language: translation ? language : undefined }));
+    } else {
+      letterId = await recordLetter(gen, 'generate-letter');
+    }
 
-    const payload = {
-      // Optional explicit app type (frontend may or may not send this)
-      applicationType: clean(b.applicationType),
-
-      // Personal
-      name: clean(b.name),
-      age: clean(b.age),
-      nationality: clean(b.nationality),
-      applicantAddress: clean(b.applicantAddress),
-      contactPhone: clean(b.contactPhone),
-      contactEmail: clean(b.contactEmail),
-      dateOfBirth: clean(b.dateOfBirth),
-      passportNumber: clean(b.passportNumber),
-      passportIssueDate: clean(b.passportIssueDate),
-      passportExpiryDate: clean(b.passportExpiryDate),
-      maritalStatus: clean(b.maritalStatus),
-      numDependents: clean(b.numDependents),
-
-      // Travel
-      destination: clean(b.destination),
-      visaType: clean(b.visaType),
-      purpose: clean(b.purpose),
-      travelDates: clean(b.travelDates),
-      entryDate: clean(b.entryDate),
-      stayDuration: clean(b.stayDuration),
-      invited: clean(b.invited),
-      inviterName: clean(b.inviterName),
-      inviterAddress: clean(b.inviterAddress),
-      inviterRelationship: clean(b.inviterRelationship),
-      inviterDocs: clean(b.inviterDocs),
-      stayDetails: clean(b.stayDetails),
-      travelItinerary: clean(b.travelItinerary),
-
-      // Employment & Finances
-      occupation: clean(b.occupation),
-      employerName: clean(b.employerName),
-      employerAddress: clean(b.employerAddress),
-      employmentDuration: clean(b.employmentDuration),
-      income: clean(b.income),
-      otherIncome: clean(b.otherIncome),
-      funding: clean(b.funding),
-      bankStatementDetails: clean(b.bankStatementDetails),
-      significantTransactions: clean(b.significantTransactions),
-      monthlyExpenses: clean(b.monthlyExpenses),
-      currentBankBalance: clean(b.currentBankBalance),
-      estimatedTripCost: clean(b.estimatedTripCost),
-
-      // Ties
-      propertyDetails: clean(b.propertyDetails),
-      businessCommitments: clean(b.businessCommitments),
-      familyDependents: clean(b.familyDependents),
-      otherCommitments: clean(b.otherCommitments),
-
-      // History
-      travelHistory: clean(b.travelHistory),
-      visaRefusals: clean(b.visaRefusals),
-      validVisas: clean(b.validVisas),
-
-      // Sponsor
-      sponsorSelf: clean(b.sponsorSelf),
-      sponsorName: clean(b.sponsorName),
-      sponsorRelationship: clean(b.sponsorRelationship),
-      sponsorOccupation: clean(b.sponsorOccupation),
-      sponsorIncome: clean(b.sponsorIncome),
-      sponsorAccommodation: clean(b.sponsorAccommodation),
-      sponsorDocs: clean(b.sponsorDocs),
-
-      // Additional
-      specialEvents: clean(b.specialEvents),
-      compellingReasons: clean(b.compellingReasons),
-      supportingLetters: clean(b.supportingLetters),
-      potentialWeaknesses: clean(b.potentialWeaknesses),
-
-      // Branding / consular
-      accommodation: clean(b.accommodation),
-      documents: clean(b.documents),
-      embassyName: clean(b.embassyName),
-      embassyAddress: clean(b.embassyAddress),
-      companyName: clean(b.companyName) || 'No Guide Travel Agent',
-    };
+    return res.json({
+      letter,
+      letterId,
+      provider: result.provider,
+      model: result.model,
+      language,
+      ...(translation ? { bilingual, english: result.letter, translation: translation.report } : {}),
+      verification,
+      compliance,
+      affordability: affordabilityFor(payload),
+      ...(rebuttal ? { rebuttal } : {}),
+      usage: usageSummary(),
+      ...(caseId ? { caseId, version } : {}),
+    });
+  } catch (err) {
+    logFailure('letter.failed', err);
+    return sendError(res, err, 'Failed to generate letter');
+  }
+});
+
+// ------------------------ Streaming Endpoint ------------------------
+// Events: attempt {provider, model, fallback} · token {text} · fallback {from, to, reason, discard}
+//         done {letter, letterId, provider, model, fallback, verification, compliance, usage} · error {error, code, retryable, detail, requestId}
+// A letter that strictVerification or VERBATIM_REJECT rejects ends in error {code: 'letter_rejected', verification, compliance}
+// instead of done. With an Idempotency-Key, a finished letter replays as attempt + one token event + done
+app.post('/generate-letter/stream', idempotent, requireQuota, async (req, res) => {
+  const b = req.body || {};
+  const submitted = payloadFrom(b);
+
+  // Validation errors stay plain JSON so the client can handle them like /generate-letter
+  const errors = validatePayload(submitted);
+  if (errors.length) return sendValidationError(res, errors);
+  const payload = withPackDefaults(submitted);
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    // Required core fields
-    const required = ['name', 'age', 'nationality', 'destination', 'visaType', 'purpose', 'income'];
-    const missing = required.filter((k) => !payload[k]);
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(sseEvent(event, data));
+  };
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => !res.writableEnded && res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
 
-    // Sponsor sanity: if sponsored intent but key fields missing
-    if (isSponsoredPayload({ ...payload })) {
-      if (!payload.sponsorName) missing.push('sponsorName (required when funding involves a sponsor/family/employer)');
-      if (!payload.sponsorRelationship) missing.push('sponsorRelationship (required when funding involves a sponsor/family)');
+  try {
+    const messages = buildMessages(buildDetailLines(payload), payload);
+    logPrompt(messages);
+    const result = await metered(() => streamLetter(messages, payload, {
+      signal: controller.signal,
+      onAttempt: (a) => send('attempt', a),
+      onToken: (text) => send('token', { text }),
+      onFallback: (f) => send('fallback', f),
+    }));
+
+    // Report-only review: repairs/strict regeneration would re-stream the letter
+    const verification = verifyFacts(result.letter, payload);
+    const compliance = checkCompliance(result.letter, { ...reviewContext(payload), verification });
+    logLetter(result, { verification, compliance });
+    const rejected = rejectionReason({ verification, compliance }, isStrict(b));
+    if (rejected) {
+      const event = errorFields(422, { code: 'letter_rejected', error: rejected, verification, compliance }, req.ctx.requestId);
+      res.locals.keepStreamed?.(event, 422);
+      send('error', event);
+      return;
     }
-    if (missing.length) {
-      return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+    const letterId = await recordLetter({ payload, result }, 'generate-letter/stream');
+    const done = { ...result, letterId, verification, compliance, usage: usageSummary() };
+    res.locals.keepStreamed?.(done);
+    send('done', done);
+  } catch (err) {
+    if (!err?.aborted) {
+      logFailure('letter.failed', err, { stream: true });
+      const { status, body } = errorResponse(err, 'Failed to generate letter');
+      send('error', errorFields(status, body, req.ctx.requestId));
     }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// ------------------------ Assessment Endpoint ------------------------
+// POST /assess (same body as /generate-letter) -> { assessment, affordability }; never calls a model
+app.post('/assess', (req, res) => {
+  const payload = payloadFrom(req.body || {});
+  const errors = validatePayload(payload);
+  if (errors.length) return sendValidationError(res, errors);
+  const affordability = affordabilityFor(payload);
+  return res.json({ assessment: assessCase(payload, { affordability, pack: packFor(payload) }), affordability });
+});
+
+// ------------------------ Refusal Notice Endpoint ------------------------
+// POST /parse-refusal { notice, ...payload } -> { source, format, grounds, unanswered, summary }
+// notice defaults to the payload's refusalNotice, then visaRefusals; the payload fields are the evidence
+// each ground is matched against (a partial payload is fine — nothing is generated).
+app.post('/parse-refusal', (req, res) => {
+  const b = req.body || {};
+  const notice = clean(b.notice);
+  const payload = payloadFrom(notice ? { ...b, refusalNotice: notice } : b);
+  const plan = rebuttalPlan(payload);
+  if (!plan) return res.status(400).json({ error: 'Missing required fields: notice' });
+  return res.json({ ...plan, summary: plan.source === 'refusalNotice' ? refusalSummary(payload.refusalNotice) : payload.visaRefusals });
+});
+
+// ------------------------ Bank Statement Endpoint ------------------------
+function statementThresholds(override) {
+  const th = { ...STATEMENT_THRESHOLDS };
+  for (const [key, value] of Object.entries(override && typeof override === 'object' ? override : {})) {
+    if (!(key in th)) throw Object.assign(new Error(`Unknown threshold "${key}" (expected ${Object.keys(th).join(', ')})`), { status: 400 });
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw Object.assign(new Error(`Threshold ${key} must be a non-negative number`), { status: 400 });
+    th[key] = n;
+  }
+  return th;
+}
+
+// POST /bank-statement { data, format?: 'csv'|'ofx', thresholds?, payload?, overwrite? }
+//   -> { profile, fields, flags, payload?, filled? }
+// (or the raw file with Content-Type text/csv / application/x-ofx). fields = what the statement fills in;
+// with a payload, only its empty fields are filled unless overwrite is true. Large deposits come back as
+// flags for staff to explain — they are never written into the payload.
+app.post('/bank-statement', express.text({ type: ['text/csv', 'application/x-ofx', 'application/ofx'], limit: '5mb' }), (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const b = raw ? {} : req.body || {};
+    const data = raw ? req.body : b.data;
+    if (!clean(data)) return res.status(400).json({ error: 'Missing required fields: data' });
+
+    const thresholds = statementThresholds(b.thresholds);
+    const statement = parseStatement(String(data), { format: raw ? (req.is('text/csv') ? 'csv' : 'ofx') : clean(b.format) });
+    const profile = financialProfile(statement, thresholds);
+    const fields = profileFields(profile);
+    const flags = depositFlags(profile);
+    if (!b.payload || typeof b.payload !== 'object') return res.json({ profile, fields, flags });
+
+    const overwrite = b.overwrite === true || String(b.overwrite).toLowerCase() === 'true';
+    const filled = Object.keys(fields).filter((k) => overwrite || !clean(b.payload[k]));
+    const payload = payloadFrom({ ...b.payload, ...Object.fromEntries(filled.map((k) => [k, fields[k]])) });
+    return res.json({ profile, fields, flags, payload, filled });
+  } catch (err) {
+    logFailure('bank_statement.failed', err);
+    return sendError(res, err, 'Failed to import bank statement');
+  }
+});
 
-    // Build detail lines for the prompt
-    const d = [];
-    const appType = detectApplicationType(payload);
-    d.push(`Application Type: ${appType}`);
-
-    d.push(`Full Name: ${payload.name}`);
-    d.push(`Age: ${payload.age}`);
-    d.push(`Nationality: ${payload.nationality}`);
-    if (payload.dateOfBirth) d.push(`Date of Birth: ${payload.dateOfBirth}`);
-    if (payload.passportNumber) d.push(`Passport Number: ${payload.passportNumber}`);
-    if (payload.passportIssueDate) d.push(`Passport Issue Date: ${payload.passportIssueDate}`);
-    if (payload.passportExpiryDate) d.push(`Passport Expiry Date: ${payload.passportExpiryDate}`);
-    if (payload.maritalStatus) d.push(`Marital Status: ${payload.maritalStatus}`);
-    if (payload.numDependents) d.push(`Number of Dependents: ${payload.numDependents}`);
-    if (payload.applicantAddress) d.push(`Address: ${payload.applicantAddress}`);
-    if (payload.contactPhone) d.push(`Phone: ${payload.contactPhone}`);
-    if (payload.contactEmail) d.push(`Email: ${payload.contactEmail}`);
-
-    d.push(`Destination: ${payload.destination}`);
-    d.push(`Visa Type: ${payload.visaType}`);
-    if (payload.travelDates) d.push(`Travel Dates: ${payload.travelDates}`);
-    if (payload.entryDate) d.push(`Entry Date: ${payload.entryDate}`);
-    if (payload.stayDuration) d.push(`Duration of Stay: ${payload.stayDuration}`);
-    d.push(`Purpose of Travel: ${payload.purpose}`);
-    if (payload.invited) d.push(`Invited by someone?: ${payload.invited}`);
-    if (payload.inviterName) d.push(`Inviter Name: ${payload.inviterName}`);
-    if (payload.inviterAddress) d.push(`Inviter Address: ${payload.inviterAddress}`);
-    if (payload.inviterRelationship) d.push(`Inviter Relationship: ${payload.inviterRelationship}`);
-    if (payload.inviterDocs) d.push(`Inviter Documents: ${payload.inviterDocs}`);
-    if (payload.stayDetails) d.push(`Accommodation/Host Details: ${payload.stayDetails}`);
-    if (payload.travelItinerary) d.push(`Travel Itinerary: ${payload.travelItinerary}`);
-
-    if (payload.occupation) d.push(`Occupation: ${payload.occupation}`);
-    if (payload.employerName) d.push(`Employer/Business Name: ${payload.employerName}`);
-    if (payload.employerAddress) d.push(`Employer/Business Address: ${payload.employerAddress}`);
-    if (payload.employmentDuration) d.push(`Employment Duration: ${payload.employmentDuration}`);
-    d.push(`Monthly Income: ${payload.income}`);
-    if (payload.otherIncome) d.push(`Other Income: ${payload.otherIncome}`);
-    if (payload.funding) d.push(`Funding Source: ${payload.funding}`);
-    if (payload.bankStatementDetails) d.push(`Bank Statement Details: ${payload.bankStatementDetails}`);
-    if (payload.significantTransactions) d.push(`Significant Transactions: ${payload.significantTransactions}`);
-    if (payload.monthlyExpenses) d.push(`Monthly Expenses: ${payload.monthlyExpenses}`);
-    if (payload.currentBankBalance) d.push(`Current Bank Balance: ${payload.currentBankBalance}`);
-    if (payload.estimatedTripCost) d.push(`Estimated Trip Cost: ${payload.estimatedTripCost}`);
-
-    if (payload.accommodation) d.push(`Accommodation: ${payload.accommodation}`);
-    if (payload.documents) d.push(`Supporting Documents: ${payload.documents}`);
-
-    if (payload.propertyDetails) d.push(`Property Details: ${payload.propertyDetails}`);
-    if (payload.businessCommitments) d.push(`Business/Employment Commitments: ${payload.businessCommitments}`);
-    if (payload.familyDependents) d.push(`Family/Dependents: ${payload.familyDependents}`);
-    if (payload.otherCommitments) d.push(`Other Commitments: ${payload.otherCommitments}`);
-
-    if (payload.travelHistory) d.push(`Travel History: ${payload.travelHistory}`);
-    if (payload.visaRefusals) d.push(`Visa Refusals: ${payload.visaRefusals}`);
-    if (payload.validVisas) d.push(`Valid Visas: ${payload.validVisas}`);
-
-    if (payload.sponsorSelf) d.push(`Self-sponsored: ${payload.sponsorSelf}`);
-    if (payload.sponsorName) d.push(`Sponsor Name: ${payload.sponsorName}`);
-    if (payload.sponsorRelationship) d.push(`Sponsor Relationship: ${payload.sponsorRelationship}`);
-    if (payload.sponsorOccupation) d.push(`Sponsor Occupation: ${payload.sponsorOccupation}`);
-    if (payload.sponsorIncome) d.push(`Sponsor Income: ${payload.sponsorIncome}`);
-    if (payload.sponsorAccommodation) d.push(`Sponsor Accommodation Provided?: ${payload.sponsorAccommodation}`);
-    if (payload.sponsorDocs) d.push(`Sponsor Documents: ${payload.sponsorDocs}`);
-
-    if (payload.specialEvents) d.push(`Special Events/Extras: ${payload.specialEvents}`);
-    if (payload.compellingReasons) d.push(`Compelling Reasons: ${payload.compellingReasons}`);
-    if (payload.supportingLetters) d.push(`Supporting Letters/Docs: ${payload.supportingLetters}`);
-    if (payload.potentialWeaknesses) d.push(`Potential Weaknesses: ${payload.potentialWeaknesses}`);
-
-    d.push(`Company: ${payload.companyName}`);
-    if (payload.embassyName) d.push(`Embassy Name: ${payload.embassyName}`);
-    if (payload.embassyAddress) d.push(`Embassy Address: ${payload.embassyAddress}`);
-
-    const messages = buildMessages(d, payload);
-    const letter = await createLetter(messages);
-    if (!letter) return res.status(502).json({ error: 'The AI returned no content.' });
-
-    return res.json({ letter });
+// ------------------------ Export Endpoint ------------------------
+// POST /export-letter { letter, format: 'pdf' | 'docx', payload? } -> file download
+app.post('/export-letter', async (req, res) => {
+  try {
+    const b = req.body || {};
+    const letter = clean(b.letter);
+    if (!letter) return res.status(400).json({ error: 'Missing required fields: letter' });
+
+    const payload = payloadFrom(b.payload || {});
+    const file = await exportLetter((clean(b.format) || 'pdf').toLowerCase(), letter, payload, { letterhead: letterheadLines(currentTenant()) });
+    const base = `cover_letter_${(payload.name || 'applicant').replace(/[^\w-]+/g, '_')}`;
+    res.set({
+      'Content-Type': file.mime,
+      'Content-Disposition': `attachment; filename="${base}.${file.ext}"`,
+    });
+    return res.send(file.buffer);
   } catch (err) {
-    console.error('Error generating letter:', err?.message || err);
-    const status = err?.status || err?.statusCode || 500;
-    return res.status(status).json({
-      error: 'Failed to generate letter',
-      detail: err?.message || 'unknown_error',
+    logFailure('export.failed', err);
+    return sendError(res, err, 'Failed to export letter');
+  }
+});
+
+// ------------------------ Revision Endpoint ------------------------
+// POST /revise-letter { letter, payload, instructions, section?, caseId?, strictVerification? }
+// -> { letter, letterId, diff, section, verification, compliance, introducedFlags, caseId?, version? }
+app.post('/revise-letter', idempotent, requireQuota, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const letter = clean(b.letter);
+    const instructions = clean(b.instructions);
+    const caseId = clean(b.caseId);
+    const c = caseId ? await getCase(caseId) : null;
+    const submitted = b.payload ? payloadFrom(b.payload) : c ? c.payload : null;
+
+    const required = (field) => ({ field, code: 'required', message: `${field} is required` });
+    const errors = [];
+    if (!letter) errors.push(required('letter'));
+    if (!instructions) errors.push(required('instructions'));
+    if (!submitted) errors.push(required('payload'));
+    else errors.push(...validatePayload(submitted));
+    if (errors.length) return sendValidationError(res, errors);
+    const payload = withPackDefaults(submitted);
+    if (provider.name === 'template') {
+      return res.status(501).json({ error: 'Revisions need a language model; MODEL_PROVIDER is "template".' });
+    }
+
+    // Optional scope: resolve to one paragraph of the current letter
+    let target = null;
+    if (clean(b.section)) {
+      const key = resolveSection(b.section);
+      target = key && findSectionParagraph(letter, key);
+      if (!target) return res.status(400).json({ error: `Could not find section "${b.section}" in the letter` });
+    }
+
+    const base = buildMessages(buildDetailLines(payload), payload);
+    const messages = buildRevisionMessages(base, letter, instructions, target);
+    const result = await metered(() => createLetter(messages, payload, { allowTemplate: false }));
+
+    const revised = target ? spliceParagraph(letter, target, result.letter) : result.letter;
+    if (!revised) return res.status(502).json({ error: 'Could not apply the revised section to the letter' });
+
+    // Same SOP checks as a fresh letter; flags the original did not have were introduced by the edit
+    const before = verifyFacts(letter, payload);
+    const verification = verifyFacts(revised, payload);
+    const introducedFlags = verification.flags.filter((f) => !before.flags.some((o) => o.type === f.type && o.value === f.value));
+    const compliance = checkCompliance(revised, { ...reviewContext(payload), verification });
+    if (isStrict(b) && introducedFlags.some((f) => f.severity === 'error')) {
+      return res.status(422).json({ code: 'letter_rejected', error: 'Revision introduced facts not in the payload', verification, introducedFlags });
+    }
+
+    // A revision is a letter of its own: its outcome is recorded against it, not the draft it came from
+    const gen = { payload, messages, result: { ...result, letter: revised }, verification, compliance };
+    let letterId;
+    let version;
+    if (c) ({ version, letterId } = await addCaseVersion(c.id, gen, 'revise-letter', caseVersionFrom(gen, 'revise-letter')));
+    else letterId = await recordLetter(gen, 'revise-letter');
+
+    return res.json({
+      letter: revised,
+      letterId,
+      diff: diffLines(letter, revised),
+      section: target ? { key: target.key, index: target.index } : null,
+      provider: result.provider,
+      model: result.model,
+      verification,
+      introducedFlags,
+      compliance,
+      ...(c ? { caseId: c.id, version } : {}),
     });
+  } catch (err) {
+    logFailure('revision.failed', err);
+    return sendError(res, err, 'Failed to revise letter');
   }
 });
 
-// ------------------------ Start ------------------------
-app.listen(PORT, () => {
-  console.log(`✅ Visa Letter API (SOP-STRICT + Rationale) listening on http://localhost:${PORT}`);
+// ------------------------ Cases ------------------------
+function sendCaseError(res, err, what) {
+  const status = err?.status || 500;
+  if (status >= 500) log.error('case.failed', { action: what, error: err });
+  return sendError(res, err, status === 404 ? 'Case not found' : `Failed ${what}`);
+}
+
+// Another tenant's case is indistinguishable from a missing one
+const ownedBy = (record, tenant = currentTenant()) => !tenant || record.tenantId === tenant.id;
+
+async function getCase(id) {
+  const c = await caseStore.get(id);
+  if (!ownedBy(c)) throw Object.assign(new Error(`Case not found: ${id}`), { status: 404 });
+  return c;
+}
+
+app.use('/cases/:id', (req, res, next) => {
+  getCase(req.params.id).then(() => next(), (err) => sendCaseError(res, err, 'reading case'));
+});
+
+app.get('/cases', async (_req, res) => {
+  try {
+    return res.json({ cases: (await caseStore.list()).filter((c) => ownedBy(c)) });
+  } catch (err) {
+    return sendCaseError(res, err, 'listing cases');
+  }
+});
+
+// POST /cases { payload, notes?: [{ text, author }] } — payload may be incomplete (draft)
+app.post('/cases', async (req, res) => {
+  try {
+    const b = req.body || {};
+    if (!b.payload || typeof b.payload !== 'object') return res.status(400).json({ error: 'Missing required fields: payload' });
+    const notes = (Array.isArray(b.notes) ? b.notes : [])
+      .map((n) => ({ text: clean(n && n.text), author: clean(n && n.author) }))
+      .filter((n) => n.text);
+    const c = await caseStore.create({ payload: payloadFrom(b.payload), notes, tenantId: currentTenant()?.id });
+    return res.status(201).json(c);
+  } catch (err) {
+    return sendCaseError(res, err, 'creating case');
+  }
+});
+
+app.get('/cases/:id', async (req, res) => {
+  try {
+    return res.json(await caseStore.get(req.params.id));
+  } catch (err) {
+    return sendCaseError(res, err, 'reading case');
+  }
+});
+
+// PATCH /cases/:id { payload } — merges into the stored payload
+app.patch('/cases/:id', async (req, res) => {
+  try {
+    const b = req.body || {};
+    if (!b.payload || typeof b.payload !== 'object') return res.status(400).json({ error: 'Missing required fields: payload' });
+    const current = await caseStore.get(req.params.id);
+    const c = await caseStore.updatePayload(req.params.id, payloadFrom({ ...current.payload, ...b.payload }));
+    return res.json(c);
+  } catch (err) {
+    return sendCaseError(res, err, 'updating case');
+  }
 });
+
+app.delete('/cases/:id', async (req, res) => {
+  try {
+    await caseStore.remove(req.params.id);
+    return res.status(204).end();
+  } catch (err) {
+    return sendCaseError(res, err, 'deleting case');
+  }
+});
+
+// POST /cases/:id/notes { text, author? }
+app.post('/cases/:id/notes', async (req, res) => {
+  try {
+    const text = clean((req.body || {}).text);
+    if (!text) return res.status(400).json({ error: 'Missing required fields: text' });
+    const note = await caseStore.addNote(req.params.id, { text, author: clean(req.body.author) });
+    return res.status(201).json(note);
+  } catch (err) {
+    return sendCaseError(res, err, 'adding note');
+  }
+});
+
+// POST /cases/:id/generate { strictVerification? } — always appends a new version
+app.post('/cases/:id/generate', idempotent, requireQuota, async (req, res) => {
+  try {
+    const c = await caseStore.get(req.params.id);
+    const errors = validatePayload(c.payload);
+    if (errors.length) return sendValidationError(res, errors);
+    const strict = isStrict(req.body || {});
+    const gen = await runGeneration(c.payload, { strict });
+    const rejected = rejectionReason(gen, strict);
+    if (rejected) return res.status(422).json({ code: 'letter_rejected', error: rejected, verification: gen.verification, compliance: gen.compliance });
+    const version = await addCaseVersion(c.id, gen, 'case-generate', caseVersionFrom(gen, 'case-generate'));
+    return res.status(201).json({ ...version, verification: gen.verification, compliance: gen.compliance });
+  } catch (err) {
+    return sendCaseError(res, err, 'generating letter');
+  }
+});
+
+app.get('/cases/:id/versions/:version', async (req, res) => {
+  try {
+    const c = await caseStore.get(req.params.id);
+    const v = c.versions.find((x) => String(x.version) === req.params.version);
+    if (!v) return res.status(404).json({ error: `Version not found: ${req.params.version}` });
+    return res.json(v);
+  } catch (err) {
+    return sendCaseError(res, err, 'reading version');
+  }
+});
+
+// GET /cases/:id/diff?from=1&to=2 (defaults: previous vs latest)
+app.get('/cases/:id/diff', async (req, res) => {
+  try {
+    const errors = ['from', 'to']
+      .filter((field) => req.query[field] !== undefined && !/^\d+$/.test(req.query[field]))
+      .map((field) => ({ field, code: 'format', message: `${field} must be a version number` }));
+    if (errors.length) return sendValidationError(res, errors);
+    const c = await caseStore.get(req.params.id);
+    const last = c.versions.length;
+    const to = parseInt(req.query.to || last, 10);
+    const from = parseInt(req.query.from || to - 1, 10);
+    const a = c.versions.find((x) => x.version === from);
+    const b = c.versions.find((x) => x.version === to);
+    if (!a || !b) return res.status(404).json({ error: `Versions not found: ${from}, ${to}` });
+    return res.json({ from, to, ...diffLines(a.letter, b.letter) });
+  } catch (err) {
+    return sendCaseError(res, err, 'diffing versions');
+  }
+});
+
+// ------------------------ Outcomes ------------------------
+// Each returned letter is filed with its scenario (letterId); staff record the embassy's decision when it arrives
+const outcomeStore = createFileOutcomeStore(path.join(DATA_DIR, 'outcomes'));
+
+function sendOutcomeError(res, err, what) {
+  const status = err?.status || 500;
+  if (status >= 500) log.error('outcome.failed', { action: what, error: err });
+  return sendError(res, err, status === 404 ? 'Letter not found' : `Failed ${what}`);
+}
+
+async function getLetter(id) {
+  const r = await outcomeStore.get(id);
+  if (!ownedBy(r)) throw Object.assign(new Error(`Letter not found: ${id}`), { status: 404 });
+  return r;
+}
+
+app.get('/letters/:id', async (req, res) => {
+  try {
+    return res.json(await getLetter(req.params.id));
+  } catch (err) {
+    return sendOutcomeError(res, err, 'loading letter');
+  }
+});
+
+// POST /letters/:id/outcome { decision: approved | refused | withdrawn, decisionDate, grounds? | notice?, note? }
+// Recording again replaces the earlier decision (corrections)
+app.post('/letters/:id/outcome', async (req, res) => {
+  try {
+    const r = await getLetter(req.params.id);
+    const { outcome, errors } = parseOutcome(req.body || {}, { today: new Date().toISOString().slice(0, 10), notBefore: r.createdAt.slice(0, 10) });
+    if (errors.length) return sendValidationError(res, errors);
+    const updated = await outcomeStore.setOutcome(r.id, outcome);
+    outcomesRecorded.inc({ decision: outcome.decision });
+    log.info('outcome.recorded', { letterId: r.id, decision: outcome.decision, grounds: outcome.grounds.map((g) => g.category) });
+    return res.json(updated);
+  } catch (err) {
+    return sendOutcomeError(res, err, 'recording outcome');
+  }
+});
+
+// Report query: since/until (YYYY-MM-DD, letter generation date), minDecided, and any dimension as a filter
+function reportOptions(query) {
+  const errors = [];
+  for (const field of ['since', 'until']) {
+    if (query[field] && !/^\d{4}-\d{2}-\d{2}$/.test(query[field])) errors.push({ field, code: 'format', message: `${field} must be a date (YYYY-MM-DD)` });
+  }
+  const minDecided = query.minDecided === undefined ? 5 : parseInt(query.minDecided, 10);
+  if (!(minDecided >= 1)) errors.push({ field: 'minDecided', code: 'format', message: 'minDecided must be a whole number of at least 1' });
+  const filters = Object.fromEntries(Object.keys(DIMENSIONS).filter((d) => clean(query[d])).map((d) => [d, clean(query[d])]));
+  return { errors, options: { since: query.since, until: query.until, filters, minDecided } };
+}
+
+// GET /outcomes/report -> the calling tenant's approval rates; GET /admin/outcomes/report?tenant= -> any or all tenants
+app.get('/outcomes/report', async (req, res) => {
+  try {
+    const { errors, options } = reportOptions(req.query);
+    if (errors.length) return sendValidationError(res, errors);
+    return res.json(outcomeReport(await outcomeStore.list({ tenantId: currentTenant()?.id }), options));
+  } catch (err) {
+    return sendOutcomeError(res, err, 'building report');
+  }
+});
+
+app.get('/admin/outcomes/report', requireAdmin, async (req, res) => {
+  try {
+    const { errors, options } = reportOptions(req.query);
+    if (errors.length) return sendValidationError(res, errors);
+    const tenantId = clean(req.query.tenant);
+    return res.json({ tenant: tenantId || null, ...outcomeReport(await outcomeStore.list({ tenantId }), options) });
+  } catch (err) {
+    return sendOutcomeError(res, err, 'building report');
+  }
+});
+
+// ------------------------ Companion documents ------------------------
+// GET /documents -> each document type, what it needs, and the SOP template it uses (null = unavailable)
+app.get('/documents', (_req, res) => {
+  const sop = getSOP();
+  return res.json({
+    documents: Object.entries(DOCUMENT_TYPES).map(([type, spec]) => {
+      const template = templateFor(sop, type);
+      return { type, label: spec.label, signatory: spec.signatory, required: spec.required, template: template ? { name: template.name, meta: template.meta } : null };
+    }),
+  });
+});
+
+// Same payload (pack defaults included), same fact check as the cover letter, plus the document's own checks
+async function runDocument(type, submitted, { strict = false } = {}) {
+  const payload = withPackDefaults(submitted);
+  const template = templateFor(getSOP(), type);
+  const messages = buildDocumentMessages(type, payload, template);
+  const gen = await metered(() => generateReviewedLetter(messages, payload, {
+    strict,
+    template: createDocumentTemplateProvider(template),
+    signer: documentSigner(type, payload),
+    structure: { check: (text) => checkDocument(type, text, payload), repair: buildDocumentRepair },
+  }));
+  return { messages, ...gen };
+}
+
+// POST /generate-document { type, ...payload fields, strictVerification? }
+//   or { type, caseId } — built from the case's stored payload (so it matches the case's letters) and filed on the case
+app.post('/generate-document', idempotent, requireQuota, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const type = clean(b.type);
+    if (!DOCUMENT_TYPES[type]) {
+      return sendValidationError(res, [{ field: 'type', code: 'enum', message: `type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` }]);
+    }
+    if (!templateFor(getSOP(), type)) {
+      return res.status(501).json({ error: `No SOP template for ${type}`, detail: `Add document_templates/${type}.txt` });
+    }
+
+    const caseId = clean(b.caseId);
+    const payload = caseId ? (await getCase(caseId)).payload : payloadFrom(b);
+    const errors = [...validatePayload(payload), ...documentErrors(type, payload)];
+    if (errors.length) return sendValidationError(res, errors);
+
+    const strict = isStrict(b);
+    const gen = await runDocument(type, payload, { strict });
+    const { result, verification, compliance: check } = gen;
+    if (strict && !verification.passed) {
+      return res.status(422).json({ code: 'letter_rejected', error: 'Document failed fact verification', verification, check });
+    }
+
+    const filed = caseId
+      ? await caseStore.addDocument(caseId, { type, text: result.letter, provider: result.provider, model: result.model, messages: gen.messages, verification: { passed: verification.passed, flags: verification.flags }, check })
+      : null;
+
+    return res.json({
+      type,
+      label: DOCUMENT_TYPES[type].label,
+      document: result.letter,
+      provider: result.provider,
+      model: result.model,
+      verification,
+      check,
+      ...(filed ? { caseId, number: filed.number } : {}),
+    });
+  } catch (err) {
+    logFailure('document.failed', err);
+    return sendError(res, err, (err?.status || err?.statusCode) === 404 ? 'Case not found' : 'Failed to generate document');
+  }
+});
+
+// ------------------------ Batch jobs ------------------------
+const jobStore = createFileJobStore(path.join(DATA_DIR, 'jobs'));
+const jobRunner = createJobRunner({
+  store: jobStore,
+  concurrency: BATCH_CONCURRENCY,
+  // Rows run outside any request: restore the job owner's tenant context (SOP, usage); each row logs under its own request ID.
+  // The quota is checked per row too: other jobs and interactive requests draw on it while this one is queued
+  // (rows already generating are held against it, see metered()).
+  async generate(payload, options, job, rowNumber) {
+    return runAsTenant(tenantIndex.byId(job.tenantId), async () => {
+      if (quotaLeft() < 1) {
+        throw apiError('quota_exceeded', `Monthly generation quota of ${currentTenant().monthlyQuota} used for ${usage.current(currentTenant().id).month}`);
+      }
+      const gen = await runGeneration(payload, { strict: options.strict });
+      const v = caseVersionFrom(gen, 'batch');
+      const row = { letter: v.letter, provider: v.provider, model: v.model, verification: v.verification, compliance: v.compliance, usage: usageSummary() };
+      const rejected = rejectionReason(gen, options.strict);
+      return rejected ? { ...row, status: 'failed', error: rejected } : { ...row, letterId: await recordLetter(gen, 'batch') };
+    }, { jobId: job.id, row: rowNumber });
+  },
+});
+
+function sendJobError(res, err, what) {
+  const status = err?.status || 500;
+  if (status >= 500) log.error('job.failed', { action: what, error: err });
+  return sendError(res, err, status === 404 ? 'Job not found' : `Failed ${what}`);
+}
+
+async function getJob(id) {
+  const job = await jobStore.get(id);
+  if (!ownedBy(job)) throw Object.assign(new Error(`Job not found: ${id}`), { status: 404 });
+  return job;
+}
+
+// Keep only filled cells so blanks fall back to the group defaults
+function filledValues(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => clean(v) !== undefined));
+}
+
+// POST /jobs { data, format?: 'csv'|'jsonl', defaults?, strictVerification? } -> 202 job summary
+// (or the raw file with Content-Type text/csv / application/x-ndjson; no defaults then)
+app.post('/jobs', express.text({ type: ['text/csv', 'application/x-ndjson', 'application/jsonl'], limit: '5mb' }), async (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const b = raw ? {} : req.body || {};
+    const data = raw ? req.body : b.data;
+    if (!clean(data)) return res.status(400).json({ error: 'Missing required fields: data' });
+    const defaults = b.defaults && typeof b.defaults === 'object' ? b.defaults : {};
+
+    const input = parseBatchInput(String(data), { format: raw ? (req.is('text/csv') ? 'csv' : 'jsonl') : clean(b.format) });
+    if (!input.rows.length) return res.status(400).json({ error: 'No rows found in the upload' });
+    if (input.rows.length > BATCH_MAX_ROWS) {
+      return res.status(413).json({ error: `Too many rows: ${input.rows.length} (BATCH_MAX_ROWS is ${BATCH_MAX_ROWS})` });
+    }
+
+    // Every row is validated up front; invalid rows are reported and never sent to the model
+    const rows = input.rows.map(({ row, values }) => {
+      const payload = payloadFrom({ ...defaults, ...filledValues(values) });
+      const errors = validatePayload(payload);
+      return errors.length ? { row, status: 'invalid', payload, errors } : { row, status: 'pending', payload };
+    });
+    const pending = rows.filter((r) => r.status === 'pending').length;
+    if (pending > quotaLeft()) {
+      return res.status(429).json({ code: 'quota_exceeded', error: 'Monthly generation quota exceeded', detail: `${pending} rows to generate, ${quotaLeft()} generations left this month` });
+    }
+    const job = await jobStore.create({ tenantId: currentTenant()?.id, format: input.format, options: { strict: isStrict(b) }, defaults, warnings: input.warnings, rows });
+    jobRunner.enqueue(job);
+    return res.status(202).json({ ...summariseJob(job), warnings: job.warnings });
+  } catch (err) {
+    return sendJobError(res, err, 'creating job');
+  }
+});
+
+app.get('/jobs', async (_req, res) => {
+  try {
+    return res.json({ jobs: (await jobStore.list()).filter((j) => ownedBy(j)), runner: jobRunner.stats() });
+  } catch (err) {
+    return sendJobError(res, err, 'listing jobs');
+  }
+});
+
+// Per-row status and errors (letters are in the archive)
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    const rows = job.rows.map(({ payload, letter, ...r }) => ({ ...r, name: payload.name, hasLetter: Boolean(letter) }));
+    return res.json({ ...summariseJob(job), warnings: job.warnings, options: job.options, rows });
+  } catch (err) {
+    return sendJobError(res, err, 'reading job');
+  }
+});
+
+// GET /jobs/:id/archive?format=txt|pdf|docx -> ZIP of every generated letter + report.csv + job.json
+app.get('/jobs/:id/archive', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    const format = String(req.query.format || 'txt').toLowerCase();
+    if (!['txt', 'pdf', 'docx'].includes(format)) return res.status(400).json({ error: `Unsupported format "${format}" (expected txt, pdf or docx)` });
+
+    const entries = [];
+    const report = [['row', 'name', 'status', 'file', 'errors', 'verification_passed', 'compliance_failed']];
+    for (const r of job.rows) {
+      const slug = String(r.payload.name || 'applicant').toLowerCase().replace(/[^\w-]+/g, '_');
+      let name = '';
+      if (r.letter) {
+        name = `letters/${String(r.row).padStart(3, '0')}_${slug}.${format}`;
+        const data = format === 'txt' ? r.letter : (await exportLetter(format, r.letter, r.payload, { letterhead: letterheadLines(currentTenant()) })).buffer;
+        entries.push({ name, data });
+      }
+      const errors = r.errors ? r.errors.map((e) => e.message).join('; ') : r.error || '';
+      report.push([r.row, r.payload.name, r.status, name, errors, r.verification ? r.verification.passed : '', r.compliance ? r.compliance.failed.join(' ') : '']);
+    }
+    entries.push({ name: 'report.csv', data: toCsv(report) });
+    entries.push({ name: 'job.json', data: JSON.stringify({ ...summariseJob(job), warnings: job.warnings, options: job.options }, null, 2) });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="batch_${job.id}.zip"`,
+    });
+    return res.send(createZip(entries));
+  } catch (err) {
+    return sendJobError(res, err, 'building archive');
+  }
+});
+
+// ------------------------ Errors ------------------------
+// Body parser failures and anything a route let escape: coded JSON instead of Express's HTML error page
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ code: 'invalid_json', error: 'Request body is not valid JSON', detail: err.message });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large', detail: `Limit is ${err.limit} bytes` });
+  logFailure('request.failed', err);
+  return sendError(res, err, 'Request failed');
+});
+
+// ------------------------ Start ------------------------
+// Required (e.g. by the test suite) it only builds the app; `node server.js` also listens and resumes jobs
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`✅ Visa Letter API (SOP-STRICT + Rationale) listening on http://localhost:${PORT} [${provider.name}/${MODEL_NAME}]`);
+    // Pick up rows that were pending when the server last stopped
+    jobRunner.resume()
+      .then((n) => n && console.log(`🔁 Resumed ${n} unfinished batch job(s)`))
+      .catch((err) => console.error('⚠️ Could not resume batch jobs:', err?.message || err));
+  });
+}
+
+module.exports = { app, payloadFrom, withPackDefaults, buildDetailLines, buildMessages };
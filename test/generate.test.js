@@ -0,0 +1,220 @@
+// End to end: /generate-letter and /generate-letter/stream against the mock model (MODEL_PROVIDER=local).
+// Each fixture must come back as a reviewed letter that states its key facts and passes every structure rule.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, listen } = require('./helpers/server');
+const { loadFixtures } = require('./helpers/fixtures');
+const { createRedactor } = require('../lib/redaction');
+const { startMockModel, mockLetter } = require('./helpers/mock_model');
+const { factCoverage, structureCompliance } = require('./helpers/score');
+
+let mock;
+let server;
+let withPackDefaults;
+let payloadFrom;
+let respond = mockLetter; // swapped per test
+
+before(async () => {
+  mock = await startMockModel({ respond: (messages, request) => respond(messages, request) });
+  const api = loadServer({ MODEL_PROVIDER: 'local', LOCAL_MODEL_BASE_URL: mock.baseURL, FALLBACK_MODEL: '', TEMPLATE_FALLBACK: 'false', MODEL_RETRIES: '0' });
+  ({ withPackDefaults, payloadFrom } = api);
+  server = await listen(api.app);
+});
+
+after(async () => {
+  await server?.close();
+  await mock?.close();
+});
+
+const post = (path, body) => fetch(`${server.baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+// SSE body -> [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter((b) => b.startsWith('event:')).map((block) => {
+    const [, event] = /^event: (.+)$/m.exec(block);
+    const [, data] = /^data: (.+)$/m.exec(block);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+for (const fixture of loadFixtures()) {
+  describe(fixture.name, () => {
+    test('POST /generate-letter returns a reviewed, complete letter', async () => {
+      const seen = mock.requests.length;
+      const res = await post('/generate-letter', fixture.payload);
+      const body = await res.json();
+      assert.equal(res.status, 200, JSON.stringify(body));
+      assert.equal(body.provider, 'local');
+
+      const structure = structureCompliance(body.compliance);
+      assert.deepEqual(structure.failed, []);
+      assert.equal(body.verification.passed, true, JSON.stringify(body.verification.flags));
+      assert.deepEqual(factCoverage(body.letter, withPackDefaults(payloadFrom(fixture.payload))).missing, []);
+      assert.equal(Boolean(body.rebuttal), fixture.expect.applicationType === 'Reapplication');
+
+      // Redacted fields reach the model only as tokens, and come back restored
+      const sent = JSON.stringify(mock.requests.slice(seen));
+      for (const field of ['passportNumber', 'contactEmail', 'contactPhone', 'applicantAddress']) {
+        const value = fixture.payload[field];
+        if (!value) continue;
+        assert.ok(!sent.includes(value), `${field} was sent to the model`);
+        if (field !== 'passportNumber') assert.ok(body.letter.includes(value), `${field} was not restored in the letter`);
+      }
+    });
+  });
+}
+
+test('POST /generate-letter/stream emits the same reviewed letter as tokens', async () => {
+  const [fixture] = loadFixtures();
+  const res = await post('/generate-letter/stream', fixture.payload);
+  assert.equal(res.status, 200);
+  const events = parseEvents(await res.text());
+  const done = events.find((e) => e.event === 'done');
+  assert.ok(done, `no done event: ${JSON.stringify(events.slice(-1))}`);
+  const streamed = events.filter((e) => e.event === 'token').map((e) => e.data.text).join('');
+  assert.equal(streamed.trim(), done.data.letter);
+  assert.ok(!streamed.includes('[['), 'a redaction token leaked into the stream');
+  assert.deepEqual(structureCompliance(done.data.compliance).failed, []);
+});
+
+test('usage, request IDs, /metrics and /health describe the calls made', async () => {
+  const [fixture] = loadFixtures();
+  const res = await fetch(`${server.baseUrl}/generate-letter`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'test-req-1' },
+    body: JSON.stringify(fixture.payload),
+  });
+  const body = await res.json();
+  assert.equal(res.headers.get('x-request-id'), 'test-req-1');
+  assert.equal(body.usage.provider, 'local');
+  assert.equal(body.usage.fallback, false);
+  assert.ok(body.usage.calls >= 1);
+  assert.ok(body.usage.promptTokens > 0 && body.usage.completionTokens > 0);
+  assert.equal(body.usage.estimatedTokens, false); // the mock reports usage
+  assert.equal(body.usage.cost, 0); // local models are priced at zero
+
+  const generated = await post('/generate-letter', {});
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  assert.match(metrics, /^visa_model_calls_total\{provider="local",model="llama3.1",outcome="ok"\} \d+$/m);
+  assert.match(metrics, /^visa_letters_generated_total\{provider="local",model="llama3.1",fallback="false"\} \d+$/m);
+  assert.match(metrics, /^visa_http_requests_total\{method="POST",route="\/generate-letter",status="400"\} 1$/m);
+  assert.match(metrics, /^visa_validation_failures_total\{field="name"\} 1$/m);
+
+  const health = await (await fetch(`${server.baseUrl}/health`)).json();
+  assert.equal(health.status, 'ok');
+  assert.equal(health.models['local/llama3.1'].failures, 0);
+  assert.ok(health.sop.version);
+});
+
+test('a token split across stream chunks is restored whole', () => {
+  const redactor = createRedactor({ contactEmail: 'ada@example.com', passportNumber: 'A12345678' }, ['contactEmail', 'passportNumber']);
+  const restorer = redactor.streamRestorer();
+  const chunks = ['Write to [', '[CONTACT_', 'EMAIL]] (passport [[PASSPORT_NUMBER', ']]).'];
+  const out = chunks.map((c) => restorer.push(c));
+  assert.ok(out.every((c) => !c.includes('[[') && !c.endsWith('[')), JSON.stringify(out));
+  assert.equal(out.join('') + restorer.end(), 'Write to ada@example.com (passport A12345678).');
+});
+
+test('the passport number and email reach the model only as tokens and come back restored', async () => {
+  const [fixture] = loadFixtures();
+  const { passportNumber, contactEmail } = fixture.payload;
+  const outgoing = (from) => mock.requests.slice(from).flatMap((r) => r.messages.map((m) => m.content)).join('\n');
+
+  let seen = mock.requests.length;
+  const body = await (await post('/generate-letter', fixture.payload)).json();
+  const sent = outgoing(seen);
+  assert.ok(!sent.includes(passportNumber) && !sent.includes(contactEmail), 'a redacted value was sent to the model');
+  assert.ok(sent.includes('[[PASSPORT_NUMBER]]') && sent.includes('[[CONTACT_EMAIL]]'));
+  assert.ok(body.letter.includes(contactEmail));
+  assert.ok(!body.letter.includes('[['), 'a redaction token was left in the letter');
+
+  // The mock streams 7-character pieces, so [[CONTACT_EMAIL]] arrives split across chunks
+  seen = mock.requests.length;
+  const events = parseEvents(await (await post('/generate-letter/stream', fixture.payload)).text());
+  assert.ok(!outgoing(seen).includes(contactEmail));
+  const streamed = events.filter((e) => e.event === 'token').map((e) => e.data.text).join('');
+  assert.ok(streamed.includes(contactEmail), 'the email was not restored in the stream');
+  assert.ok(events.find((e) => e.event === 'done').data.letter.includes(contactEmail));
+});
+
+test('strict mode sends a fact correction when the first letter gets a figure wrong', async () => {
+  const [fixture] = loadFixtures();
+  let calls = 0;
+  respond = (messages) => {
+    const letter = mockLetter(messages);
+    return calls++ ? letter : letter.replace(fixture.payload.income, '₦8,200,000');
+  };
+  try {
+    const res = await post('/generate-letter', { ...fixture.payload, strictVerification: true });
+    const body = await res.json();
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.equal(calls, 2);
+    assert.equal(body.verification.passed, true);
+    assert.equal(body.verification.attempts, 2);
+    assert.equal(body.compliance.repairs, 0);
+  } finally {
+    respond = mockLetter;
+  }
+});
+
+test('a streamed letter that fails strict verification ends in letter_rejected, also on replay', async () => {
+  const [fixture] = loadFixtures();
+  respond = (messages) => mockLetter(messages).replace(fixture.payload.income, '₦8,200,000');
+  try {
+    const stream = (headers) => fetch(`${server.baseUrl}/generate-letter/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'strict-stream-1', ...headers },
+      body: JSON.stringify({ ...fixture.payload, strictVerification: true }),
+    }).then((res) => res.text()).then(parseEvents);
+
+    const events = await stream();
+    assert.equal(events.some((e) => e.event === 'done'), false);
+    const error = events.find((e) => e.event === 'error');
+    assert.equal(error.data.code, 'letter_rejected');
+    assert.equal(error.data.verification.passed, false);
+
+    const sent = mock.requests.length;
+    const replayed = await stream();
+    assert.deepEqual(replayed.map((e) => e.event), ['error']);
+    assert.equal(replayed[0].data.code, 'letter_rejected');
+    assert.equal(mock.requests.length, sent);
+  } finally {
+    respond = mockLetter;
+  }
+});
+
+test('a revised letter is filed on its own, with its case version', async () => {
+  const [fixture] = loadFixtures();
+  const created = await (await post('/cases', { payload: fixture.payload })).json();
+  const { letter } = await (await post(`/cases/${created.id}/generate`, {})).json();
+  const res = await post('/revise-letter', { letter, caseId: created.id, instructions: 'Make the closing warmer' });
+  const body = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(body));
+  assert.ok(body.letterId);
+
+  const filed = await (await fetch(`${server.baseUrl}/letters/${body.letterId}`)).json();
+  assert.equal(filed.source, 'revise-letter');
+  assert.equal(filed.caseId, created.id);
+  assert.equal(filed.version, body.version);
+});
+
+test('POST /generate-letter reports an unreachable model as error JSON', async () => {
+  const [fixture] = loadFixtures();
+  await mock.close();
+  const res = await post('/generate-letter', fixture.payload);
+  const body = await res.json();
+  assert.ok(res.status >= 500, `status ${res.status}`);
+  assert.equal(body.error, 'Failed to generate letter');
+  mock = null;
+
+  const health = await (await fetch(`${server.baseUrl}/health`)).json();
+  assert.equal(health.status, 'degraded');
+  assert.equal(health.models['local/llama3.1'].failures, 1);
+});
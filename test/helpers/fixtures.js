@@ -0,0 +1,74 @@
+/**
+ * Fixture payloads + message snapshots
+ * ------------------------------------
+ * - test/fixtures/<name>.json: { description, payload, expect: { applicationType, sponsored, minis, hints } }
+ * - promptSummary() reads back what buildMessages put in a prompt (minis, hints, subject, facts…)
+ * - Snapshots live in test/__snapshots__/<name>.txt; UPDATE_SNAPSHOTS=1 rewrites them
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, '..', '__snapshots__');
+
+function loadFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => ({ name: f.replace(/\.json$/, ''), ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, f), 'utf8')) }));
+}
+
+// "- Label: value" lines of the facts message -> { Label: value }
+function factLines(content) {
+  const facts = {};
+  const block = String(content).split(/^OUTPUT:/m)[0];
+  for (const line of block.split('\n')) {
+    const m = /^- ([^:]+?):\s(.*)$/.exec(line);
+    if (m) facts[m[1]] = m[2].trim();
+  }
+  return facts;
+}
+
+/**
+ * What an assembled prompt asks for ([system, guide, facts] as built by buildMessages).
+ * @returns {{ minis: string[], hints: string[], subject: string, salutation: string, rationaleTitle: string,
+ *   rebuttal: boolean, facts: Object<string, string> }}
+ */
+function promptSummary(messages) {
+  const guide = messages[1].content;
+  const hintBlock = guide.split('--- SCENARIO HINTS ---')[1] || '';
+  return {
+    minis: [...guide.matchAll(/^--- MINI \((.+?)\) ---$/gm)].map((m) => m[1]),
+    hints: hintBlock.split('\n').filter((l) => l.startsWith('- ')).map((l) => l.slice(2)),
+    subject: (/^3\) Subject: "(.*)"$/m.exec(guide) || [])[1] || '',
+    salutation: (/^4\) Salutation: "(.*)"$/m.exec(guide) || [])[1] || 'Dear Sir/Madam,',
+    rationaleTitle: (/titled "(Why my application merits approval(?: now)?)"/.exec(guide) || [])[1] || '',
+    rebuttal: guide.includes('--- REBUTTAL PLAN'),
+    // Repair rounds append [assistant draft, fix request]; the facts message stays third
+    facts: factLines((messages.find((m) => m.role === 'user' && m.content.startsWith('Use ONLY these facts')) || messages[2]).content),
+  };
+}
+
+// One readable text file per fixture, so a prompt change shows up as a plain diff
+function renderMessages(messages) {
+  return `${messages.map((m, i) => `===== [${i}] ${m.role} =====\n${m.content.trim()}`).join('\n\n')}\n`;
+}
+
+/**
+ * Stored snapshot for a fixture; written (and returned) when missing or when UPDATE_SNAPSHOTS=1.
+ * Under CI a missing snapshot is an error rather than a silent first write.
+ */
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS_DIR, `${name}.txt`);
+  const exists = fs.existsSync(file);
+  if (process.env.UPDATE_SNAPSHOTS === '1' || (!exists && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return actual;
+  }
+  if (!exists) throw new Error(`No snapshot for "${name}" (run UPDATE_SNAPSHOTS=1 npm test and commit test/__snapshots__/${name}.txt)`);
+  return fs.readFileSync(file, 'utf8');
+}
+
+module.exports = { loadFixtures, promptSummary, renderMessages, matchSnapshot };
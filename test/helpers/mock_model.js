@@ -0,0 +1,125 @@
+/**
+ * Mock OpenAI-compatible model server (MODEL_PROVIDER=local, LOCAL_MODEL_BASE_URL=<url>/v1)
+ * -----------------------------------------------------------------------------------------
+ * - POST /v1/chat/completions, plain and streamed (SSE chunks, then [DONE])
+ * - Default reply: a well-behaved letter built only from the prompt — the subject, salutation and
+ *   rationale title the guide asks for, and the "- Label: value" facts (redaction tokens pass through)
+ * - Every request is kept in `requests` so tests can check what actually left the server
+ */
+
+const http = require('http');
+const { promptSummary } = require('./fixtures');
+
+const sentence = (parts) => parts.filter(Boolean).join('');
+const list = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '');
+
+/**
+ * The letter a model that follows the prompt would write (English cover letter prompts only).
+ * @param {Array<{ role: string, content: string }>} messages
+ */
+function mockLetter(messages, { date = new Date() } = {}) {
+  const { subject, salutation, rationaleTitle, facts: f } = promptSummary(messages);
+  const name = f['Full Name'];
+  const heading = [name, f.Address, f.Phone, f.Email, date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })];
+  const embassy = [f['Embassy Name'], f['Embassy Address']];
+
+  const body = [
+    sentence([
+      `My name is ${name}, a ${f.Age}-year-old ${f.Nationality} citizen. I am applying for a ${f['Visa Type']} visa to travel to ${f.Destination} for the following purpose: ${f['Purpose of Travel']}.`,
+      f['Travel Dates'] && ` My travel dates are ${f['Travel Dates']}.`,
+    ]),
+    sentence([
+      f.Occupation && `I work as ${f.Occupation}${f['Employer/Business Name'] ? ` with ${f['Employer/Business Name']}` : ''}${f['Employment Duration'] ? ` and have done so for ${f['Employment Duration']}` : ''}. `,
+      `My monthly income is ${f['Monthly Income']}.`,
+      f['Current Bank Balance'] && ` My current bank balance is ${f['Current Bank Balance']}.`,
+      f['Estimated Trip Cost'] && ` The estimated cost of this trip is ${f['Estimated Trip Cost']}.`,
+    ]),
+    sentence([
+      f['Sponsor Name'] && `This trip is funded by my ${String(f['Sponsor Relationship'] || 'sponsor').toLowerCase()}, ${f['Sponsor Name']}${f['Sponsor Occupation'] ? `, a ${f['Sponsor Occupation']}` : ''}${f['Sponsor Income'] ? ` earning ${f['Sponsor Income']}` : ''}. `,
+      !f['Sponsor Name'] && /employer/i.test(f['Funding Source'] || '') && `The cost of this trip is covered by my employer, ${f['Employer/Business Name']}. `,
+      f['Accommodation/Host Details'] && `My accommodation is arranged as follows: ${f['Accommodation/Host Details']}.`,
+    ]),
+    f['Visa Refusals'] && sentence([
+      `My previous application was refused. ${f['Visa Refusals']}.`,
+      f['Significant Transactions'] && ` To address this, I have explained the transaction in question: ${f['Significant Transactions']}.`,
+    ]),
+    f['Supporting Documents']
+      ? `I have attached the following supporting documents: ${f['Supporting Documents']}.`
+      : 'I have attached evidence of my finances and of the ties described below.',
+    sentence([
+      `My ties to Nigeria are strong: ${list([f['Property Details'], f['Business/Employment Commitments'], f['Family/Dependents']].filter(Boolean)) || 'my family and work are here'}. `,
+      `I will return to Nigeria at the end of my visit.`,
+    ]),
+    `${rationaleTitle || 'Why my application merits approval'}\nThe documents enclosed show that I can fund this visit, that its purpose and length are clear, and that my commitments at home ensure my return.`,
+  ].filter(Boolean);
+
+  return [
+    heading.filter(Boolean).join('\n'),
+    embassy.filter(Boolean).join('\n'),
+    subject,
+    salutation,
+    ...body,
+    `Sincerely,\n${name}`,
+  ].filter(Boolean).join('\n\n');
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', (c) => { data += c; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+/**
+ * @param {{ respond?: (messages: Array<object>, request: object) => string | Promise<string>, port?: number }} [opts]
+ *   respond: reply text for a request (default mockLetter); throw to send an error — err.status (default 500)
+ *   and err.code end up where the OpenAI API puts them
+ * @returns {Promise<{ url: string, baseURL: string, requests: Array<object>, close: () => Promise<void> }>}
+ */
+function startMockModel({ respond = mockLetter, port = 0 } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    }
+    const request = JSON.parse(await readBody(req));
+    requests.push(request);
+
+    let text;
+    try {
+      text = await respond(request.messages, request);
+    } catch (err) {
+      res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: err.message, code: err.code || null } }));
+    }
+    const id = `mock-${requests.length}`;
+    const created = Math.floor(Date.now() / 1000);
+    const usage = { prompt_tokens: JSON.stringify(request.messages).length >> 2, completion_tokens: text.length >> 2 };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (!request.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        id, object: 'chat.completion', created, model: request.model, usage,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const chunk = (delta, finish = null) => `data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: request.model, choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+    // Small uneven pieces, so tokens ([[EMAIL]] …) get split across chunks like a real stream
+    for (let i = 0; i < text.length; i += 7) res.write(chunk({ content: text.slice(i, i + 7) }));
+    res.write(chunk({}, 'stop'));
+    return res.end('data: [DONE]\n\n');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ url, baseURL: `${url}/v1`, requests, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+module.exports = { startMockModel, mockLetter };
@@ -0,0 +1,63 @@
+/**
+ * Letter scoring for the regression suite and report
+ * --------------------------------------------------
+ * - Fact coverage: share of the key payload facts the letter states (amounts by value, dates by day/month,
+ *   everything else as text) — a paraphrased purpose counts as missing, on purpose
+ * - Structure compliance: share of the applicable compliance rules (errors + warnings) that pass
+ */
+
+const { MONEY_FIELDS, parseMoney } = require('../../lib/money');
+const { extractAmounts, extractDates } = require('../../lib/fact_check');
+
+// Facts every letter must carry when the payload has them
+const COVERAGE_FIELDS = [
+  'name', 'destination', 'purpose', 'travelDates', 'occupation', 'employerName', 'income', 'currentBankBalance',
+  'estimatedTripCost', 'sponsorName', 'sponsorRelationship', 'embassyName',
+];
+
+const squash = (s) => String(s).toLowerCase().replace(/\s+/g, ' ').trim();
+
+function stated(field, value, letter) {
+  if (MONEY_FIELDS.includes(field)) {
+    const money = parseMoney(value);
+    if (money) return extractAmounts(letter).some((a) => Math.abs(a.value - money.amount) <= money.amount * 0.01);
+  }
+  const dates = extractDates(value);
+  if (dates.length) {
+    const inLetter = extractDates(letter);
+    return dates.every((d) => inLetter.some((l) => l.d === d.d && l.mo === d.mo));
+  }
+  return squash(letter).includes(squash(value));
+}
+
+/**
+ * @param {string} letter
+ * @param {object} payload  the payload as generated (pack defaults applied)
+ * @returns {{ score: number, covered: string[], missing: string[] }}
+ */
+function factCoverage(letter, payload) {
+  const fields = COVERAGE_FIELDS.filter((f) => typeof payload[f] === 'string' && payload[f].trim());
+  const missing = fields.filter((f) => !stated(f, payload[f].trim(), letter));
+  return {
+    score: fields.length ? (fields.length - missing.length) / fields.length : 1,
+    covered: fields.filter((f) => !missing.includes(f)),
+    missing,
+  };
+}
+
+/**
+ * @param {{ rules: Array<{ id: string, status: string }> }} compliance  as returned by /generate-letter
+ * @returns {{ score: number, passed: number, checked: number, failed: string[] }}
+ */
+function structureCompliance(compliance) {
+  const checked = compliance.rules.filter((r) => r.status === 'pass' || r.status === 'fail');
+  const failed = checked.filter((r) => r.status === 'fail').map((r) => r.id);
+  return {
+    score: checked.length ? (checked.length - failed.length) / checked.length : 1,
+    passed: checked.length - failed.length,
+    checked: checked.length,
+    failed,
+  };
+}
+
+module.exports = { COVERAGE_FIELDS, factCoverage, structureCompliance };
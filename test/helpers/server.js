@@ -0,0 +1,37 @@
+/**
+ * Loads server.js for tests: offline provider settings, no SOP watchers, no tenants file, error-level
+ * logs only, and a throwaway DATA_DIR (removed on exit). Call once per test file, before anything else
+ * requires the server — its config is read at require time.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function loadServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'visa-letter-test-'));
+  Object.assign(process.env, {
+    MODEL_PROVIDER: 'template',
+    SOP_WATCH: 'false',
+    LOG_LEVEL: 'error',
+    TENANTS_PATH: path.join(dataDir, 'tenants.json'),
+    DATA_DIR: dataDir,
+    ...env,
+  });
+  const server = require('../../server');
+  // Registered after the usage store's own exit flush, so it runs last
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return server;
+}
+
+// Start the app on a free port; resolves to { baseUrl, close }
+function listen(app) {
+  return new Promise((resolve) => {
+    const srv = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${srv.address().port}`,
+      close: () => new Promise((done) => srv.close(done)),
+    }));
+  });
+}
+
+module.exports = { loadServer, listen };
@@ -0,0 +1,135 @@
+// Outcome input, approval-rate report, and the letter -> decision -> report round trip (template provider)
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOutcome, outcomeReport } = require('../lib/outcomes');
+const { loadServer, listen } = require('./helpers/server');
+const { loadFixtures } = require('./helpers/fixtures');
+
+const dates = { today: '2027-06-30', notBefore: '2027-01-10' };
+
+test('an outcome needs a known decision and a plausible date; refusals need grounds', () => {
+  assert.deepEqual(parseOutcome({ decision: 'Approved', decisionDate: '2027-02-01' }, dates).outcome, {
+    decision: 'approved', decisionDate: '2027-02-01', grounds: [],
+  });
+
+  const fields = (body) => parseOutcome(body, dates).errors.map((e) => `${e.field}:${e.code}`);
+  assert.deepEqual(fields({}), ['decision:required', 'decisionDate:required']);
+  assert.deepEqual(fields({ decision: 'pending', decisionDate: '2027-02-30' }), ['decision:enum', 'decisionDate:format']);
+  assert.deepEqual(fields({ decision: 'approved', decisionDate: '2027-07-01' }), ['decisionDate:format']); // future
+  assert.deepEqual(fields({ decision: 'approved', decisionDate: '2027-01-09' }), ['decisionDate:format']); // before the letter
+  assert.deepEqual(fields({ decision: 'refused', decisionDate: '2027-02-01' }), ['grounds:required']);
+  assert.deepEqual(fields({ decision: 'refused', decisionDate: '2027-02-01', grounds: ['vibes'] }), ['grounds:enum']);
+  assert.deepEqual(fields({ decision: 'withdrawn', decisionDate: '2027-02-01', grounds: ['funds'] }), ['grounds:format']);
+});
+
+test('refusal grounds come from the list or from the pasted notice', () => {
+  const listed = parseOutcome({ decision: 'refused', decisionDate: '2027-02-01', grounds: ['Funds', 'ties', 'funds'] }, dates).outcome;
+  assert.deepEqual(listed.grounds.map((g) => g.category), ['funds', 'ties']);
+
+  const notice = 'I am not satisfied that you have provided evidence of sufficient funds. Your application is refused under paragraph V 4.2 (e).';
+  const parsed = parseOutcome({ decision: 'refused', decisionDate: '2027-02-01', notice }, dates).outcome;
+  assert.deepEqual(parsed.grounds.map((g) => g.category), ['funds']);
+  assert.deepEqual(parsed.grounds[0].codes, ['V 4.2(e)']);
+});
+
+test('the report gives approval rates per dimension, leaving withdrawn and pending letters out of the rate', () => {
+  const record = (features, outcome, createdAt = '2027-01-15T10:00:00Z') => ({
+    createdAt,
+    features: { applicationType: 'First-time', sponsored: false, selfEmployed: false, visaType: 'Tourist', destination: 'United Kingdom', tone: 'courteous', minis: ['tourist.txt'], rationale: ['home-ties'], sopVersion: 'v1', ...features },
+    outcome,
+  });
+  const approved = { decision: 'approved', decisionDate: '2027-02-01', grounds: [] };
+  const refused = { decision: 'refused', decisionDate: '2027-02-01', grounds: [{ category: 'funds', label: 'Funds', codes: [] }] };
+  const records = [
+    record({}, approved),
+    record({}, approved),
+    record({ sponsored: true, minis: ['tourist.txt', 'sponsored.txt'] }, refused),
+    record({ destination: 'united kingdom' }, { decision: 'withdrawn', decisionDate: '2027-02-01', grounds: [] }),
+    record({ sopVersion: 'v2', rationale: [] }, null),
+    record({}, refused, '2026-12-01T10:00:00Z'),
+  ];
+
+  const report = outcomeReport(records, { since: '2027-01-01', minDecided: 2 });
+  assert.deepEqual(report.overall, { letters: 5, pending: 1, approved: 2, refused: 1, withdrawn: 1, approvalRate: 0.667 });
+
+  const group = (dim, value) => report.by[dim].find((g) => g.value === value);
+  assert.equal(group('sponsored', 'yes').approvalRate, 0);
+  assert.equal(group('sponsored', 'yes').vsOverall, -0.667);
+  assert.equal(group('sponsored', 'yes').lowSample, true);
+  assert.equal(group('sponsored', 'no').approvalRate, 1);
+  assert.equal(group('destination', 'United Kingdom').letters, 5); // grouped case-insensitively
+  assert.equal(group('mini', 'tourist.txt').letters, 5);
+  assert.equal(group('mini', 'sponsored.txt').refused, 1);
+  assert.equal(group('rationale', '(none)').pending, 1);
+  assert.equal(group('sopVersion', 'v2').approvalRate, null);
+  assert.deepEqual(report.refusalGrounds, [{ category: 'funds', label: 'Funds', refusals: 1, share: 1 }]);
+
+  assert.equal(outcomeReport(records, { filters: { mini: 'sponsored.txt' } }).overall.letters, 1);
+});
+
+describe('letters -> outcomes -> report', () => {
+  let server;
+  const [fixture] = loadFixtures();
+
+  before(async () => {
+    server = await listen(loadServer().app);
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  test('a generated letter is filed with its scenario and its decision shows up in the report', async () => {
+    const generated = await request('POST', '/generate-letter', fixture.payload);
+    assert.equal(generated.status, 200);
+    const { letterId } = generated.body;
+    assert.ok(letterId);
+
+    const filed = await request('GET', `/letters/${letterId}`);
+    assert.equal(filed.body.source, 'generate-letter');
+    assert.equal(filed.body.features.applicationType, fixture.expect.applicationType);
+    assert.equal(filed.body.features.sponsored, fixture.expect.sponsored);
+    assert.ok(filed.body.features.sopVersion);
+    assert.ok(filed.body.features.rationale.length);
+    assert.equal(filed.body.outcome, null);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const invalid = await request('POST', `/letters/${letterId}/outcome`, { decision: 'refused', decisionDate: today });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'validation_failed');
+
+    const recorded = await request('POST', `/letters/${letterId}/outcome`, { decision: 'refused', decisionDate: today, grounds: ['ties'] });
+    assert.equal(recorded.status, 200);
+    assert.equal(recorded.body.outcome.grounds[0].label, 'Ties and intention to return');
+
+    const report = await request('GET', '/outcomes/report');
+    assert.equal(report.body.overall.refused, 1);
+    assert.equal(report.body.by.sopVersion[0].value, filed.body.features.sopVersion);
+    assert.equal(report.body.refusalGrounds[0].category, 'ties');
+
+    assert.equal((await request('GET', '/letters/not-a-letter')).status, 404);
+    assert.equal((await request('GET', '/outcomes/report?since=yesterday')).body.code, 'validation_failed');
+  });
+
+  test('a case letter is filed with its case and version', async () => {
+    const created = await request('POST', '/cases', { payload: fixture.payload });
+    await request('POST', `/cases/${created.body.id}/generate`, {});
+    const second = await request('POST', `/cases/${created.body.id}/generate`, {});
+    assert.equal(second.status, 201);
+
+    const filed = await request('GET', `/letters/${second.body.letterId}`);
+    assert.equal(filed.body.source, 'case-generate');
+    assert.equal(filed.body.caseId, created.body.id);
+    assert.equal(filed.body.version, 2);
+  });
+});
@@ -0,0 +1,46 @@
+// Prompt assembly per fixture: scenario detection, selected minis + hints, and a full message snapshot.
+// A changed snapshot is not a failure to paper over: read the diff, then accept it with UPDATE_SNAPSHOTS=1.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/server');
+const { loadFixtures, promptSummary, renderMessages, matchSnapshot } = require('./helpers/fixtures');
+
+const { payloadFrom, withPackDefaults, buildDetailLines, buildMessages } = loadServer();
+const { validatePayload } = require('../lib/payload_schema');
+const { isSponsoredPayload, detectApplicationType } = require('../lib/scenario');
+
+for (const fixture of loadFixtures()) {
+  describe(fixture.name, () => {
+    const submitted = payloadFrom(fixture.payload);
+    const payload = withPackDefaults(submitted);
+    const messages = buildMessages(buildDetailLines(payload), payload);
+    const summary = promptSummary(messages);
+    const { expect } = fixture;
+
+    test('is a valid payload', () => {
+      assert.deepEqual(validatePayload(submitted), []);
+    });
+
+    test('detects the scenario', () => {
+      assert.equal(detectApplicationType(payload), expect.applicationType);
+      assert.equal(isSponsoredPayload(payload), expect.sponsored);
+      assert.equal(summary.rationaleTitle, expect.applicationType === 'Reapplication'
+        ? 'Why my application merits approval now'
+        : 'Why my application merits approval');
+    });
+
+    test('selects the expected minis', () => {
+      assert.deepEqual(summary.minis, expect.minis);
+    });
+
+    test('gives the expected scenario hints', () => {
+      assert.deepEqual(summary.hints.map((h) => h.slice(0, h.indexOf(':') + 1)), expect.hints);
+    });
+
+    test('matches the message snapshot', () => {
+      const actual = renderMessages(messages);
+      assert.equal(actual, matchSnapshot(fixture.name, actual));
+    });
+  });
+}
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Prompt regression report: runs every fixture through POST /generate-letter and scores the letters
+ * --------------------------------------------------------------------------------------------------
+ *   npm run test:report                 mock model (offline, deterministic)
+ *   MODEL_PROVIDER=local LOCAL_MODEL_BASE_URL=http://localhost:11434/v1 npm run test:report
+ *                                       the configured provider instead (e.g. a local model under evaluation)
+ *   npm run test:report -- --json       machine-readable output
+ *
+ * Facts = key payload facts the letter states; structure = applicable compliance rules passed.
+ */
+
+const { loadServer, listen } = require('./helpers/server');
+const { loadFixtures } = require('./helpers/fixtures');
+const { startMockModel } = require('./helpers/mock_model');
+const { factCoverage, structureCompliance } = require('./helpers/score');
+
+const pct = (x) => `${Math.round(x * 100)}%`.padStart(4);
+
+async function main() {
+  const json = process.argv.includes('--json');
+  const live = Boolean(process.env.MODEL_PROVIDER);
+  const mock = live ? null : await startMockModel();
+  const api = loadServer(live
+    ? { MODEL_PROVIDER: process.env.MODEL_PROVIDER }
+    : { MODEL_PROVIDER: 'local', LOCAL_MODEL_BASE_URL: mock.baseURL, FALLBACK_MODEL: '', TEMPLATE_FALLBACK: 'false' });
+  const server = await listen(api.app);
+
+  const rows = [];
+  try {
+    for (const fixture of loadFixtures()) {
+      const res = await fetch(`${server.baseUrl}/generate-letter`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fixture.payload),
+      });
+      const body = await res.json();
+      if (!res.ok) {
+        rows.push({ fixture: fixture.name, status: res.status, error: body.detail || body.error });
+        continue;
+      }
+      const facts = factCoverage(body.letter, api.withPackDefaults(api.payloadFrom(fixture.payload)));
+      const structure = structureCompliance(body.compliance);
+      rows.push({
+        fixture: fixture.name,
+        status: res.status,
+        model: `${body.provider}/${body.model}`,
+        facts: facts.score,
+        missingFacts: facts.missing,
+        structure: structure.score,
+        failedRules: structure.failed,
+        verified: body.verification.passed,
+        copied: body.compliance.copied.length,
+        repairs: body.compliance.repairs,
+      });
+    }
+  } finally {
+    await server.close();
+    if (mock) await mock.close();
+  }
+
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+  } else {
+    const width = Math.max(...rows.map((r) => r.fixture.length));
+    console.log(`${'fixture'.padEnd(width)}  facts  structure  verified  copied  repairs  notes`);
+    for (const r of rows) {
+      if (r.error) {
+        console.log(`${r.fixture.padEnd(width)}  ${`HTTP ${r.status}: ${r.error}`}`);
+        continue;
+      }
+      const notes = [
+        r.missingFacts.length && `missing: ${r.missingFacts.join(', ')}`,
+        r.failedRules.length && `failed: ${r.failedRules.join(', ')}`,
+      ].filter(Boolean).join('; ');
+      console.log(`${r.fixture.padEnd(width)}   ${pct(r.facts)}       ${pct(r.structure)}  ${(r.verified ? 'yes' : 'NO').padEnd(8)}  ${String(r.copied).padStart(6)}  ${String(r.repairs).padStart(7)}  ${notes}`);
+    }
+    const scored = rows.filter((r) => !r.error);
+    const mean = (k) => scored.reduce((n, r) => n + r[k], 0) / (scored.length || 1);
+    console.log(`\n${scored.length}/${rows.length} generated (${scored[0]?.model || 'no model'}) · mean facts ${pct(mean('facts')).trim()} · mean structure ${pct(mean('structure')).trim()}`);
+  }
+  process.exitCode = rows.some((r) => r.error) ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,246 @@
+// Retries, circuit breaking, generation timeout, Idempotency-Key replays and error codes.
+// The end-to-end part runs against a mock model that fails on demand (MODEL_PROVIDER=local).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { isTransient, retryDelay, sleep, createCircuitBreaker } = require('../lib/resilience');
+const { classifyModelError, errorResponse } = require('../lib/errors');
+const { createIdempotencyStore } = require('../lib/idempotency_store');
+const { loadServer, listen } = require('./helpers/server');
+const { loadFixtures } = require('./helpers/fixtures');
+const { startMockModel, mockLetter } = require('./helpers/mock_model');
+
+test('transient errors are retried, client and quota errors are not', () => {
+  assert.equal(isTransient({ status: 503 }), true);
+  assert.equal(isTransient({ status: 429 }), true);
+  assert.equal(isTransient({ status: 429, code: 'insufficient_quota' }), false);
+  assert.equal(isTransient({ status: 401 }), false);
+  assert.equal(isTransient({ status: 400 }), false);
+  assert.equal(isTransient(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransient({ aborted: true }), false);
+});
+
+test('backoff grows exponentially under the cap, with jitter, and honours Retry-After', () => {
+  const policy = { baseMs: 100, maxMs: 1000 };
+  assert.equal(retryDelay(0, policy, null, () => 1), 100);
+  assert.equal(retryDelay(2, policy, null, () => 1), 400);
+  assert.equal(retryDelay(5, policy, null, () => 1), 1000);
+  assert.equal(retryDelay(2, policy, null, () => 0.5), 200);
+  assert.equal(retryDelay(0, policy, { headers: { 'retry-after': '0.3' } }), 300);
+  assert.equal(retryDelay(0, policy, { headers: { 'retry-after': '60' } }), 1000);
+});
+
+test('sleep stops early when its signal aborts', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(sleep(10000, controller.signal), { name: 'AbortError' });
+});
+
+test('the circuit opens after consecutive failures and lets one trial call through after the cooldown', () => {
+  let now = 0;
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => now });
+  breaker.failure('m');
+  assert.equal(breaker.allow('m'), true);
+  breaker.failure('m');
+  assert.equal(breaker.allow('m'), false);
+  assert.equal(breaker.describe().m.state, 'open');
+
+  now = 1000;
+  assert.equal(breaker.state('m'), 'half-open');
+  assert.equal(breaker.allow('m'), true);
+  assert.equal(breaker.allow('m'), false); // one trial at a time
+  breaker.failure('m');
+  assert.equal(breaker.state('m'), 'open');
+
+  now = 2000;
+  assert.equal(breaker.allow('m'), true);
+  breaker.success('m');
+  assert.equal(breaker.state('m'), 'closed');
+  assert.equal(breaker.describe().m.failures, 0);
+});
+
+test('provider errors map to stable model_* codes', () => {
+  assert.equal(classifyModelError({ status: 401, message: 'bad key' }).errorCode, 'model_auth_failed');
+  assert.equal(classifyModelError({ status: 429 }).errorCode, 'model_rate_limited');
+  assert.equal(classifyModelError({ status: 429, code: 'insufficient_quota' }).errorCode, 'model_quota_exhausted');
+  assert.equal(classifyModelError({ status: 400 }).errorCode, 'model_rejected_request');
+  assert.equal(classifyModelError(new Error('socket hang up')).errorCode, 'model_unavailable');
+  assert.equal(classifyModelError({ status: 401 }).status, 502); // never the client's own 401
+
+  assert.deepEqual(errorResponse(Object.assign(new Error('Case not found: x'), { status: 404 }), 'Case not found'), {
+    status: 404,
+    body: { error: 'Case not found', code: 'not_found', detail: 'Case not found: x' },
+  });
+});
+
+test('the idempotency store replays, rejects reused keys and waits for a running request', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idem-'));
+  let now = Date.parse('2027-01-01T00:00:00Z');
+  const store = createIdempotencyStore(dir, { ttlMs: 1000, now: () => now });
+  try {
+    const first = await store.begin('t POST /x', 'k1', 'f1');
+    assert.ok(first.token);
+    const waiting = await store.begin('t POST /x', 'k1', 'f1');
+    assert.ok(waiting.wait);
+    assert.deepEqual(await store.begin('t POST /x', 'k1', 'f2'), { conflict: true });
+
+    await store.complete(first.token, { status: 200, body: { letter: 'L' } });
+    assert.deepEqual((await waiting.wait).body, { letter: 'L' });
+    assert.deepEqual((await store.begin('t POST /x', 'k1', 'f1')).replay.body, { letter: 'L' });
+    assert.ok((await store.begin('other POST /x', 'k1', 'f1')).token); // keys are scoped
+
+    now += 1001;
+    assert.ok((await store.begin('t POST /x', 'k1', 'f1')).token); // expired
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+describe('resilient generation (mock model)', () => {
+  let mock;
+  let server;
+  let respond = mockLetter; // swapped per test
+  const [fixture] = loadFixtures();
+
+  before(async () => {
+    mock = await startMockModel({ respond: (messages, request) => respond(messages, request) });
+    const api = loadServer({
+      MODEL_PROVIDER: 'local',
+      LOCAL_MODEL_BASE_URL: mock.baseURL,
+      FALLBACK_MODEL: '',
+      TEMPLATE_FALLBACK: 'false',
+      MODEL_RETRIES: '2',
+      MODEL_RETRY_BASE_MS: '1',
+      MODEL_RETRY_MAX_MS: '5',
+      CIRCUIT_FAILURE_THRESHOLD: '3',
+      CIRCUIT_COOLDOWN_MS: '600000',
+      GENERATION_TIMEOUT_MS: '1500',
+    });
+    server = await listen(api.app);
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  const post = (path, body, headers = {}) => fetch(`${server.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  // Fail the next `n` model calls with this status, then answer normally
+  const failNext = (n, status, code) => {
+    respond = (messages) => {
+      if (n-- > 0) throw Object.assign(new Error(`mock ${status}`), { status, code });
+      return mockLetter(messages);
+    };
+  };
+
+  test('transient model errors are retried with backoff', async () => {
+    failNext(2, 503);
+    const sent = mock.requests.length;
+    const res = await post('/generate-letter', fixture.payload);
+    const body = await res.json();
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.ok(mock.requests.length - sent >= 3);
+    assert.equal(body.usage.calls, mock.requests.length - sent);
+
+    const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+    assert.match(metrics, /^visa_model_retries_total\{provider="local",model="llama3.1"\} 2$/m);
+  });
+
+  const generations = async () => (await (await fetch(`${server.baseUrl}/usage`)).json()).generations;
+
+  test("a provider's 401 comes back as a coded 502, not retried, and uses no quota", async () => {
+    failNext(1, 401);
+    const charged = await generations();
+    const sent = mock.requests.length;
+    const res = await post('/generate-letter', fixture.payload, { 'X-Request-Id': 'auth-test' });
+    const body = await res.json();
+    assert.equal(res.status, 502);
+    assert.equal(body.code, 'model_auth_failed');
+    assert.equal(body.retryable, false);
+    assert.equal(body.requestId, 'auth-test');
+    assert.equal(body.error, 'Failed to generate letter');
+    assert.equal(mock.requests.length - sent, 1);
+    assert.equal(await generations(), charged);
+
+    respond = mockLetter;
+    await post('/generate-letter', fixture.payload);
+    assert.equal(await generations(), charged + 1);
+  });
+
+  test('a repeated Idempotency-Key replays the stored letter without another model call', async () => {
+    respond = mockLetter;
+    const headers = { 'Idempotency-Key': 'submit-1' };
+    const first = await post('/generate-letter', fixture.payload, headers);
+    const letter = (await first.json()).letter;
+    assert.equal(first.status, 200);
+    const sent = mock.requests.length;
+
+    const again = await post('/generate-letter', fixture.payload, headers);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.equal((await again.json()).letter, letter);
+    assert.equal(mock.requests.length, sent);
+
+    const reused = await post('/generate-letter', { ...fixture.payload, name: 'Someone Else' }, headers);
+    assert.equal(reused.status, 422);
+    assert.equal((await reused.json()).code, 'idempotency_key_reused');
+  });
+
+  test('a streamed letter replays as attempt, token and done events', async () => {
+    respond = mockLetter;
+    const headers = { 'Idempotency-Key': 'stream-1' };
+    const first = await (await post('/generate-letter/stream', fixture.payload, headers)).text();
+    const sent = mock.requests.length;
+    const again = await post('/generate-letter/stream', fixture.payload, headers);
+    const events = [...(await again.text()).matchAll(/^event: (\w+)$/gm)].map((m) => m[1]);
+    assert.deepEqual(events, ['attempt', 'token', 'done']);
+    assert.equal(mock.requests.length, sent);
+    assert.match(first, /^event: done$/m);
+  });
+
+  test('a slow model ends in generation_timeout', async () => {
+    respond = (messages) => new Promise((resolve) => setTimeout(() => resolve(mockLetter(messages)), 3000));
+    const res = await post('/generate-letter', fixture.payload);
+    const body = await res.json();
+    assert.equal(res.status, 504);
+    assert.equal(body.code, 'generation_timeout');
+    assert.equal(body.retryable, true);
+  });
+
+  test('invalid JSON and validation failures carry their codes', async () => {
+    const bad = await post('/generate-letter', '{"name": ');
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).code, 'invalid_json');
+
+    const invalid = await post('/generate-letter', {});
+    const body = await invalid.json();
+    assert.equal(body.code, 'validation_failed');
+    assert.ok(body.requestId);
+  });
+
+  test('a failing model opens its circuit; later requests skip it with Retry-After', async () => {
+    failNext(Infinity, 500);
+    const first = await post('/generate-letter', fixture.payload);
+    assert.equal(first.status, 503);
+    assert.equal((await first.json()).code, 'model_unavailable');
+
+    const sent = mock.requests.length;
+    const skipped = await post('/generate-letter', fixture.payload);
+    const body = await skipped.json();
+    assert.equal(skipped.status, 503);
+    assert.match(body.detail, /circuit open/);
+    assert.ok(Number(skipped.headers.get('retry-after')) > 0);
+    assert.equal(mock.requests.length, sent);
+
+    const health = await (await fetch(`${server.baseUrl}/health`)).json();
+    assert.equal(health.status, 'degraded');
+    assert.equal(health.circuits['local/llama3.1'].state, 'open');
+  });
+});
@@ -0,0 +1,22 @@
+// Edge cases of the scenario rules the prompt builder and template provider share
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isSponsoredPayload, detectApplicationType } = require('../lib/scenario');
+
+test('detectApplicationType: explicit type, refusals or a refusal notice mean Reapplication', () => {
+  assert.equal(detectApplicationType({}), 'First-time');
+  assert.equal(detectApplicationType({ applicationType: 'First-time' }), 'First-time');
+  assert.equal(detectApplicationType({ applicationType: 'reapplication' }), 'Reapplication');
+  assert.equal(detectApplicationType({ visaRefusals: 'Refused 2024: funds' }), 'Reapplication');
+  assert.equal(detectApplicationType({ refusalNotice: 'Your application has been refused.' }), 'Reapplication');
+});
+
+test('isSponsoredPayload: funding source, sponsorSelf "No" or any sponsor detail', () => {
+  assert.equal(isSponsoredPayload({ funding: 'Self' }), false);
+  for (const funding of ['Sponsor', 'family', 'Employer']) assert.equal(isSponsoredPayload({ funding }), true, funding);
+  assert.equal(isSponsoredPayload({ sponsorSelf: 'No' }), true);
+  assert.equal(isSponsoredPayload({ sponsorSelf: 'Yes' }), false);
+  assert.equal(isSponsoredPayload({ sponsorName: 'Obinna Eze' }), true);
+  assert.equal(isSponsoredPayload({ sponsorRelationship: 'Brother' }), true);
+});
@@ -0,0 +1,58 @@
+// Metrics exposition, price lookups and structured log lines
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+const { loadPrices, priceFor, estimateCost } = require('../lib/pricing');
+const { createLogger } = require('../lib/logger');
+
+test('metrics render counters, histograms and gauges in the Prometheus text format', () => {
+  const m = createMetrics({ prefix: 'x_' });
+  const c = m.counter('calls_total', 'Calls', ['model']);
+  const h = m.histogram('latency_seconds', 'Latency', ['model'], [0.5, 1]);
+  m.gauge('up', 'Up', () => [{ value: 1 }]);
+  c.inc({ model: 'a"b' });
+  c.inc({ model: 'a"b' }, 2);
+  h.observe({ model: 'm' }, 0.7);
+
+  assert.equal(m.render(), [
+    '# HELP x_calls_total Calls',
+    '# TYPE x_calls_total counter',
+    'x_calls_total{model="a\\"b"} 3',
+    '# HELP x_latency_seconds Latency',
+    '# TYPE x_latency_seconds histogram',
+    'x_latency_seconds_bucket{model="m",le="0.5"} 0',
+    'x_latency_seconds_bucket{model="m",le="1"} 1',
+    'x_latency_seconds_bucket{model="m",le="+Inf"} 1',
+    'x_latency_seconds_sum{model="m"} 0.7',
+    'x_latency_seconds_count{model="m"} 1',
+    '# HELP x_up Up',
+    '# TYPE x_up gauge',
+    'x_up 1',
+    '',
+  ].join('\n'));
+});
+
+test('prices: exact name, longest prefix, then provider; unknown models have no cost', () => {
+  const table = loadPrices();
+  assert.equal(priceFor(table, 'openai', 'gpt-4o-mini-2024-07-18'), table.models['gpt-4o-mini']);
+  assert.equal(priceFor(table, 'openai', 'gpt-4o-2024-08-06'), table.models['gpt-4o']);
+  assert.equal(priceFor(table, 'local', 'llama3.1'), table.providers.local);
+  assert.equal(estimateCost(table, { provider: 'openai', model: 'gpt-5-mini', promptTokens: 4000, completionTokens: 1000 }), 0.003);
+  assert.equal(estimateCost(table, { provider: 'openai', model: 'mystery-model', promptTokens: 10 }), null);
+});
+
+test('logger writes one JSON line with the request context, at or above its level', () => {
+  const lines = [];
+  const target = { log: (l) => lines.push(['log', l]), error: (l) => lines.push(['error', l]) };
+  const log = createLogger({ level: 'info', context: () => ({ requestId: 'r1' }), target });
+  log.debug('skipped');
+  log.info('model.call', { model: 'm' });
+  log.error('letter.failed', { error: Object.assign(new Error('boom'), { status: 429 }) });
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(JSON.parse(lines[0][1]), { ...JSON.parse(lines[0][1]), level: 'info', event: 'model.call', requestId: 'r1', model: 'm' });
+  assert.equal(lines[1][0], 'error');
+  assert.deepEqual(JSON.parse(lines[1][1]).error, { message: 'boom', status: 429 });
+  assert.throws(() => createLogger({ level: 'verbose' }), /LOG_LEVEL/);
+});